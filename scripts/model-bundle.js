@@ -0,0 +1,144 @@
+// Export a pair's trained models from one ML service and import them into another
+//
+//   node scripts/model-bundle.js export BTC [--models lstm,gru] [--out btc.tar.gz] [--url http://trainer:3001]
+//   node scripts/model-bundle.js import btc.tar.gz [--pair BTC] [--url http://server:3001]
+//   node scripts/model-bundle.js tfjs BTC --model lstm [--version 4] [--out ./btc-lstm] [--url http://trainer:3001]
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const DEFAULT_ML_URL = 'http://localhost:3001';
+
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    return { command: positional[0], target: positional[1], options };
+}
+
+async function exportBundle(pair, options) {
+    const mlUrl = options.url || DEFAULT_ML_URL;
+    console.log(`📦 Exporting ${pair.toUpperCase()} from ${mlUrl}...`);
+
+    const response = await axios.get(`${mlUrl}/api/models/${pair}/export`, {
+        params: options.models ? { models: options.models } : {},
+        responseType: 'arraybuffer',
+        timeout: 120000
+    });
+
+    const disposition = response.headers['content-disposition'] || '';
+    const suggested = (disposition.match(/filename="([^"]+)"/) || [])[1];
+    const outFile = options.out || suggested || `${pair.toLowerCase()}-bundle.tar.gz`;
+
+    fs.writeFileSync(outFile, Buffer.from(response.data));
+
+    console.log(`✅ Bundle written to ${path.resolve(outFile)}`);
+    console.log(`   Models: ${response.headers['x-bundle-models']}`);
+    console.log(`   Size: ${(response.data.byteLength / 1024).toFixed(1)} KB`);
+}
+
+async function importBundle(file, options) {
+    const mlUrl = options.url || DEFAULT_ML_URL;
+
+    if (!fs.existsSync(file)) {
+        throw new Error(`Bundle file not found: ${file}`);
+    }
+
+    console.log(`📦 Importing ${file} into ${mlUrl}...`);
+
+    const response = await axios.post(`${mlUrl}/api/models/import`, fs.readFileSync(file), {
+        params: options.pair ? { pair: options.pair } : {},
+        headers: { 'Content-Type': 'application/gzip' },
+        maxBodyLength: Infinity,
+        timeout: 120000
+    });
+
+    console.log(`✅ Bundle installed for ${response.data.pair}`);
+    Object.entries(response.data.versions).forEach(([modelType, version]) => {
+        console.log(`   ${modelType}: champion v${version}`);
+    });
+    if (response.data.ensembleWeights) {
+        console.log('   Ensemble weights:', response.data.ensembleWeights);
+    }
+}
+
+// Standard TF.js model.json + weights.bin, loadable with tf.loadLayersModel('file://<out>/model.json')
+async function exportLayersModel(pair, options) {
+    const mlUrl = options.url || DEFAULT_ML_URL;
+
+    if (!options.model) {
+        throw new Error('--model is required (lstm, gru, cnn or transformer)');
+    }
+
+    const baseUrl = `${mlUrl}/api/models/${pair}/${options.model}/tfjs`;
+    const params = options.version ? { version: options.version } : {};
+    console.log(`📦 Exporting ${pair.toUpperCase()}:${options.model} as TF.js from ${mlUrl}...`);
+
+    const modelJson = await axios.get(`${baseUrl}/model.json`, { params, timeout: 120000 });
+    const version = modelJson.data.userDefinedMetadata.version;
+
+    // Pin the weights to the version model.json described
+    const weights = await axios.get(`${baseUrl}/weights.bin`, {
+        params: version ? { version } : params,
+        responseType: 'arraybuffer',
+        timeout: 120000
+    });
+
+    const outDir = options.out || `${pair.toLowerCase()}-${options.model}-v${version}`;
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, 'model.json'), JSON.stringify(modelJson.data, null, 2));
+    fs.writeFileSync(path.join(outDir, 'weights.bin'), Buffer.from(weights.data));
+
+    console.log(`✅ TF.js model written to ${path.resolve(outDir)}`);
+    console.log(`   Version: ${version}`);
+    console.log(`   Weights: ${(weights.data.byteLength / 1024).toFixed(1)} KB`);
+    if (modelJson.data.userDefinedMetadata.customLayers.length > 0) {
+        console.log(`   Custom layers to register before loading: ${modelJson.data.userDefinedMetadata.customLayers.join(', ')}`);
+    }
+}
+
+async function main() {
+    const { command, target, options } = parseArgs(process.argv.slice(2));
+
+    try {
+        if (command === 'export' && target) {
+            await exportBundle(target, options);
+        } else if (command === 'import' && target) {
+            await importBundle(target, options);
+        } else if (command === 'tfjs' && target) {
+            await exportLayersModel(target, options);
+        } else {
+            console.log('Usage:');
+            console.log('  node scripts/model-bundle.js export <PAIR> [--models lstm,gru] [--out file.tar.gz] [--url http://host:3001]');
+            console.log('  node scripts/model-bundle.js import <file.tar.gz> [--pair PAIR] [--url http://host:3001]');
+            console.log('  node scripts/model-bundle.js tfjs <PAIR> --model <type> [--version N] [--out dir] [--url http://host:3001]');
+            process.exit(1);
+        }
+    } catch (error) {
+        // Export errors arrive as an arraybuffer
+        let body = error.response?.data;
+        if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) {
+            try {
+                body = JSON.parse(Buffer.from(body).toString('utf8'));
+            } catch (parseError) {
+                body = null;
+            }
+        }
+
+        console.error(`❌ ${command} failed:`, body?.message || body?.error || error.message);
+        (body?.errors || []).forEach(message => console.error(`   - ${message}`));
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,39 @@
+// Smoke test of walk-forward backtests: a backtest job trains and trades
+// every fold, releases each fold's tensors and saves its result. Runs offline on synthetic bars.
+const assert = require('assert');
+const helpers = require('./test-helpers');
+
+const workDir = helpers.useTestEnvironment();
+
+async function testBacktest() {
+    console.log('🚀 Testing walk-forward backtest...');
+
+    const tf = require('@tensorflow/tfjs');
+
+    const pairData = helpers.syntheticPairData(500);
+    const server = await helpers.createTestServer(() => pairData);
+
+    await helpers.runCheck('backtest job completes every fold', async () => {
+        const tensorsBefore = tf.memory().numTensors;
+
+        // What POST /api/backtest/:pair starts
+        const job = server.startBacktestJob('TEST', {
+            modelTypes: ['lstm'],
+            trainWindow: 300,
+            testWindow: 60,
+            epochs: 1
+        });
+        await helpers.waitFor(() => job.status !== 'queued' && job.status !== 'running', 300000);
+
+        assert.strictEqual(job.status, 'completed', job.error);
+        assert.ok(job.totalFolds >= 2, 'several folds ran');
+        assert.strictEqual(job.fold, job.totalFolds);
+        assert.ok(job.result.period.bars > 0, 'test bars were traded');
+        assert.strictEqual(server.mlStorage.loadBacktestResults('TEST').backtests.slice(-1)[0].backtestId, job.jobId);
+
+        const leaked = tf.memory().numTensors - tensorsBefore;
+        assert.ok(leaked <= 0, `${leaked} tensors leaked`);
+    });
+}
+
+helpers.runSuite('Backtest', testBacktest, workDir);
@@ -0,0 +1,90 @@
+// Smoke test of storage backups: a restore brings back the backed-up champion
+// and its weights, and a weightless backup whose blobs were garbage-collected
+// is refused (409 from the route) without touching live storage.
+// Runs offline on synthetic bars.
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const helpers = require('./test-helpers');
+
+const workDir = helpers.useTestEnvironment({
+    ml: {
+        performance: {
+            tracking: { minImprovement: { manual: -1 } },
+            promotion: { margin: -1 }
+        }
+    }
+});
+
+async function testBackupRestore() {
+    console.log('🚀 Testing backup and restore...');
+
+    const BackupManager = require('../src/utils/BackupManager');
+
+    const pairData = helpers.syntheticPairData(400);
+    const server = await helpers.createTestServer(() => pairData);
+    const train = () => server.performModelTraining('TEST', 'lstm', { source: 'manual', epochs: 1 });
+    const championVersion = () => server.mlStorage.listVersions('TEST', 'lstm').champion;
+    const featureCount = () => server.featureCounts.TEST;
+
+    const first = await train();
+    assert.strictEqual(championVersion(), first.version);
+
+    await helpers.runCheck('restore round trip brings back the champion and its weights', async () => {
+        const backup = await server.backupManager.createBackup({ reason: 'test' });
+        assert.ok(backup.files.some(file => file.name.startsWith('blobs/test/')), 'backup holds weight blobs');
+
+        const second = await train();
+        assert.strictEqual(championVersion(), second.version);
+
+        const restore = await server.backupManager.restoreBackup(backup.name);
+        assert.strictEqual(restore.restored, true);
+        assert.ok(server.backupManager.getBackup(restore.safetyBackup), 'pre_restore backup exists');
+        assert.strictEqual(championVersion(), first.version);
+
+        const champion = await server.loadStoredChampion('TEST', 'lstm', featureCount());
+        assert.ok(champion, 'restored champion loads');
+        assert.strictEqual(champion.version, first.version);
+        champion.dispose();
+    });
+
+    await helpers.runCheck('weightless backup with collected blobs is refused', async () => {
+        const lightBackups = new BackupManager({
+            mlStorage: server.mlStorage,
+            enabled: false,
+            location: path.join('data', 'backups-light'),
+            includeWeights: false
+        });
+        const backup = await lightBackups.createBackup({ reason: 'light' });
+        assert.ok(!backup.files.some(file => file.name.startsWith('blobs/')), 'backup holds no blobs');
+
+        // As if the versions it references had been deleted and their blobs collected
+        const blobDir = server.mlStorage.getPairBlobDir('TEST');
+        server.backupManager.getReferencedBlobs('TEST')
+            .forEach(blob => fs.unlinkSync(path.join(blobDir, blob)));
+        const assetBefore = fs.readFileSync(server.mlStorage.getAssetFilePath('TEST'), 'utf8');
+
+        const restore = await lightBackups.restoreBackup(backup.name);
+        assert.strictEqual(restore.restored, false);
+        assert.ok(restore.missingBlobs.length > 0);
+        assert.ok(restore.missingBlobs.every(missing => missing.pair === 'TEST'));
+        assert.strictEqual(fs.readFileSync(server.mlStorage.getAssetFilePath('TEST'), 'utf8'), assetBefore);
+
+        // The route answers 409 through the server's own backup manager
+        server.backupManager = lightBackups;
+        const listener = server.app.listen(0);
+        try {
+            const response = await fetch(
+                `http://127.0.0.1:${listener.address().port}/api/storage/backups/${backup.name}/restore`,
+                { method: 'POST' }
+            );
+            const body = await response.json();
+            assert.strictEqual(response.status, 409);
+            assert.strictEqual(body.restore.missingBlobs.length, restore.missingBlobs.length);
+        } finally {
+            listener.close();
+        }
+    });
+}
+
+helpers.runSuite('Backup/restore', testBackupRestore, workDir);
@@ -0,0 +1,57 @@
+// Smoke test of the champion/challenger step: the first run becomes the
+// champion, and a challenger that does not beat it is stored but rejected,
+// with the stored champion served again. Runs offline on synthetic bars.
+const assert = require('assert');
+const helpers = require('./test-helpers');
+
+// A challenger would have to beat the champion by 100 percentage points
+const workDir = helpers.useTestEnvironment({
+    ml: {
+        performance: {
+            tracking: { minImprovement: { manual: -1 } },
+            promotion: { margin: 1 }
+        }
+    }
+});
+
+async function testChampionChallenger() {
+    console.log('🚀 Testing champion/challenger promotion...');
+
+    const pairData = helpers.syntheticPairData(400);
+    const server = await helpers.createTestServer(() => pairData);
+    const train = () => server.performModelTraining('TEST', 'lstm', { source: 'manual', epochs: 1 });
+
+    let championModel = null;
+
+    await helpers.runCheck('first run is promoted without a champion', async () => {
+        const result = await train();
+        assert.strictEqual(result.promotion.reason, 'no_champion');
+        assert.strictEqual(result.weightsSaved, true);
+        assert.strictEqual(server.mlStorage.listVersions('TEST', 'lstm').champion, result.version);
+
+        championModel = server.models.TEST.lstm;
+        assert.strictEqual(championModel.version, result.version);
+    });
+
+    await helpers.runCheck('losing challenger is stored, rejected and the champion served', async () => {
+        const championVersion = championModel.version;
+        const result = await train();
+
+        assert.strictEqual(result.promotion.reason, 'champion_retained');
+        assert.strictEqual(result.weightsSaved, false);
+        assert.notStrictEqual(result.version, championVersion);
+
+        const versions = server.mlStorage.listVersions('TEST', 'lstm');
+        assert.strictEqual(versions.champion, championVersion);
+        assert.ok(versions.versions.some(version => version.version === result.version));
+
+        // The trained instance was disposed; the champion was reloaded from storage
+        const live = server.models.TEST.lstm;
+        assert.notStrictEqual(live, championModel);
+        assert.strictEqual(live.version, championVersion);
+        assert.ok(live.model, 'served champion has a built model');
+        assert.strictEqual(championModel.model, null, 'trained challenger was disposed');
+    });
+}
+
+helpers.runSuite('Champion/challenger', testChampionChallenger, workDir);
@@ -0,0 +1,106 @@
+// Smoke test of purged, embargoed walk-forward splits: CrossValidator fold
+// plans and DataPreprocessor.splitData leave horizon + embargo rows between
+// every training set and the data it is scored on. Runs offline.
+const assert = require('assert');
+const helpers = require('./test-helpers');
+
+const workDir = helpers.useTestEnvironment();
+
+const CrossValidator = require('../src/data/CrossValidator');
+const DataPreprocessor = require('../src/data/DataPreprocessor');
+
+function assertPlanShape(plans, rowCount, options) {
+    const { sequenceLength, horizon, embargo } = options;
+
+    plans.forEach((plan, index) => {
+        // Purged rows' labels would reach the next set; embargoed rows sit before it
+        assert.strictEqual(plan.validation.start - plan.train.end, horizon + embargo, `fold ${plan.fold} train gap`);
+        assert.strictEqual(plan.test.start - plan.validation.end, horizon + embargo, `fold ${plan.fold} validation gap`);
+        assert.strictEqual(plan.purged, 2 * horizon);
+        assert.strictEqual(plan.embargoed, 2 * embargo);
+        assert.ok(plan.train.start >= sequenceLength - 1, 'first sequence is complete');
+
+        if (index > 0) {
+            assert.strictEqual(plan.test.start, plans[index - 1].test.end, 'test folds are contiguous');
+        }
+    });
+    assert.ok(plans[plans.length - 1].test.end <= rowCount);
+}
+
+async function testCrossValidation() {
+    console.log('🚀 Testing walk-forward cross-validation...');
+
+    const options = { sequenceLength: 10, horizon: 5, embargo: 3 };
+
+    await helpers.runCheck('expanding folds are purged and embargoed', async () => {
+        const validator = new CrossValidator({ mode: 'expanding', folds: 3, trainBlocks: 2, embargo: options.embargo });
+        const plans = validator.split(500, options);
+
+        assert.strictEqual(plans.length, 3);
+        assertPlanShape(plans, 500, options);
+        assert.ok(plans.every(plan => plan.train.start === options.sequenceLength - 1), 'windows start at the first row');
+        assert.ok(plans[2].train.end > plans[0].train.end, 'windows grow');
+    });
+
+    await helpers.runCheck('rolling folds keep a fixed-size window', async () => {
+        const validator = new CrossValidator({ mode: 'rolling', folds: 3, trainBlocks: 2, embargo: options.embargo });
+        const plans = validator.split(500, options);
+
+        assertPlanShape(plans, 500, options);
+        assert.ok(plans[1].train.start > plans[0].train.start, 'windows roll forward');
+        const windowSize = plan => plan.validation.end - plan.train.start;
+        assert.strictEqual(windowSize(plans[1]), windowSize(plans[2]));
+    });
+
+    await helpers.runCheck('purging follows bars when rows skip bars', async () => {
+        // Every row is two bars apart: only the 2 rows before a boundary have
+        // 5-bar labels reaching its first bar
+        const barIndices = Array.from({ length: 500 }, (_, row) => row * 2);
+        const validator = new CrossValidator({ folds: 2, embargo: 0 });
+        const plans = validator.split(500, { ...options, barIndices });
+
+        plans.forEach(plan => {
+            assert.strictEqual(plan.validation.start - plan.train.end, 2);
+            assert.ok(barIndices[plan.train.end - 1] + options.horizon < barIndices[plan.validation.start]);
+        });
+    });
+
+    await helpers.runCheck('too few rows are rejected', async () => {
+        const validator = new CrossValidator({ folds: 5, embargo: 20 });
+        assert.throws(() => validator.split(60, options), /Insufficient rows/);
+    });
+
+    await helpers.runCheck('fold metrics aggregate to mean and sample std', async () => {
+        const validator = new CrossValidator();
+        const { mean, std } = validator.aggregate([{ loss: 1 }, { loss: 2 }, { loss: 3 }]);
+        assert.strictEqual(mean.loss, 2);
+        assert.strictEqual(std.loss, 1);
+    });
+
+    await helpers.runCheck('splitData purges before the validation and test sets', async () => {
+        const tf = require('@tensorflow/tfjs');
+        const preprocessor = new DataPreprocessor({ testSplit: 0.2, validationSplit: 0.2 });
+        await preprocessor.ensureBackendReady();
+
+        // Sample i holds the value i, so the split positions can be read back
+        const X = tf.range(0, 100).reshape([100, 1, 1]);
+        const y = tf.range(0, 100);
+        const splits = preprocessor.splitData(X, y, { horizon: options.horizon, embargo: options.embargo });
+
+        const gap = options.horizon + options.embargo;
+        const trainEnd = splits.trainY.shape[0];
+        const validationStart = splits.validationY.dataSync()[0];
+        const testStart = splits.testY.dataSync()[0];
+        const validationEnd = validationStart + splits.validationY.shape[0];
+
+        assert.strictEqual(splits.purged, 2 * gap);
+        assert.strictEqual(validationStart - trainEnd, gap);
+        assert.strictEqual(testStart - validationEnd, gap);
+        assert.strictEqual(splits.testY.shape[0], 20);
+        assert.strictEqual(testStart + 20, 100);
+
+        tf.dispose([X, y, splits.trainX, splits.trainY, splits.validationX, splits.validationY, splits.testX, splits.testY]);
+    });
+}
+
+helpers.runSuite('Cross-validation', testCrossValidation, workDir);
@@ -0,0 +1,80 @@
+// Smoke test of periodic fine-tuning: a run right after a restart (nothing
+// loaded in memory) fine-tunes the stored champion and serves the result, a
+// run with frozen layers leaves them untouched and keeps the tensor count
+// flat, and a run without new bars is skipped. Runs offline on synthetic bars.
+const assert = require('assert');
+const helpers = require('./test-helpers');
+
+const workDir = helpers.useTestEnvironment({
+    ml: {
+        training: {
+            fineTune: { minNewSamples: 24 }
+        },
+        performance: {
+            tracking: { minImprovement: { manual: -1, periodic: -1 } },
+            promotion: { margin: -1 }
+        }
+    }
+});
+
+async function testFineTune() {
+    console.log('🚀 Testing periodic fine-tuning...');
+
+    const tf = require('@tensorflow/tfjs');
+
+    const pairData = helpers.syntheticPairData(560);
+    let bars = 400;
+    const server = await helpers.createTestServer(() => helpers.sliceBars(pairData, bars));
+    const fineTune = (overrides = true) =>
+        server.performModelTraining('TEST', 'lstm', { source: 'periodic', epochs: 1, fineTune: overrides });
+
+    const base = await server.performModelTraining('TEST', 'lstm', { source: 'manual', epochs: 1 });
+    assert.strictEqual(base.promotion.promoted, true);
+
+    await helpers.runCheck('fine-tunes the stored champion after a restart', async () => {
+        // Nothing loaded in memory, as after a restart
+        Object.keys(server.models).forEach(pair => {
+            Object.keys(server.models[pair]).forEach(modelType => server.unloadModel(pair, modelType));
+        });
+        server.models = {};
+
+        bars = 480;
+        const result = await fineTune();
+        assert.strictEqual(result.status, 'completed');
+        assert.strictEqual(result.parentVersion, base.version);
+        assert.strictEqual(result.fineTune.championVersion, base.version);
+        assert.ok(result.fineTune.newSamples >= 24);
+        assert.ok(result.fineTune.replaySamples > 0);
+        assert.strictEqual(result.promotion.promoted, true);
+        assert.strictEqual(server.models.TEST.lstm.version, result.version);
+    });
+
+    await helpers.runCheck('frozen layers keep their weights and no tensors leak', async () => {
+        const weightedLayers = () => server.models.TEST.lstm.model.layers.filter(layer => layer.weights.length > 0);
+        const firstLayerWeights = () => weightedLayers()[0].getWeights()[0].dataSync().slice();
+        const before = firstLayerWeights();
+        const tensorsBefore = tf.memory().numTensors;
+
+        bars = 560;
+        const result = await fineTune({ freezeLayers: 1 });
+        assert.strictEqual(result.status, 'completed');
+        assert.strictEqual(result.promotion.promoted, true);
+        assert.strictEqual(result.fineTune.freezeLayers, 1);
+
+        assert.deepStrictEqual(firstLayerWeights(), before);
+        assert.ok(weightedLayers().every(layer => layer.trainable), 'layers are unfrozen after training');
+        assert.strictEqual(server.models.TEST.lstm.learningRate, server.getModelConfig('lstm').learningRate);
+
+        const leaked = tf.memory().numTensors - tensorsBefore;
+        console.log(`   tensors before/after: ${tensorsBefore}/${tf.memory().numTensors}`);
+        assert.ok(leaked <= 0, `${leaked} tensors leaked`);
+    });
+
+    await helpers.runCheck('skips when there are no new bars', async () => {
+        const result = await fineTune();
+        assert.strictEqual(result.status, 'skipped');
+        assert.strictEqual(result.reason, 'insufficient_new_data');
+    });
+}
+
+helpers.runSuite('Fine-tune', testFineTune, workDir);
@@ -0,0 +1,157 @@
+// Offline fixtures for the smoke tests (test-champion-challenger.js,
+// test-backup-restore.js, ...): synthetic bars instead of trading-bot-core,
+// storage in a throwaway directory and training in-process (no worker threads).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BASE_CONFIG = {
+    ml: {
+        training: {
+            periodicTraining: false,
+            workers: { enabled: false },
+            scheduling: { enabled: false },
+            queue: { persistence: { enabled: false } }
+        },
+        storage: {
+            backup: { enabled: false }
+        }
+    }
+};
+
+function mergeConfig(base, overrides) {
+    const merged = { ...base };
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        merged[key] = value && typeof value === 'object' && !Array.isArray(value) ?
+            mergeConfig(base[key] || {}, value) :
+            value;
+    });
+    return merged;
+}
+
+// Must run before anything requires `config`, which reads NODE_CONFIG once.
+// Returns the working directory; data/ is written below it.
+function useTestEnvironment(configOverrides = {}) {
+    process.env.NODE_CONFIG_DIR = path.join(__dirname, '..', 'config');
+    process.env.NODE_CONFIG = JSON.stringify(mergeConfig(BASE_CONFIG, configOverrides));
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-ml-test-'));
+    process.chdir(workDir);
+    return workDir;
+}
+
+// Hourly bars of a noisy sine wave, in the shape DataClient.getPairData returns
+function syntheticPairData(bars, pair = 'TEST') {
+    const history = { closes: [], highs: [], lows: [], volumes: [], timestamps: [] };
+    const start = Date.UTC(2026, 0, 1);
+    let price = 100;
+
+    for (let i = 0; i < bars; i++) {
+        price *= 1 + Math.sin(i / 7) * 0.01 + (Math.random() - 0.5) * 0.01;
+        history.closes.push(price);
+        history.highs.push(price * 1.01);
+        history.lows.push(price * 0.99);
+        history.volumes.push(1000 + Math.random() * 100);
+        history.timestamps.push(start + i * 3600000);
+    }
+
+    return { pair, history, strategies: {} };
+}
+
+// The first `bars` bars of pairData, as if fetched earlier
+function sliceBars(pairData, bars) {
+    const history = {};
+    Object.entries(pairData.history).forEach(([key, values]) => {
+        history[key] = values.slice(0, bars);
+    });
+    return { ...pairData, history };
+}
+
+// An MLServer whose data client serves getPairData(pair) from memory
+async function createTestServer(getPairData) {
+    const tf = require('@tensorflow/tfjs');
+    const MLServer = require('../src/api/MLServer');
+
+    const server = new MLServer();
+    server.dataClient = {
+        baseUrl: 'offline',
+        getPairData: async pair => ({ ...getPairData(pair), pair }),
+        checkCoreHealth: async () => false
+    };
+
+    // Backend selection in the model modules runs asynchronously on require
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    await tf.ready();
+
+    return server;
+}
+
+// Poll until predicate() is truthy
+async function waitFor(predicate, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out after ${timeout}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+// Stand-in queue training function that runs until its signal is aborted:
+// a kept partial run resolves, a discarded one throws. Started job ids are
+// pushed to `started`.
+function stoppableTraining(started = []) {
+    return (pair, modelType, config, context) => new Promise((resolve, reject) => {
+        started.push(context.jobId);
+        context.signal.addEventListener('abort', () => {
+            if (context.signal.reason.keepPartial) {
+                resolve({ partial: true });
+            } else {
+                reject(context.signal.reason);
+            }
+        });
+    });
+}
+
+// Run a named async check, printing the outcome; failures set the exit code
+async function runCheck(name, check) {
+    try {
+        await check();
+        console.log(`✅ ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ ${name}: ${error.stack || error.message}`);
+        process.exitCode = 1;
+        return false;
+    }
+}
+
+function cleanup(workDir) {
+    process.chdir(os.tmpdir());
+    fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+// Run a test script's suite, then remove its working directory and exit
+function runSuite(name, suite, workDir) {
+    suite()
+        .catch(error => {
+            console.error(`❌ ${name} test failed:`, error);
+            process.exitCode = 1;
+        })
+        .finally(() => {
+            cleanup(workDir);
+            process.exit(process.exitCode || 0);
+        });
+}
+
+module.exports = {
+    useTestEnvironment,
+    syntheticPairData,
+    sliceBars,
+    createTestServer,
+    waitFor,
+    stoppableTraining,
+    runCheck,
+    cleanup,
+    runSuite
+};
@@ -0,0 +1,98 @@
+// Smoke test of the training queue: jobs survive a crash through the journal
+// (queued ones restored, the running one requeued as interrupted), and
+// cancelling discards or keeps a running job's result without a retry.
+// The training function is a stand-in, so no model is trained.
+const assert = require('assert');
+const path = require('path');
+const helpers = require('./test-helpers');
+
+const workDir = helpers.useTestEnvironment();
+
+const TrainingQueueManager = require('../src/utils/TrainingQueueManager');
+
+function createQueue(options = {}) {
+    return new TrainingQueueManager({
+        maxConcurrentTraining: 1,
+        processingInterval: 20,
+        trainingCooldown: 60000,
+        ...options
+    });
+}
+
+async function testQueue() {
+    console.log('🚀 Testing training queue journal and cancellation...');
+
+    await helpers.runCheck('journal restores queued and interrupted jobs after a crash', async () => {
+        const journalPath = path.join(workDir, 'data', 'ml', 'training-queue.json');
+        const crashed = createQueue({ journalPath, trainingFunction: helpers.stoppableTraining() });
+
+        const runningId = await crashed.addTrainingJob('BTC', 'lstm', { priority: 3 });
+        await helpers.waitFor(() => crashed.getJob(runningId).status === 'training');
+        const queuedId = await crashed.addTrainingJob('ETH', 'gru', { priority: 5 });
+
+        // No shutdown: the process died with one job running and one queued
+        crashed.stopQueueProcessor();
+
+        const started = [];
+        const restarted = createQueue({ journalPath, trainingFunction: helpers.stoppableTraining(started) });
+        restarted.stopQueueProcessor();
+
+        assert.strictEqual(restarted.lastRestore.queued, 1);
+        assert.strictEqual(restarted.lastRestore.interrupted, 1);
+        assert.strictEqual(restarted.lastRestore.requeued, 1);
+
+        const queued = restarted.getQueueStatus().queued.jobs.map(job => job.id);
+        assert.deepStrictEqual(queued, [runningId, queuedId]);
+        assert.ok(restarted.getJob(runningId).interruptedAt, 'running job is marked interrupted');
+
+        // The requeued job runs again as its second attempt
+        restarted.startQueueProcessor();
+        await helpers.waitFor(() => started.includes(runningId));
+        assert.strictEqual(restarted.getJob(runningId).attempts, 2);
+
+        restarted.stopQueueProcessor();
+        await restarted.cancelTraining(runningId);
+        await crashed.cancelTraining(runningId);
+    });
+
+    await helpers.runCheck('cancelling a running job discards it without retry or cooldown', async () => {
+        const queue = createQueue({ trainingFunction: helpers.stoppableTraining() });
+        const jobId = await queue.addTrainingJob('BTC', 'lstm');
+        await helpers.waitFor(() => queue.getJob(jobId).status === 'training');
+
+        const cancel = await queue.cancelTraining(jobId, 'Test');
+        assert.strictEqual(cancel.status, 'cancelling');
+        await helpers.waitFor(() => queue.getJob(jobId).status === 'cancelled');
+
+        const job = queue.getJob(jobId);
+        assert.strictEqual(job.attempts, 1);
+        assert.strictEqual(job.cancelReason, 'Test');
+        assert.strictEqual(queue.getQueueStatus().queued.count, 0);
+        assert.strictEqual(queue.isInCooldown('BTC', 'lstm'), false);
+        queue.stopQueueProcessor();
+    });
+
+    await helpers.runCheck('cancelling with keepPartial keeps the partial result', async () => {
+        const queue = createQueue({ trainingFunction: helpers.stoppableTraining() });
+        const jobId = await queue.addTrainingJob('BTC', 'lstm');
+        await helpers.waitFor(() => queue.getJob(jobId).status === 'training');
+
+        await queue.cancelTraining(jobId, 'Keep it', { keepPartial: true });
+        await helpers.waitFor(() => queue.getJob(jobId).status === 'cancelled');
+        assert.deepStrictEqual(queue.getJob(jobId).result, { partial: true });
+        queue.stopQueueProcessor();
+    });
+
+    await helpers.runCheck('cancelling a queued job removes it from the queue', async () => {
+        const queue = createQueue({ trainingFunction: helpers.stoppableTraining() });
+        queue.stopQueueProcessor();
+        const jobId = await queue.addTrainingJob('BTC', 'lstm');
+
+        const cancel = await queue.cancelTraining(jobId);
+        assert.strictEqual(cancel.status, 'cancelled');
+        assert.strictEqual(queue.getQueueStatus().queued.count, 0);
+        assert.strictEqual(queue.getJob(jobId).status, 'cancelled');
+    });
+}
+
+helpers.runSuite('Training queue', testQueue, workDir);
@@ -0,0 +1,152 @@
+// Smoke test of training schedule decisions: training windows and quiet hours
+// (including ones wrapping past midnight and in other timezones), priority
+// pair ordering, and the queue holding back or pausing jobs accordingly.
+// The training function is a stand-in, so no model is trained.
+const assert = require('assert');
+const helpers = require('./test-helpers');
+
+const workDir = helpers.useTestEnvironment();
+
+const TrainingScheduler = require('../src/training/TrainingScheduler');
+const TrainingQueueManager = require('../src/utils/TrainingQueueManager');
+
+const HOUR = 3600000;
+const at = time => Date.parse(`2026-03-10T${time}:00Z`);
+const heavyJob = { config: { source: 'manual' } };
+const lightJob = { config: { source: 'periodic' } };
+
+// 'HH:MM' in UTC, `hours` from now
+function utcTimeFromNow(hours) {
+    const date = new Date(Date.now() + hours * HOUR);
+    return date.toISOString().slice(11, 16);
+}
+
+async function testTrainingScheduler() {
+    console.log('🚀 Testing training schedule decisions...');
+
+    await helpers.runCheck('invalid windows are rejected', async () => {
+        assert.throws(() => new TrainingScheduler({ trainingWindow: { start: '24:00', end: '06:00' } }), /Invalid trainingWindow time/);
+        assert.throws(() => new TrainingScheduler({ quietHours: { start: '2:5', end: '06:00' } }), /Invalid quietHours time/);
+        assert.throws(() => new TrainingScheduler({ trainingWindow: { start: '02:00', end: '06:00', timezone: 'Mars/Base' } }), RangeError);
+        assert.throws(() => new TrainingScheduler({ quietHours: { start: '02:00', end: '06:00', action: 'stop' } }), /Unknown quietHours action/);
+    });
+
+    await helpers.runCheck('heavy jobs wait for the training window, light ones do not', async () => {
+        const scheduler = new TrainingScheduler({ trainingWindow: { start: '02:00', end: '06:00' } });
+
+        assert.deepStrictEqual(scheduler.canStart(heavyJob, at('03:00')), { allowed: true });
+        assert.deepStrictEqual(scheduler.canStart(lightJob, at('12:00')), { allowed: true });
+        assert.deepStrictEqual(scheduler.canStart(heavyJob, at('12:00')), {
+            allowed: false,
+            reason: 'outside_training_window',
+            until: at('02:00') + 24 * HOUR
+        });
+        // The end of the window is exclusive
+        assert.strictEqual(scheduler.canStart(heavyJob, at('06:00')).allowed, false);
+    });
+
+    await helpers.runCheck('windows wrap past midnight and follow their timezone', async () => {
+        const scheduler = new TrainingScheduler({ quietHours: { start: '22:00', end: '02:00', timezone: 'Asia/Tokyo' } });
+
+        // 22:00-02:00 in Tokyo (UTC+9) is 13:00-17:00 UTC
+        assert.strictEqual(scheduler.isQuiet(at('12:59')), false);
+        assert.strictEqual(scheduler.isQuiet(at('13:00')), true);
+        assert.strictEqual(scheduler.isQuiet(at('16:30')), true);
+        assert.strictEqual(scheduler.isQuiet(at('17:00')), false);
+        assert.deepStrictEqual(scheduler.canStart(lightJob, at('14:00')), {
+            allowed: false,
+            reason: 'quiet_hours',
+            until: at('17:00')
+        });
+    });
+
+    await helpers.runCheck('quiet hours over the window opening push the start back', async () => {
+        const scheduler = new TrainingScheduler({
+            trainingWindow: { start: '02:00', end: '06:00' },
+            quietHours: { start: '01:00', end: '03:00' }
+        });
+
+        const decision = scheduler.canStart(heavyJob, at('12:00'));
+        assert.strictEqual(decision.reason, 'outside_training_window');
+        assert.strictEqual(decision.until, at('03:00') + 24 * HOUR);
+    });
+
+    await helpers.runCheck('only the pause action stops running jobs', async () => {
+        const deferring = new TrainingScheduler({ quietHours: { start: '01:00', end: '03:00' } });
+        const pausing = new TrainingScheduler({ quietHours: { start: '01:00', end: '03:00', action: 'pause' } });
+        const disabled = new TrainingScheduler({ enabled: false, quietHours: { start: '01:00', end: '03:00', action: 'pause' } });
+
+        assert.strictEqual(deferring.shouldPause(at('02:00')), false);
+        assert.strictEqual(pausing.shouldPause(at('02:00')), true);
+        assert.strictEqual(pausing.shouldPause(at('04:00')), false);
+        assert.strictEqual(disabled.shouldPause(at('02:00')), false);
+        assert.deepStrictEqual(disabled.canStart(heavyJob, at('02:00')), { allowed: true });
+    });
+
+    await helpers.runCheck('priority pairs come first, then the least recently trained', async () => {
+        const scheduler = new TrainingScheduler({ priorityPairs: ['xmr', 'RVN'] });
+        const lastTrainedAt = { BTC: 300, ETH: 100, LTC: 0, RVN: 500, XMR: 900 };
+
+        const order = scheduler.orderPairs(['BTC', 'ETH', 'RVN', 'LTC', 'XMR'], pair => lastTrainedAt[pair]);
+        assert.deepStrictEqual(order, ['XMR', 'RVN', 'LTC', 'ETH', 'BTC']);
+    });
+
+    await helpers.runCheck('periodic cycles in quiet hours are planned as skipped', async () => {
+        const scheduler = new TrainingScheduler({ quietHours: { start: '01:00', end: '03:00' } });
+
+        const plan = scheduler.planPeriodicRuns(at('00:30'), HOUR, 4);
+        assert.deepStrictEqual(plan.map(run => run.runs), [true, false, false, true]);
+        assert.strictEqual(plan[1].reason, 'quiet_hours');
+        assert.strictEqual(plan[3].at, '2026-03-10T03:30:00.000Z');
+    });
+
+    await helpers.runCheck('the queue defers heavy jobs outside the window', async () => {
+        const started = [];
+        const queue = new TrainingQueueManager({
+            processingInterval: 20,
+            trainingFunction: helpers.stoppableTraining(started),
+            // Opens two hours from now
+            scheduler: new TrainingScheduler({
+                trainingWindow: { start: utcTimeFromNow(2), end: utcTimeFromNow(3) }
+            })
+        });
+
+        const heavyId = await queue.addTrainingJob('BTC', 'lstm', { source: 'manual', priority: 1 });
+        const lightId = await queue.addTrainingJob('ETH', 'lstm', { source: 'periodic', priority: 5 });
+        await helpers.waitFor(() => started.includes(lightId));
+
+        const heavy = queue.getJob(heavyId);
+        assert.strictEqual(heavy.status, 'queued');
+        assert.strictEqual(heavy.deferred.reason, 'outside_training_window');
+        assert.ok(heavy.deferred.until > Date.now() + HOUR);
+
+        queue.stopQueueProcessor();
+        await queue.cancelTraining(lightId);
+    });
+
+    await helpers.runCheck('the queue requeues running jobs when quiet hours pause them', async () => {
+        const started = [];
+        const queue = new TrainingQueueManager({
+            processingInterval: 20,
+            trainingFunction: helpers.stoppableTraining(started)
+        });
+        const jobId = await queue.addTrainingJob('BTC', 'lstm', { source: 'periodic' });
+        await helpers.waitFor(() => queue.getJob(jobId).status === 'training');
+
+        // Quiet hours begin around the running job
+        queue.scheduler = new TrainingScheduler({
+            quietHours: { start: utcTimeFromNow(-1), end: utcTimeFromNow(1), action: 'pause' }
+        });
+        await helpers.waitFor(() => queue.getJob(jobId).status === 'queued' && queue.getJob(jobId).deferred);
+
+        const job = queue.getJob(jobId);
+        assert.strictEqual(job.deferred.reason, 'quiet_hours');
+        assert.strictEqual(started.length, 1, 'not restarted during quiet hours');
+        assert.strictEqual(queue.getQueueStatus().queued.count, 1);
+
+        queue.stopQueueProcessor();
+        await queue.cancelTraining(jobId);
+    });
+}
+
+helpers.runSuite('Training scheduler', testTrainingScheduler, workDir);
@@ -8,7 +8,22 @@ const GRUModel = require("../models/GRUModel");
 const CNNModel = require("../models/CNNModel");
 const TransformerModel = require("../models/TransformerModel");
 const ModelEnsemble = require("../models/ModelEnsemble");
-const { Logger, MLStorage, TrainingQueueManager } = require("../utils");
+const OutputHead = require("../models/OutputHead");
+const { toLayersModelArtifacts } = require("../utils/LayersModelExport");
+const { freezeLowerLayers, unfreezeLayers, recompile } = require("../utils/LayerFreezing");
+const BacktestEngine = require("../backtest/BacktestEngine");
+const ModelEvaluator = require("../evaluation/ModelEvaluator");
+const TrainingWorkerPool = require("../training/TrainingWorkerPool");
+const HyperparameterSearch = require("../training/HyperparameterSearch");
+const TrainingScheduler = require("../training/TrainingScheduler");
+const {
+  Logger,
+  MLStorage,
+  TrainingQueueManager,
+  PredictionOutcomeResolver,
+  BackupManager,
+  ModelBundle,
+} = require("../utils");
 
 class MLServer {
     // 🔧 FINAL FIX: Add static class-level flags to prevent ALL duplicates
@@ -26,16 +41,19 @@ class MLServer {
     this.dataClient = null;
     this.featureExtractor = null;
     this.preprocessor = null;
+    this.modelEvaluator = null;
     this.models = {}; // Store individual models for each pair
     this.ensembles = {}; // Store ensemble models for each pair
     this.predictions = {}; // Cache recent predictions
     this.mlStorage = null; // Advanced persistence
     this.featureCounts = {}; // Track feature count per pair
+    this.backtestJobs = new Map(); // Async backtest jobs by jobId
 
     // Enhanced caching for better performance
     this.predictionCache = new Map(); // Fast prediction cache
     this.featureCache = new Map(); // Feature cache
     this.modelStatusCache = new Map(); // Model status cache
+    this.layersModelExports = new Map(); // TF.js model.json exports by pair:modelType:version
     this.lastHealthCheck = null; // Health check cache
 
     // Model configuration - NOW READS FROM CONFIG
@@ -85,13 +103,39 @@ class MLServer {
 
   // 🔧 NEW: Synchronous training queue initialization to prevent timing issues
   initializeTrainingQueueSynchronous() {
+    // Training window, quiet hours and pair priority; invalid times fail startup
+    this.trainingScheduler = new TrainingScheduler({
+      ...config.get("ml.training.scheduling"),
+      quietHours: config.get("ml.training.quietHours"),
+    });
+
     try {
       console.log("🔧 Creating TrainingQueueManager synchronously...");
       
+      const persistence = config.get("ml.training.queue.persistence");
+      const maxConcurrentTraining = config.get("ml.training.maxConcurrent");
       this.trainingQueue = new TrainingQueueManager({
-        maxConcurrentTraining: 1, // Only 1 training at a time
+        maxConcurrentTraining, // One job per training worker
         trainingCooldown: 1800000, // 30 minutes between training sessions
         processingInterval: 5000, // Check queue every 5 seconds
+        // Every job runs through performModelTraining, so jobs journal as plain configs
+        trainingFunction: (pair, modelType, jobConfig, context) =>
+          this.performModelTraining(pair, modelType, jobConfig, context),
+        journalPath: persistence.enabled ? persistence.path : null,
+        requeueInterrupted: persistence.requeueInterrupted,
+        maxHistory: persistence.maxHistory,
+        keepPartialOnCancel: config.get("ml.training.cancellation.keepPartial"),
+        maxJobEvents: config.get("ml.training.events.maxPerJob"),
+        scheduler: this.trainingScheduler,
+      });
+
+      // Search trials run through the same queue, at the lowest priority
+      this.hyperparameterSearch = new HyperparameterSearch({
+        trainingQueue: this.trainingQueue,
+        storage: this.mlStorage,
+        settings: config.get("ml.performance.optimization.hyperparameterSearch"),
+        enabled: config.get("features.experimental.hyperparameterOptimization"),
+        maxSequenceLength: this.getSequenceLength(),
       });
 
       console.log("🔧 TrainingQueueManager created, now initializing periodic training...");
@@ -103,7 +147,7 @@ class MLServer {
       }, 1000); // 1 second delay to ensure everything is ready
 
       Logger.info("Training queue manager initialized synchronously", {
-        maxConcurrentTraining: 1,
+        maxConcurrentTraining,
         cooldownMinutes: 30,
       });
       
@@ -126,6 +170,7 @@ class MLServer {
         emergencyStop: () => ({ queuedJobsCancelled: 0, activeJobsMarked: 0 }),
         clearCooldown: () => false,
         clearAllCooldowns: () => 0,
+        getLastTrainedAt: () => 0,
         maxConcurrentTraining: 1,
         trainingCooldown: 1800000,
         shutdown: () => Promise.resolve(),
@@ -192,7 +237,15 @@ class MLServer {
     this.featureExtractor = new FeatureExtractor(config.get("ml.features"));
 
     // Initialize data preprocessor
-    this.preprocessor = new DataPreprocessor(config.get("ml.models.lstm"));
+    this.preprocessor = new DataPreprocessor({
+      ...config.get("ml.models.lstm"),
+      crossValidation: config.get("ml.training.crossValidation"),
+    });
+
+    // Held-out test split scoring; the tracked metrics decide which runs are saved
+    this.modelEvaluator = new ModelEvaluator({
+      metrics: config.get("ml.performance.tracking.metrics"),
+    });
 
     // Initialize advanced ML storage with NEW consolidated format
     this.mlStorage = new MLStorage({
@@ -200,6 +253,37 @@ class MLServer {
       saveInterval: config.get("ml.storage.saveInterval"),
       maxAgeHours: config.get("ml.storage.maxAgeHours"),
       enableCache: config.get("ml.storage.enableCache"),
+      maxPreviousChampions: config.get("ml.performance.promotion.maxPreviousChampions"),
+      maxRegistryVersions: config.get("ml.storage.registry.maxVersions"),
+      compression: config.get("ml.storage.compression"),
+    });
+
+    // Resolve stored predictions against realised prices and feed ensemble weights
+    this.outcomeResolver = new PredictionOutcomeResolver({
+      mlStorage: this.mlStorage,
+      dataClient: this.dataClient,
+      getEnsemble: (pair) => this.ensembles[pair] || null,
+      interval: config.get("ml.ensemble.outcomeResolver.interval"),
+      performanceWindow: config.get("ml.ensemble.performanceWindow"),
+    });
+
+    // model.fit runs in worker threads (one per concurrent training job) so
+    // training does not block prediction requests
+    this.trainingWorkers = config.get("ml.training.workers.enabled")
+      ? new TrainingWorkerPool({ size: config.get("ml.training.maxConcurrent") })
+      : null;
+
+    // Export/import of a pair's trained models as a self-contained bundle
+    this.modelBundle = new ModelBundle({ mlStorage: this.mlStorage });
+
+    // Timestamped snapshots of the consolidated storage (ml.storage.backup)
+    this.backupManager = new BackupManager({
+      mlStorage: this.mlStorage,
+      enabled: config.get("ml.storage.backup.enabled"),
+      interval: config.get("ml.storage.backup.interval"),
+      retention: config.get("ml.storage.backup.retention"),
+      location: config.get("ml.storage.backup.location"),
+      includeWeights: config.get("ml.storage.backup.includeWeights"),
     });
 
     Logger.info("ML services initialized successfully", {
@@ -297,6 +381,7 @@ class MLServer {
   });
 
   // 🔧 CRITICAL: Single timer creation with absolute verification
+  this.periodicTimerStartedAt = Date.now(); // Ticks fall on multiples of the interval from here
   this.periodicTrainingTimer = setInterval(async () => {
     try {
       await this.performPeriodicTraining();
@@ -360,6 +445,14 @@ class MLServer {
       return;
     }
 
+    // Nothing starts during quiet hours, so queue nothing either
+    if (this.trainingScheduler.isQuiet()) {
+      Logger.info("🤫 Quiet hours, skipping periodic training cycle", {
+        quietHours: this.trainingScheduler.getStatus().quietHours,
+      });
+      return;
+    }
+
     // 🔧 CRITICAL: Atomic flag setting to prevent race conditions
     this.periodicTrainingRunning = true;
     this.isPeriodicTrainingActive = true;
@@ -386,9 +479,8 @@ class MLServer {
         return;
       }
 
-      // 🔧 ENHANCED: Process more pairs but with better management
-      const maxPairs = Math.min(activePairs.length, 4); // Increased from 2 to 4
-      const limitedPairs = activePairs.slice(0, maxPairs);
+      // Priority pairs first, then the pairs trained longest ago
+      const limitedPairs = this.getPeriodicCyclePairs(activePairs);
 
       Logger.info(
         `📊 Periodic training cycle for ${limitedPairs.length} pairs: ${limitedPairs.join(", ")}`,
@@ -493,7 +585,6 @@ class MLServer {
             const jobId = await this.trainingQueue.addTrainingJob(
               pair,
               modelType,
-              this.performModelTraining.bind(this),
               periodicConfig
             );
 
@@ -732,18 +823,65 @@ class MLServer {
   }
 
   // Add periodic training status to health endpoint
-  getPeriodicTrainingStatus() {
+  // The pairs one periodic cycle trains, in scheduler order
+  getPeriodicCyclePairs(activePairs) {
+    const orderedPairs = this.trainingScheduler.orderPairs(activePairs, (pair) =>
+      this.trainingQueue.getLastTrainedAt(pair)
+    );
+    return orderedPairs.slice(0, config.get("ml.training.scheduling.maxPairsPerCycle"));
+  }
+
+  // Time of the periodic timer's next tick (null when it is not running)
+  getNextPeriodicTick() {
+    if (!this.periodicTrainingTimer) {
+      return null;
+    }
+    const elapsed = Date.now() - this.periodicTimerStartedAt;
+    return this.periodicTimerStartedAt + Math.max(1, Math.ceil(elapsed / this.periodicTrainingInterval)) * this.periodicTrainingInterval;
+  }
+
+  // Upcoming periodic cycles (with the pairs they would train, when activePairs
+  // is given) and the queued jobs the scheduler is holding back, soonest first
+  getNextPlannedRuns(activePairs = null) {
+    const nextTick = this.getNextPeriodicTick();
+    const cyclePairs = activePairs ? this.getPeriodicCyclePairs(activePairs) : null;
+    const periodicRuns = nextTick
+      ? this.trainingScheduler.planPeriodicRuns(nextTick, this.periodicTrainingInterval).map((run) => ({
+          type: "periodic",
+          ...run,
+          pairs: run.runs ? cyclePairs : [],
+        }))
+      : [];
+
+    const deferredJobs = this.trainingQueue
+      .getQueueStatus()
+      .queued.jobs.filter((job) => job.deferred)
+      .map((job) => ({
+        type: "job",
+        at: new Date(job.deferred.until).toISOString(),
+        reason: job.deferred.reason,
+        jobId: job.id,
+        pair: job.pair,
+        modelType: job.modelType,
+      }));
+
+    return [...periodicRuns, ...deferredJobs].sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  // activePairs (optional) lets nextRuns list the pairs each cycle would train
+  getPeriodicTrainingStatus(activePairs = null) {
     if (!this.periodicTrainingEnabled) {
       return {
         enabled: false,
         status: "disabled",
         reason: "Disabled in configuration or manually stopped",
+        schedule: this.trainingScheduler.getStatus(),
+        nextRuns: this.getNextPlannedRuns(),
       };
     }
 
-    const nextTraining = this.periodicTrainingTimer
-      ? new Date(Date.now() + this.periodicTrainingInterval)
-      : null;
+    const nextTick = this.getNextPeriodicTick();
+    const nextTraining = nextTick ? new Date(nextTick) : null;
 
     return {
       enabled: true,
@@ -753,6 +891,8 @@ class MLServer {
       nextTraining: nextTraining ? nextTraining.toISOString() : null,
       config: this.periodicTrainingConfig,
       modelsToTrain: this.enabledModels,
+      schedule: this.trainingScheduler.getStatus(),
+      nextRuns: this.getNextPlannedRuns(activePairs),
       flags: {
         initialized: this.periodicTrainingInitialized,
         running: this.periodicTrainingRunning,
@@ -884,6 +1024,37 @@ class MLServer {
       }
     });
 
+    // Resolved prediction accuracy (rolling performanceWindow and all-time)
+    this.app.get("/api/predictions/:pair/accuracy", (req, res) => {
+      try {
+        const pair = req.params.pair.toUpperCase();
+        const accuracy = this.outcomeResolver.getAccuracy(pair);
+        const ensemble = this.ensembles[pair];
+
+        res.json({
+          ...accuracy,
+          ensemble: ensemble
+            ? {
+                weights: ensemble.weights,
+                autoUpdateWeights: ensemble.autoUpdateWeights,
+                lastEvaluation: ensemble.lastEvaluation,
+              }
+            : null,
+          resolver: this.outcomeResolver.getStatus(),
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error(`Failed to get prediction accuracy for ${req.params.pair}`, {
+          error: error.message,
+        });
+        res.status(500).json({
+          error: "Failed to get prediction accuracy",
+          message: error.message,
+          pair: req.params.pair.toUpperCase(),
+        });
+      }
+    });
+
     // ENHANCED prediction endpoint with full ensemble support
     this.app.get("/api/predictions/:pair", async (req, res) => {
       const requestStart = Date.now();
@@ -964,6 +1135,7 @@ class MLServer {
             useEnsemble: useEnsemble && !singleModel,
             strategy: useEnsemble && !singleModel ? strategy : null,
             singleModel: singleModel || null,
+            modelVersions: this.getModelVersions(pair, singleModel),
           })
           .catch((error) => {
             Logger.warn("Failed to save prediction history", {
@@ -988,6 +1160,9 @@ class MLServer {
     // Continue with remaining routes...
     this.setupTrainingRoutes();
     this.setupModelRoutes();
+    this.setupBacktestRoutes();
+    this.setupRegistryRoutes();
+    this.setupHyperparameterRoutes();
     this.setupUtilityRoutes();
   }
 
@@ -999,6 +1174,7 @@ class MLServer {
         const queueStatus = this.trainingQueue.getQueueStatus();
         res.json({
           queue: queueStatus,
+          workers: this.trainingWorkers ? this.trainingWorkers.getStatus() : null,
           concurrentPrevention: {
             periodicRunning: this.periodicTrainingRunning,
             periodicActive: this.isPeriodicTrainingActive,
@@ -1019,6 +1195,60 @@ class MLServer {
       }
     });
 
+    // Live events for every job: status transitions and per-epoch progress.
+    // ?pair= limits the stream to one pair. Starts with a queue snapshot.
+    this.app.get("/api/training/stream", (req, res) => {
+      const pair = req.query.pair ? req.query.pair.toUpperCase() : null;
+      const stream = this.openEventStream(req, res);
+
+      stream.send({ type: "snapshot", queue: this.trainingQueue.getQueueStatus() });
+      stream.subscribe((event) => !pair || event.pair === pair);
+    });
+
+    // Live events for one job. Recorded events are replayed first (after the
+    // Last-Event-ID header or ?since=), and the stream ends once the job finishes.
+    this.app.get("/api/training/job/:jobId/stream", (req, res) => {
+      const jobId = req.params.jobId;
+      const job = this.trainingQueue.getJob(jobId);
+      if (!job) {
+        return res.status(404).json({ error: "Training job not found", jobId });
+      }
+
+      const since = parseInt(req.get("Last-Event-ID") || req.query.since, 10) || 0;
+      const stream = this.openEventStream(req, res);
+
+      this.trainingQueue.getJobEvents(jobId, since).forEach((event) => stream.send(event));
+      if (this.trainingQueue.isFinalStatus(job.status)) {
+        return stream.end();
+      }
+
+      stream.subscribe((event) => event.jobId === jobId, (event) =>
+        event.type === "status" && this.trainingQueue.isFinalStatus(event.status)
+      );
+    });
+
+    // Recorded events of a queued, running or finished job
+    this.app.get("/api/training/job/:jobId/events", (req, res) => {
+      const jobId = req.params.jobId;
+      const since = parseInt(req.query.since, 10) || 0;
+      const job = this.trainingQueue.getJob(jobId);
+      if (!job) {
+        return res.status(404).json({ error: "Training job not found", jobId });
+      }
+
+      const events = this.trainingQueue.getJobEvents(jobId, since);
+      const type = req.query.type;
+      res.json({
+        jobId,
+        pair: job.pair,
+        modelType: job.modelType,
+        status: job.status,
+        progress: job.progress || null,
+        events: type ? events.filter((event) => event.type === type) : events,
+        timestamp: Date.now(),
+      });
+    });
+
     // Enhanced training endpoint - supports all model types with PRIORITY
     this.app.post("/api/train/:pair/:modelType?", async (req, res) => {
       try {
@@ -1038,6 +1268,16 @@ class MLServer {
         // Mark as manual training
         trainingConfig.source = "manual";
 
+        // ?fineTune=true|false overrides fine-tuning from the stored champion
+        if (req.query.fineTune !== undefined) {
+          trainingConfig.fineTune = req.query.fineTune === "true";
+        }
+
+        // ?crossValidate=true|false overrides ml.training.crossValidation.enabled
+        if (req.query.crossValidate !== undefined) {
+          trainingConfig.crossValidate = req.query.crossValidate === "true";
+        }
+
         // If no model type specified, train all enabled models
         const modelsToTrain = modelType ? [modelType] : this.enabledModels;
 
@@ -1061,7 +1301,6 @@ class MLServer {
             const jobId = await this.trainingQueue.addTrainingJob(
               pair,
               model,
-              this.performModelTraining.bind(this), // Bind training function
               {
                 ...trainingConfig,
                 priority: trainingConfig.priority, // Manual priority (1-7)
@@ -1070,6 +1309,9 @@ class MLServer {
               }
             );
 
+            // Manual runs are heavy: outside the training window they wait for it
+            const schedule = this.trainingScheduler.canStart({ config: trainingConfig });
+
             results.push({
               pair,
               modelType: model,
@@ -1077,6 +1319,8 @@ class MLServer {
               status: "queued",
               priority: trainingConfig.priority,
               source: "manual",
+              deferredUntil: schedule.allowed ? null : new Date(schedule.until).toISOString(),
+              deferReason: schedule.allowed ? null : schedule.reason,
             });
           } catch (error) {
             results.push({
@@ -1106,21 +1350,31 @@ class MLServer {
       }
     });
 
-    // Cancel training job
+    // Cancel training job. A running job stops after its current batch;
+    // ?keepPartial=true keeps (and evaluates) the partially trained model
     this.app.delete("/api/training/job/:jobId", async (req, res) => {
       try {
         const jobId = req.params.jobId;
-        const reason = req.body.reason || "User requested cancellation";
+        const reason =
+          req.query.reason || (req.body && req.body.reason) || "User requested cancellation";
+        const options = {};
+        if (req.query.keepPartial !== undefined) {
+          options.keepPartial = req.query.keepPartial === "true";
+        }
 
         const cancelled = await this.trainingQueue.cancelTraining(
           jobId,
-          reason
+          reason,
+          options
         );
 
         if (cancelled) {
           res.json({
-            message: "Training job cancelled",
-            jobId,
+            message:
+              cancelled.status === "cancelling"
+                ? "Training job cancelling, it stops after the current batch"
+                : "Training job cancelled",
+            ...cancelled,
             reason,
             timestamp: Date.now(),
           });
@@ -1142,7 +1396,8 @@ class MLServer {
       }
     });
 
-    // Emergency stop all training
+    // Emergency stop all training: running jobs stop after their current batch
+    // and their partial models are discarded
     this.app.post("/api/training/emergency-stop", (req, res) => {
       try {
         const result = this.trainingQueue.emergencyStop();
@@ -1243,6 +1498,7 @@ class MLServer {
                   layers: model.model?.layers?.length || 0,
                   isCompiled: model.isCompiled || false,
                   isTraining: model.isTraining || false,
+                  version: model.version || null,
                 }
               : null,
             training: trainingStatus[modelType],
@@ -1294,414 +1550,1189 @@ class MLServer {
         });
       }
     });
-  }
 
-  // Utility routes
-  setupUtilityRoutes() {
-    // Fast features endpoint with caching
-    this.app.get("/api/features/:pair", async (req, res) => {
+    // Transformer attention over the current inference window - which past
+    // bars the prediction attended to, per encoder layer and head
+    this.app.get("/api/models/:pair/transformer/attention", async (req, res) => {
       try {
         const pair = req.params.pair.toUpperCase();
+        const layerFilter =
+          req.query.layer !== undefined ? parseInt(req.query.layer) : null;
 
-        // Check cache first
-        const cacheKey = `features_${pair}`;
-        const cached = this.featureCache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < 300000) {
-          // 5 minute cache
-          return res.json({
-            ...cached.data,
-            cached: true,
-            cacheAge: Date.now() - cached.timestamp,
+        if (layerFilter !== null && (isNaN(layerFilter) || layerFilter < 0)) {
+          return res.status(400).json({
+            error: "Invalid layer",
+            message: "layer must be a non-negative integer",
+            pair,
           });
         }
 
-        // Extract features (this is the slow part)
-        const pairData = await this.dataClient.getPairData(pair);
-        const features = this.featureExtractor.extractFeatures(pairData);
-
-        // Update feature count tracking
-        this.featureCounts[pair] = features.features.length;
+        const hasModel = !!(this.models[pair] && this.models[pair].transformer);
+        if (!hasModel && !this.mlStorage.hasTrainedWeights(pair, "transformer")) {
+          return res.status(404).json({
+            error: "No trained transformer model",
+            message: `Train the transformer for ${pair} first`,
+            pair,
+          });
+        }
 
-        const featureData = {
+        const pairData = await this.dataClient.getPairData(pair);
+        const featureWindow = this.buildInferenceWindow(pairData);
+        const model = await this.getOrCreateModel(
           pair,
-          features: {
-            count: features.features.length,
-            names: features.featureNames,
-            values: features.features.slice(0, 10), // Only return first 10 values
-            metadata: features.metadata,
-          },
-          timestamp: Date.now(),
-          cached: false,
-        };
+          "transformer",
+          featureWindow.featureNames.length
+        );
 
-        // Cache the result
-        this.featureCache.set(cacheKey, {
-          data: featureData,
-          timestamp: Date.now(),
-        });
+        const inputData = await this.prepareRealTimeInput(
+          featureWindow,
+          model.scaler,
+          model.sequenceLength
+        );
 
-        res.json(featureData);
+        let attention;
+        try {
+          attention = await model.getAttentionWeights(inputData);
+        } finally {
+          inputData.dispose();
+        }
 
-        // Save to persistent cache (async, non-blocking)
-        this.mlStorage
-          .saveFeatureCache(pair, {
-            count: features.features.length,
-            names: features.featureNames,
-            values: features.features.slice(0, 10),
-            metadata: features.metadata,
-          })
-          .catch((error) => {
-            Logger.warn("Failed to save feature cache", {
-              error: error.message,
-            });
+        if (layerFilter !== null && layerFilter >= attention.numLayers) {
+          return res.status(400).json({
+            error: "Invalid layer",
+            message: `layer must be below ${attention.numLayers}`,
+            pair,
           });
+        }
+
+        res.json({
+          pair,
+          modelType: "transformer",
+          numLayers: attention.numLayers,
+          numHeads: attention.numHeads,
+          sequenceLength: attention.sequenceLength,
+          timestamps: featureWindow.timestamps,
+          barIndices: featureWindow.barIndices,
+          layers:
+            layerFilter !== null
+              ? [attention.layers[layerFilter]]
+              : attention.layers,
+          hasTrainedWeights: this.mlStorage.hasTrainedWeights(pair, "transformer"),
+          timestamp: Date.now(),
+        });
       } catch (error) {
-        Logger.error(`Feature extraction failed for ${req.params.pair}`, {
+        Logger.error(`Attention extraction failed for ${req.params.pair}`, {
           error: error.message,
         });
         res.status(500).json({
-          error: "Feature extraction failed",
+          error: "Attention extraction failed",
           message: error.message,
           pair: req.params.pair.toUpperCase(),
         });
       }
     });
 
-    // Storage stats endpoint
-    this.app.get("/api/storage/stats", (req, res) => {
+    // Self-contained bundle of a pair's champions (?models=lstm,gru for a subset)
+    this.app.get("/api/models/:pair/export", (req, res) => {
       try {
-        const stats = this.mlStorage.getStorageStats();
-        res.json({
-          storage: stats,
-          performance: {
-            predictionCacheSize: this.predictionCache.size,
-            featureCacheSize: this.featureCache.size,
-            modelStatusCacheSize: this.modelStatusCache.size,
+        const pair = req.params.pair.toUpperCase();
+        const modelTypes = req.query.models
+          ? req.query.models.split(",").map((type) => type.trim().toLowerCase())
+          : null;
+
+        const invalid = (modelTypes || []).filter((type) => !this.enabledModels.includes(type));
+        if (invalid.length > 0) {
+          return res.status(400).json({
+            error: "Invalid model type",
+            invalid,
+            validTypes: this.enabledModels,
+            pair,
+          });
+        }
+
+        const requested = modelTypes || this.enabledModels;
+        const trained = requested.filter((type) => this.mlStorage.hasTrainedWeights(pair, type));
+        if (trained.length === 0 || (modelTypes && trained.length < modelTypes.length)) {
+          return res.status(404).json({
+            error: "No trained models",
+            message: `No trained ${requested.filter((type) => !trained.includes(type)).join(", ")} model for ${pair}`,
+            pair,
+          });
+        }
+
+        const { buffer, manifest } = this.modelBundle.createBundle(pair, {
+          modelTypes: trained,
+          featureSchema: this.featureExtractor.getFeatureSchema(),
+          ensembleWeights: this.ensembles[pair]?.weights || this.mlStorage.getEnsembleWeights(pair),
+          metrics: {
+            predictionAccuracy: this.outcomeResolver.getAccuracy(pair),
           },
-          trainingQueue: this.trainingQueue.getQueueStatus(),
-          timestamp: Date.now(),
         });
+
+        const fileName = `${pair.toLowerCase()}-${Object.keys(manifest.models).join("-")}-${manifest.exportedAt}.tar.gz`;
+        res.set({
+          "Content-Type": "application/gzip",
+          "Content-Disposition": `attachment; filename="${fileName}"`,
+          "X-Bundle-Models": Object.keys(manifest.models).join(","),
+        });
+        res.send(buffer);
       } catch (error) {
-        Logger.error("Storage stats failed", { error: error.message });
+        Logger.error(`Bundle export failed for ${req.params.pair}`, {
+          error: error.message,
+        });
         res.status(500).json({
-          error: "Failed to get storage stats",
+          error: "Export failed",
           message: error.message,
+          pair: req.params.pair.toUpperCase(),
         });
       }
     });
 
-    // Storage migration endpoint
-    this.app.post('/api/storage/migrate', async (req, res) => {
+    // Install a bundle from /export; the raw .tar.gz is the request body.
+    // ?pair= installs under a different pair name.
+    this.app.post(
+      "/api/models/import",
+      express.raw({ type: () => true, limit: config.get("ml.storage.bundle.maxSize") }),
+      async (req, res) => {
         try {
-            Logger.info('Starting storage migration to consolidated format via API');
-            
-            // Check for different migration method names
-            let migrationMethod = null;
-            if (typeof this.mlStorage.migrateLegacyData === 'function') {
-                migrationMethod = 'migrateLegacyData';
-            } else if (typeof this.mlStorage.migrateFromOldFormat === 'function') {
-                migrationMethod = 'migrateFromOldFormat';
-            } else {
-                // List available methods for debugging
-                const availableMethods = Object.getOwnPropertyNames(Object.getPrototypeOf(this.mlStorage))
-                    .filter(name => typeof this.mlStorage[name] === 'function' && name.includes('migrat'));
-                
-                return res.status(501).json({
-                    error: 'Migration not supported',
-                    message: 'Migration functionality not available in current storage implementation',
-                    availableMigrationMethods: availableMethods,
-                    storageType: this.mlStorage.constructor.name,
-                    allMethods: Object.getOwnPropertyNames(Object.getPrototypeOf(this.mlStorage))
-                });
-            }
-            
-            Logger.info(`Using migration method: ${migrationMethod}`);
-            const migrationResults = await this.mlStorage[migrationMethod]();
-            
-            Logger.info('Storage migration completed via API', migrationResults);
-            
-            res.json({
-                message: 'Storage migration completed',
-                method: migrationMethod,
-                results: migrationResults,
-                timestamp: Date.now()
+          if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({
+              error: "Empty bundle",
+              message: "Send the bundle file as the request body",
             });
-            
-        } catch (error) {
-            Logger.error('Storage migration failed via API', { error: error.message });
-            res.status(500).json({
-                error: 'Migration failed',
-                message: error.message,
-                stack: error.stack,
-                timestamp: Date.now()
+          }
+
+          const bundle = this.modelBundle.readBundle(req.body, {
+            featureSchemaHash: this.featureExtractor.getFeatureSchemaHash(),
+            outputHeadSignature: this.getOutputHeadSignature(),
+            enabledModels: this.enabledModels,
+          });
+          if (bundle.errors.length > 0) {
+            return res.status(422).json({
+              error: "Invalid bundle",
+              errors: bundle.errors,
             });
-        }
-    });
+          }
 
-    // Get detailed asset information
-    this.app.get("/api/storage/asset/:pair", (req, res) => {
-      try {
-        const pair = req.params.pair.toUpperCase();
+          const pair = (req.query.pair || bundle.manifest.pair).toUpperCase();
+          const pinned = Object.keys(bundle.manifest.models).filter((modelType) =>
+            this.mlStorage.getTaggedVersion(pair, modelType, "production")
+          );
+          if (pinned.length > 0) {
+            return res.status(409).json({
+              error: "Version pinned",
+              message: `Remove the production tag from ${pinned.join(", ")} before importing`,
+              pair,
+            });
+          }
 
-        if (typeof this.mlStorage.getAssetInfo !== "function") {
-          return res.status(501).json({
-            error: "Asset info not supported",
-            message: "Asset information functionality not available",
+          const result = await this.modelBundle.installBundle(bundle, { pair });
+
+          // Serve the imported champions from the next request on
+          Object.keys(result.versions).forEach((modelType) => {
+            this.unloadModel(pair, modelType);
           });
-        }
+          this.discardEnsemble(pair);
 
-        const assetInfo = this.mlStorage.getAssetInfo(pair);
+          res.status(201).json({
+            message: "Bundle imported",
+            ...result,
+            timestamp: Date.now(),
+          });
+        } catch (error) {
+          Logger.error("Bundle import failed", { error: error.message });
+          res.status(500).json({
+            error: "Import failed",
+            message: error.message,
+          });
+        }
+      }
+    );
 
-        res.json({
-          asset: assetInfo,
-          timestamp: Date.now(),
+    // Standard TF.js LayersModel export, loadable with
+    //   tf.loadLayersModel("http://host:3001/api/models/BTC/lstm/tfjs/model.json")
+    // model.json references weights.bin relatively, and loaders forward the
+    // query string, so ?version=N applies to both files.
+    const sendLayersModelFile = async (req, res, file) => {
+      const pair = req.params.pair.toUpperCase();
+      const modelType = req.params.modelType.toLowerCase();
+      const version = req.query.version ? parseInt(req.query.version) : null;
+
+      if (!this.enabledModels.includes(modelType)) {
+        return res.status(400).json({
+          error: "Invalid model type",
+          validTypes: this.enabledModels,
+          pair,
+        });
+      }
+      if (req.query.version && !(version > 0)) {
+        return res.status(400).json({
+          error: "Invalid version",
+          message: "version must be a positive integer",
+          pair,
+          modelType,
         });
+      }
+
+      try {
+        const exported = await this.getLayersModelExport(pair, modelType, version);
+        if (!exported) {
+          return res.status(404).json({
+            error: "Model not found",
+            message: version
+              ? `${pair}:${modelType} has no registered version ${version}`
+              : `No trained ${modelType} model for ${pair}`,
+            pair,
+            modelType,
+          });
+        }
+
+        res.set("X-Model-Version", String(exported.modelJson.userDefinedMetadata.version || ""));
+        if (file === "model.json") {
+          res.json(exported.modelJson);
+        } else {
+          res.type("application/octet-stream").send(exported.weightData);
+        }
       } catch (error) {
-        Logger.error(`Failed to get asset info for ${req.params.pair}`, {
+        Logger.error(`TF.js export failed for ${pair}:${modelType}`, {
           error: error.message,
         });
         res.status(500).json({
-          error: "Failed to get asset information",
+          error: "Export failed",
           message: error.message,
-          pair: req.params.pair.toUpperCase(),
+          pair,
+          modelType,
+        });
+      }
+    };
+
+    this.app.get("/api/models/:pair/:modelType/tfjs/model.json", (req, res) =>
+      sendLayersModelFile(req, res, "model.json")
+    );
+    this.app.get("/api/models/:pair/:modelType/tfjs/weights.bin", (req, res) =>
+      sendLayersModelFile(req, res, "weights.bin")
+    );
+
+    // Champion, latest challenger, previous champions and promotion events
+    this.app.get("/api/models/:pair/:modelType/promotions", (req, res) => {
+      const pair = req.params.pair.toUpperCase();
+      const modelType = req.params.modelType.toLowerCase();
+
+      if (!this.enabledModels.includes(modelType)) {
+        return res.status(400).json({
+          error: "Invalid model type",
+          validTypes: this.enabledModels,
+          pair,
         });
       }
+
+      res.json({
+        pair,
+        modelType,
+        ...this.mlStorage.getPromotionInfo(pair, modelType),
+        timestamp: Date.now(),
+      });
     });
 
-    // Get list of all assets in consolidated storage
-    this.app.get("/api/storage/assets", (req, res) => {
+    // Restore the previous champion's weights, discarding the current champion
+    this.app.post("/api/models/:pair/:modelType/rollback", async (req, res) => {
       try {
-        const fs = require("fs");
-        const assets = [];
+        const pair = req.params.pair.toUpperCase();
+        const modelType = req.params.modelType.toLowerCase();
 
-        if (fs.existsSync(this.mlStorage.consolidatedDir)) {
-          const files = fs.readdirSync(this.mlStorage.consolidatedDir);
+        if (!this.enabledModels.includes(modelType)) {
+          return res.status(400).json({
+            error: "Invalid model type",
+            validTypes: this.enabledModels,
+            pair,
+          });
+        }
 
-          files.forEach((file) => {
-            if (file.endsWith("_complete.json")) {
-              const pair = file.replace("_complete.json", "").toUpperCase();
-              const filePath = this.mlStorage.getAssetFilePath(pair);
-              const fileStat = fs.statSync(filePath);
+        const activeJob = this.trainingQueue.findExistingJob(pair, modelType);
+        if (activeJob && activeJob.status === "training") {
+          return res.status(409).json({
+            error: "Training in progress",
+            message: `Wait for ${pair}:${modelType} training to finish before rolling back`,
+            jobId: activeJob.id,
+            pair,
+          });
+        }
 
-              try {
-                const assetData = this.mlStorage.loadAssetData(pair);
-                assets.push({
-                  pair: pair,
-                  file: file,
-                  size: fileStat.size,
-                  lastModified: fileStat.mtime.toISOString(),
-                  modelsCount: Object.keys(assetData.models || {}).length,
-                  trainingSessions:
-                    assetData.training?.totalTrainingSessions || 0,
-                  totalPredictions:
-                    assetData.predictions?.totalPredictions || 0,
-                  hasFeatureCache: !!assetData.features?.cache,
-                });
-              } catch (error) {
-                assets.push({
-                  pair: pair,
-                  file: file,
-                  size: fileStat.size,
-                  lastModified: fileStat.mtime.toISOString(),
-                  error: error.message,
-                });
-              }
-            }
+        const pinnedVersion = this.mlStorage.getTaggedVersion(pair, modelType, "production");
+        if (pinnedVersion) {
+          return res.status(409).json({
+            error: "Version pinned",
+            message: `v${pinnedVersion} is tagged production; remove the tag before rolling back`,
+            pair,
+          });
+        }
+
+        const rollback = await this.mlStorage.rollbackChampion(pair, modelType, {
+          source: "api",
+          reason: req.body?.reason || null,
+        });
+
+        if (!rollback) {
+          return res.status(404).json({
+            error: "No previous champion",
+            message: `No previous ${modelType} champion stored for ${pair}`,
+            pair,
           });
         }
 
+        // The next request loads the restored champion
+        this.unloadModel(pair, modelType);
+
+        Logger.info(`⏪ Rolled back ${pair}:${modelType} to previous champion`, rollback);
+
         res.json({
-          assets: assets,
-          count: assets.length,
-          storageFormat: "CONSOLIDATED_SINGLE_FILE",
-          consolidatedDir: this.mlStorage.consolidatedDir,
+          pair,
+          modelType,
+          rolledBack: true,
+          rollback,
           timestamp: Date.now(),
         });
       } catch (error) {
-        Logger.error("Failed to get assets list", { error: error.message });
+        Logger.error(`Rollback failed for ${req.params.pair}:${req.params.modelType}`, {
+          error: error.message,
+        });
         res.status(500).json({
-          error: "Failed to get assets list",
+          error: "Rollback failed",
           message: error.message,
+          pair: req.params.pair.toUpperCase(),
         });
       }
     });
+  }
 
-    // Force cleanup with consolidated storage
-    this.app.post("/api/storage/cleanup", async (req, res) => {
-      try {
-        const maxAgeHours = req.body.maxAgeHours || this.mlStorage.maxAgeHours;
+  // Versioned model registry: every trained model is a version with its
+  // training config, data range, feature schema, metrics and parent version
+  setupRegistryRoutes() {
+    // Resolve :pair/:modelType (and :version when present), or send the 400
+    const parseParams = (req, res) => {
+      const pair = req.params.pair.toUpperCase();
+      const modelType = req.params.modelType.toLowerCase();
+
+      if (!this.enabledModels.includes(modelType)) {
+        res.status(400).json({
+          error: "Invalid model type",
+          validTypes: this.enabledModels,
+          pair,
+        });
+        return null;
+      }
 
-        Logger.info(
-          `Starting consolidated storage cleanup via API, max age: ${maxAgeHours} hours`
-        );
+      const version =
+        req.params.version !== undefined ? parseInt(req.params.version) : null;
+      if (req.params.version !== undefined && (isNaN(version) || version < 1)) {
+        res.status(400).json({
+          error: "Invalid version",
+          message: "version must be a positive integer",
+          pair,
+        });
+        return null;
+      }
 
-        const cleanedItems = await this.mlStorage.cleanup(maxAgeHours);
+      return { pair, modelType, version };
+    };
 
-        Logger.info("Consolidated storage cleanup completed via API", {
-          cleanedItems,
-        });
+    const versionNotFound = (res, { pair, modelType }, version) =>
+      res.status(404).json({
+        error: "Version not found",
+        message: `No ${modelType} v${version} in the registry for ${pair}`,
+        pair,
+      });
 
-        res.json({
-          message: "Consolidated storage cleanup completed",
-          cleanedItems: cleanedItems,
-          maxAgeHours: maxAgeHours,
-          timestamp: Date.now(),
-        });
-      } catch (error) {
-        Logger.error("Consolidated storage cleanup failed via API", {
-          error: error.message,
-        });
-        res.status(500).json({
-          error: "Cleanup failed",
-          message: error.message,
+    // All versions, newest first, with the current tags and champion
+    this.app.get("/api/registry/:pair/:modelType", (req, res) => {
+      const params = parseParams(req, res);
+      if (!params) return;
+
+      res.json({
+        pair: params.pair,
+        modelType: params.modelType,
+        ...this.mlStorage.listVersions(params.pair, params.modelType),
+        timestamp: Date.now(),
+      });
+    });
+
+    this.app.get("/api/registry/:pair/:modelType/:version", (req, res) => {
+      const params = parseParams(req, res);
+      if (!params) return;
+
+      const version = this.mlStorage.getVersion(params.pair, params.modelType, params.version);
+      if (!version) {
+        return versionNotFound(res, params, params.version);
+      }
+
+      res.json({ pair: params.pair, ...version });
+    });
+
+    this.app.get("/api/registry/:pair/:modelType/:version/diff/:otherVersion", (req, res) => {
+      const params = parseParams(req, res);
+      if (!params) return;
+
+      const otherVersion = parseInt(req.params.otherVersion);
+      const diff = isNaN(otherVersion)
+        ? null
+        : this.mlStorage.diffVersions(params.pair, params.modelType, params.version, otherVersion);
+      if (!diff) {
+        return res.status(404).json({
+          error: "Version not found",
+          message: `Both v${params.version} and v${req.params.otherVersion} must exist in the registry`,
+          pair: params.pair,
         });
       }
+
+      res.json({ pair: params.pair, modelType: params.modelType, ...diff });
     });
 
-    // Force save all cached data
-    this.app.post("/api/storage/save", async (req, res) => {
+    // Tag a version; tagging `production` pins it as the served champion
+    this.app.put("/api/registry/:pair/:modelType/:version/tags/:tag", async (req, res) => {
       try {
-        Logger.info("Force saving consolidated storage via API");
+        const params = parseParams(req, res);
+        if (!params) return;
+
+        const tag = req.params.tag.toLowerCase();
+        if (!MLStorage.REGISTRY_TAGS.includes(tag)) {
+          return res.status(400).json({
+            error: "Invalid tag",
+            validTags: MLStorage.REGISTRY_TAGS,
+            pair: params.pair,
+          });
+        }
 
-        const savedCount = await this.mlStorage.forceSave();
+        const result = await this.mlStorage.tagVersion(params.pair, params.modelType, params.version, tag);
+        if (!result) {
+          return versionNotFound(res, params, params.version);
+        }
 
-        Logger.info("Force save completed via API", { savedCount });
+        // Serve the pinned weights from the next request on
+        if (result.pinned) {
+          this.unloadModel(params.pair, params.modelType);
+        }
 
-        res.json({
-          message: "Consolidated storage force save completed",
-          savedAssets: savedCount,
-          timestamp: Date.now(),
-        });
+        res.json({ pair: params.pair, modelType: params.modelType, ...result, timestamp: Date.now() });
       } catch (error) {
-        Logger.error("Force save failed via API", { error: error.message });
+        Logger.error(`Tagging failed for ${req.params.pair}:${req.params.modelType}`, {
+          error: error.message,
+        });
         res.status(500).json({
-          error: "Force save failed",
+          error: "Tagging failed",
           message: error.message,
+          pair: req.params.pair.toUpperCase(),
         });
       }
     });
 
-    // Storage health check
-    this.app.get("/api/storage/health", (req, res) => {
+    this.app.delete("/api/registry/:pair/:modelType/tags/:tag", async (req, res) => {
       try {
-        const fs = require("fs");
-        const health = {
-          status: "healthy",
-          storageFormat: "CONSOLIDATED_SINGLE_FILE",
-          baseDir: this.mlStorage.baseDir,
-          consolidatedDir: this.mlStorage.consolidatedDir,
-          directories: {
-            baseExists: fs.existsSync(this.mlStorage.baseDir),
-            consolidatedExists: fs.existsSync(this.mlStorage.consolidatedDir),
-          },
-          cache: {
-            assetDataCacheSize: this.mlStorage.assetDataCache?.size || 0,
-            enableCache: this.mlStorage.enableCache,
-          },
-          periodicSave: {
-            enabled: !!this.mlStorage.saveIntervalId,
-            interval: this.mlStorage.saveInterval,
-          },
-          trainedModels: this.mlStorage.getTrainedModelsList().length,
-          timestamp: Date.now(),
-        };
+        const params = parseParams(req, res);
+        if (!params) return;
 
-        // Check for any issues
-        if (
-          !health.directories.baseExists ||
-          !health.directories.consolidatedExists
-        ) {
-          health.status = "warning";
-          health.issues = ["Missing storage directories"];
+        const result = await this.mlStorage.removeTag(params.pair, params.modelType, req.params.tag.toLowerCase());
+        if (!result) {
+          return res.status(404).json({
+            error: "Tag not found",
+            message: `${req.params.tag} is not set for ${params.pair}:${params.modelType}`,
+            pair: params.pair,
+          });
         }
 
-        res.json(health);
+        res.json({ pair: params.pair, modelType: params.modelType, removed: true, ...result, timestamp: Date.now() });
       } catch (error) {
-        Logger.error("Storage health check failed", { error: error.message });
-        res.status(500).json({
-          status: "unhealthy",
+        Logger.error(`Tag removal failed for ${req.params.pair}:${req.params.modelType}`, {
           error: error.message,
-          timestamp: Date.now(),
+        });
+        res.status(500).json({
+          error: "Tag removal failed",
+          message: error.message,
+          pair: req.params.pair.toUpperCase(),
         });
       }
     });
 
-    // Get training history for a specific pair
-    this.app.get("/api/storage/training/:pair", (req, res) => {
+    this.app.delete("/api/registry/:pair/:modelType/:version", async (req, res) => {
       try {
-        const pair = req.params.pair.toUpperCase();
-        const trainingHistory = this.mlStorage.loadTrainingHistory(pair);
+        const params = parseParams(req, res);
+        if (!params) return;
 
-        if (!trainingHistory) {
-          return res.status(404).json({
-            error: "No training history found",
-            pair: pair,
+        const result = await this.mlStorage.deleteVersion(params.pair, params.modelType, params.version);
+        if (!result) {
+          return versionNotFound(res, params, params.version);
+        }
+        if (!result.deleted) {
+          return res.status(409).json({
+            error: "Version in use",
+            message: result.reason,
+            version: params.version,
+            pair: params.pair,
           });
         }
 
-        res.json({
-          ...trainingHistory,
-          timestamp: Date.now(),
-        });
+        res.json({ pair: params.pair, modelType: params.modelType, ...result, timestamp: Date.now() });
       } catch (error) {
-        Logger.error(`Failed to get training history for ${req.params.pair}`, {
+        Logger.error(`Version deletion failed for ${req.params.pair}:${req.params.modelType}`, {
           error: error.message,
         });
         res.status(500).json({
-          error: "Failed to get training history",
+          error: "Version deletion failed",
           message: error.message,
           pair: req.params.pair.toUpperCase(),
         });
       }
     });
+  }
 
-    // Get prediction history for a specific pair
-    this.app.get("/api/storage/predictions/:pair", (req, res) => {
-      try {
-        const pair = req.params.pair.toUpperCase();
-        const limit = parseInt(req.query.limit) || 100;
-        const predictionHistory = this.mlStorage.loadPredictionHistory(pair);
+  // Utility routes
+  // Hyperparameter search: start/cancel searches and read the per-pair leaderboards
+  setupHyperparameterRoutes() {
+    const positiveInt = (value) => {
+      const parsed = parseInt(value, 10);
+      return parsed > 0 ? parsed : undefined;
+    };
 
-        if (!predictionHistory) {
-          return res.status(404).json({
-            error: "No prediction history found",
-            pair: pair,
-          });
-        }
+    // Start a search; trials are queued at low priority and run in the background
+    this.app.post("/api/hyperparameters/:pair/:modelType/search", (req, res) => {
+      const pair = req.params.pair.toUpperCase();
+      const modelType = req.params.modelType.toLowerCase();
 
-        // Limit the number of predictions returned
-        if (
-          predictionHistory.predictions &&
-          predictionHistory.predictions.length > limit
-        ) {
-          predictionHistory.predictions = predictionHistory.predictions
-            .sort((a, b) => b.timestamp - a.timestamp)
-            .slice(0, limit);
-          predictionHistory.limited = true;
-          predictionHistory.limit = limit;
-        }
+      if (!config.get("features.experimental.hyperparameterOptimization")) {
+        return res.status(403).json({
+          error: "Hyperparameter optimization disabled",
+          message: "Set features.experimental.hyperparameterOptimization to true",
+          pair,
+        });
+      }
+      if (!this.enabledModels.includes(modelType)) {
+        return res.status(400).json({
+          error: "Invalid model type",
+          validTypes: this.enabledModels,
+          pair,
+        });
+      }
 
-        res.json({
-          ...predictionHistory,
+      const activeSearch = this.hyperparameterSearch.getActiveSearch(pair, modelType);
+      if (activeSearch) {
+        return res.status(409).json({
+          error: "Search already running",
+          searchId: activeSearch.id,
+          pair,
+        });
+      }
+
+      try {
+        const search = this.hyperparameterSearch.startSearch(pair, modelType, {
+          method: req.query.method,
+          trials: positiveInt(req.query.trials),
+          minEpochs: positiveInt(req.query.minEpochs),
+          maxEpochs: positiveInt(req.query.maxEpochs),
+          reductionFactor: positiveInt(req.query.reductionFactor),
+          folds: positiveInt(req.query.folds),
+        });
+
+        res.status(202).json({
+          message: "Hyperparameter search started",
+          search: { ...this.hyperparameterSearch.summarize(search), rungs: search.rungs },
           timestamp: Date.now(),
         });
       } catch (error) {
-        Logger.error(
-          `Failed to get prediction history for ${req.params.pair}`,
-          { error: error.message }
-        );
-        res.status(500).json({
-          error: "Failed to get prediction history",
+        res.status(400).json({
+          error: "Failed to start hyperparameter search",
           message: error.message,
-          pair: req.params.pair.toUpperCase(),
+          pair,
         });
       }
     });
 
-    // Updated API info endpoint
-    this.app.get("/api", (req, res) => {
+    this.app.get("/api/hyperparameters/searches", (req, res) => {
       res.json({
-        service: "trading-bot-ml-ensemble-enabled",
+        searches: this.hyperparameterSearch.listSearches(),
+        timestamp: Date.now(),
+      });
+    });
+
+    // Full search state: rungs, trials and each trial's per-rung results
+    this.app.get("/api/hyperparameters/searches/:searchId", (req, res) => {
+      const search = this.hyperparameterSearch.getSearch(req.params.searchId);
+      if (!search) {
+        return res.status(404).json({ error: "Search not found", searchId: req.params.searchId });
+      }
+      res.json({ search, timestamp: Date.now() });
+    });
+
+    this.app.delete("/api/hyperparameters/searches/:searchId", async (req, res) => {
+      try {
+        const cancelled = await this.hyperparameterSearch.cancelSearch(req.params.searchId);
+        if (!cancelled) {
+          return res.status(404).json({
+            error: "No running search with this id",
+            searchId: req.params.searchId,
+          });
+        }
+        res.json({ message: "Hyperparameter search cancelled", searchId: req.params.searchId, timestamp: Date.now() });
+      } catch (error) {
+        res.status(500).json({
+          error: "Failed to cancel hyperparameter search",
+          message: error.message,
+          searchId: req.params.searchId,
+        });
+      }
+    });
+
+    // Best config and leaderboard, per model type or for one
+    this.app.get("/api/hyperparameters/:pair/:modelType?", (req, res) => {
+      const pair = req.params.pair.toUpperCase();
+      const modelTypes = req.params.modelType ? [req.params.modelType.toLowerCase()] : this.enabledModels;
+
+      try {
+        const models = {};
+        modelTypes.forEach((modelType) => {
+          const results = this.hyperparameterSearch.getResults(pair, modelType);
+          const activeSearch = this.hyperparameterSearch.getActiveSearch(pair, modelType);
+          models[modelType] = {
+            best: results ? results.best : null,
+            leaderboard: results ? results.leaderboard : [],
+            searches: results ? results.searches : [],
+            applied: !!this.hyperparameterSearch.getBestParams(pair, modelType),
+            activeSearch: activeSearch ? activeSearch.id : null,
+          };
+        });
+
+        res.json({
+          pair,
+          enabled: config.get("features.experimental.hyperparameterOptimization"),
+          models,
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error(`Failed to get hyperparameters for ${pair}`, { error: error.message });
+        res.status(500).json({
+          error: "Failed to get hyperparameters",
+          message: error.message,
+          pair,
+        });
+      }
+    });
+  }
+
+  setupUtilityRoutes() {
+    // Fast features endpoint with caching
+    this.app.get("/api/features/:pair", async (req, res) => {
+      try {
+        const pair = req.params.pair.toUpperCase();
+
+        // Check cache first
+        const cacheKey = `features_${pair}`;
+        const cached = this.featureCache.get(cacheKey);
+        if (cached && Date.now() - cached.timestamp < 300000) {
+          // 5 minute cache
+          return res.json({
+            ...cached.data,
+            cached: true,
+            cacheAge: Date.now() - cached.timestamp,
+          });
+        }
+
+        // Extract features (this is the slow part)
+        const pairData = await this.dataClient.getPairData(pair);
+        const features = this.featureExtractor.extractFeatures(pairData);
+
+        // Update feature count tracking (models consume point-in-time rows)
+        const modelInputNames = this.featureExtractor.getPointInTimeFeatureNames();
+        this.featureCounts[pair] = modelInputNames.length;
+
+        const featureData = {
+          pair,
+          features: {
+            count: features.features.length,
+            names: features.featureNames,
+            values: features.features.slice(0, 10), // Only return first 10 values
+            metadata: features.metadata,
+          },
+          modelInput: {
+            count: modelInputNames.length,
+            names: modelInputNames,
+            sequenceLength: this.getSequenceLength(),
+          },
+          timestamp: Date.now(),
+          cached: false,
+        };
+
+        // Cache the result
+        this.featureCache.set(cacheKey, {
+          data: featureData,
+          timestamp: Date.now(),
+        });
+
+        res.json(featureData);
+
+        // Save to persistent cache (async, non-blocking)
+        this.mlStorage
+          .saveFeatureCache(pair, {
+            count: features.features.length,
+            names: features.featureNames,
+            values: features.features.slice(0, 10),
+            metadata: features.metadata,
+          })
+          .catch((error) => {
+            Logger.warn("Failed to save feature cache", {
+              error: error.message,
+            });
+          });
+      } catch (error) {
+        Logger.error(`Feature extraction failed for ${req.params.pair}`, {
+          error: error.message,
+        });
+        res.status(500).json({
+          error: "Feature extraction failed",
+          message: error.message,
+          pair: req.params.pair.toUpperCase(),
+        });
+      }
+    });
+
+    // Storage stats endpoint
+    this.app.get("/api/storage/stats", (req, res) => {
+      try {
+        const stats = this.mlStorage.getStorageStats();
+        res.json({
+          storage: stats,
+          performance: {
+            predictionCacheSize: this.predictionCache.size,
+            featureCacheSize: this.featureCache.size,
+            modelStatusCacheSize: this.modelStatusCache.size,
+          },
+          trainingQueue: this.trainingQueue.getQueueStatus(),
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error("Storage stats failed", { error: error.message });
+        res.status(500).json({
+          error: "Failed to get storage stats",
+          message: error.message,
+        });
+      }
+    });
+
+    // Storage migration endpoint
+    this.app.post('/api/storage/migrate', async (req, res) => {
+        try {
+            Logger.info('Starting storage migration to consolidated format via API');
+            
+            // Check for different migration method names
+            let migrationMethod = null;
+            if (typeof this.mlStorage.migrateLegacyData === 'function') {
+                migrationMethod = 'migrateLegacyData';
+            } else if (typeof this.mlStorage.migrateFromOldFormat === 'function') {
+                migrationMethod = 'migrateFromOldFormat';
+            } else {
+                // List available methods for debugging
+                const availableMethods = Object.getOwnPropertyNames(Object.getPrototypeOf(this.mlStorage))
+                    .filter(name => typeof this.mlStorage[name] === 'function' && name.includes('migrat'));
+                
+                return res.status(501).json({
+                    error: 'Migration not supported',
+                    message: 'Migration functionality not available in current storage implementation',
+                    availableMigrationMethods: availableMethods,
+                    storageType: this.mlStorage.constructor.name,
+                    allMethods: Object.getOwnPropertyNames(Object.getPrototypeOf(this.mlStorage))
+                });
+            }
+            
+            Logger.info(`Using migration method: ${migrationMethod}`);
+            const migrationResults = await this.mlStorage[migrationMethod]();
+            
+            Logger.info('Storage migration completed via API', migrationResults);
+            
+            res.json({
+                message: 'Storage migration completed',
+                method: migrationMethod,
+                results: migrationResults,
+                timestamp: Date.now()
+            });
+            
+        } catch (error) {
+            Logger.error('Storage migration failed via API', { error: error.message });
+            res.status(500).json({
+                error: 'Migration failed',
+                message: error.message,
+                stack: error.stack,
+                timestamp: Date.now()
+            });
+        }
+    });
+
+    // Get detailed asset information
+    this.app.get("/api/storage/asset/:pair", (req, res) => {
+      try {
+        const pair = req.params.pair.toUpperCase();
+
+        if (typeof this.mlStorage.getAssetInfo !== "function") {
+          return res.status(501).json({
+            error: "Asset info not supported",
+            message: "Asset information functionality not available",
+          });
+        }
+
+        const assetInfo = this.mlStorage.getAssetInfo(pair);
+
+        res.json({
+          asset: assetInfo,
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error(`Failed to get asset info for ${req.params.pair}`, {
+          error: error.message,
+        });
+        res.status(500).json({
+          error: "Failed to get asset information",
+          message: error.message,
+          pair: req.params.pair.toUpperCase(),
+        });
+      }
+    });
+
+    // Get list of all assets in consolidated storage
+    this.app.get("/api/storage/assets", (req, res) => {
+      try {
+        const fs = require("fs");
+        const assets = [];
+
+        if (fs.existsSync(this.mlStorage.consolidatedDir)) {
+          const files = fs.readdirSync(this.mlStorage.consolidatedDir);
+
+          files.forEach((file) => {
+            if (file.endsWith("_complete.json")) {
+              const pair = file.replace("_complete.json", "").toUpperCase();
+              const filePath = this.mlStorage.getAssetFilePath(pair);
+              const fileStat = fs.statSync(filePath);
+
+              try {
+                const assetData = this.mlStorage.loadAssetData(pair);
+                assets.push({
+                  pair: pair,
+                  file: file,
+                  size: fileStat.size,
+                  lastModified: fileStat.mtime.toISOString(),
+                  modelsCount: Object.keys(assetData.models || {}).length,
+                  trainingSessions:
+                    assetData.training?.totalTrainingSessions || 0,
+                  totalPredictions:
+                    assetData.predictions?.totalPredictions || 0,
+                  hasFeatureCache: !!assetData.features?.cache,
+                });
+              } catch (error) {
+                assets.push({
+                  pair: pair,
+                  file: file,
+                  size: fileStat.size,
+                  lastModified: fileStat.mtime.toISOString(),
+                  error: error.message,
+                });
+              }
+            }
+          });
+        }
+
+        res.json({
+          assets: assets,
+          count: assets.length,
+          storageFormat: "CONSOLIDATED_SINGLE_FILE",
+          consolidatedDir: this.mlStorage.consolidatedDir,
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error("Failed to get assets list", { error: error.message });
+        res.status(500).json({
+          error: "Failed to get assets list",
+          message: error.message,
+        });
+      }
+    });
+
+    // Force cleanup with consolidated storage
+    this.app.post("/api/storage/cleanup", async (req, res) => {
+      try {
+        const maxAgeHours = req.body.maxAgeHours || this.mlStorage.maxAgeHours;
+
+        Logger.info(
+          `Starting consolidated storage cleanup via API, max age: ${maxAgeHours} hours`
+        );
+
+        const cleanedItems = await this.mlStorage.cleanup(maxAgeHours);
+
+        Logger.info("Consolidated storage cleanup completed via API", {
+          cleanedItems,
+        });
+
+        res.json({
+          message: "Consolidated storage cleanup completed",
+          cleanedItems: cleanedItems,
+          maxAgeHours: maxAgeHours,
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error("Consolidated storage cleanup failed via API", {
+          error: error.message,
+        });
+        res.status(500).json({
+          error: "Cleanup failed",
+          message: error.message,
+        });
+      }
+    });
+
+    // Force save all cached data
+    this.app.post("/api/storage/save", async (req, res) => {
+      try {
+        Logger.info("Force saving consolidated storage via API");
+
+        const savedCount = await this.mlStorage.forceSave();
+
+        Logger.info("Force save completed via API", { savedCount });
+
+        res.json({
+          message: "Consolidated storage force save completed",
+          savedAssets: savedCount,
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error("Force save failed via API", { error: error.message });
+        res.status(500).json({
+          error: "Force save failed",
+          message: error.message,
+        });
+      }
+    });
+
+    // Backup archives of the consolidated storage, newest first
+    this.app.get("/api/storage/backups", (req, res) => {
+      try {
+        res.json({
+          backups: this.backupManager.listBackups(),
+          status: this.backupManager.getStatus(),
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error("Failed to list backups", { error: error.message });
+        res.status(500).json({
+          error: "Failed to list backups",
+          message: error.message,
+        });
+      }
+    });
+
+    // Create a backup now
+    this.app.post("/api/storage/backups", async (req, res) => {
+      try {
+        if (this.backupManager.isRunning) {
+          return res.status(409).json({
+            error: "Backup in progress",
+            message: "A backup or restore is already running",
+          });
+        }
+
+        const manifest = await this.backupManager.createBackup({ reason: "manual" });
+        const { files, ...backup } = manifest;
+
+        res.status(201).json({
+          message: "Backup created",
+          backup: { ...backup, fileCount: files.length },
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error("Backup failed via API", { error: error.message });
+        res.status(500).json({
+          error: "Backup failed",
+          message: error.message,
+        });
+      }
+    });
+
+    // Restore one pair (?pair=BTC) or every pair in a backup
+    this.app.post("/api/storage/backups/:name/restore", async (req, res) => {
+      try {
+        const name = req.params.name;
+        const pair = req.query.pair ? req.query.pair.toUpperCase() : null;
+
+        const activeTraining = this.trainingQueue.getQueueStatus().active?.count || 0;
+        if (activeTraining > 0) {
+          return res.status(409).json({
+            error: "Training in progress",
+            message: "Wait for active training to finish before restoring",
+          });
+        }
+
+        const manifest = this.backupManager.getBackup(name);
+        if (!manifest) {
+          return res.status(404).json({
+            error: "Backup not found",
+            message: `No backup named ${name}`,
+          });
+        }
+        if (pair && !manifest.pairs.includes(pair)) {
+          return res.status(404).json({
+            error: "Pair not in backup",
+            message: `${name} does not contain ${pair}`,
+            pairs: manifest.pairs,
+          });
+        }
+
+        const restore = await this.backupManager.restoreBackup(name, { pair });
+        if (!restore.restored) {
+          return res.status(409).json({
+            error: "Weights missing",
+            message: `${name} was taken without weights and ${restore.missingBlobs.length} weight blob(s) it references no longer exist`,
+            restore,
+          });
+        }
+
+        // In-memory models and caches still hold the pre-restore state
+        restore.pairs.forEach((restoredPair) => {
+          Object.keys(this.models[restoredPair] || {}).forEach((modelType) => {
+            this.unloadModel(restoredPair, modelType);
+          });
+          this.discardEnsemble(restoredPair);
+        });
+
+        res.json({
+          message: "Backup restored",
+          restore,
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error(`Restore of ${req.params.name} failed via API`, {
+          error: error.message,
+        });
+        res.status(500).json({
+          error: "Restore failed",
+          message: error.message,
+        });
+      }
+    });
+
+    // Storage health check
+    this.app.get("/api/storage/health", (req, res) => {
+      try {
+        const fs = require("fs");
+        const health = {
+          status: "healthy",
+          storageFormat: "CONSOLIDATED_SINGLE_FILE",
+          baseDir: this.mlStorage.baseDir,
+          consolidatedDir: this.mlStorage.consolidatedDir,
+          directories: {
+            baseExists: fs.existsSync(this.mlStorage.baseDir),
+            consolidatedExists: fs.existsSync(this.mlStorage.consolidatedDir),
+          },
+          cache: {
+            assetDataCacheSize: this.mlStorage.assetDataCache?.size || 0,
+            enableCache: this.mlStorage.enableCache,
+          },
+          periodicSave: {
+            enabled: !!this.mlStorage.saveIntervalId,
+            interval: this.mlStorage.saveInterval,
+          },
+          trainedModels: this.mlStorage.getTrainedModelsList().length,
+          timestamp: Date.now(),
+        };
+
+        // Check for any issues
+        if (
+          !health.directories.baseExists ||
+          !health.directories.consolidatedExists
+        ) {
+          health.status = "warning";
+          health.issues = ["Missing storage directories"];
+        }
+
+        res.json(health);
+      } catch (error) {
+        Logger.error("Storage health check failed", { error: error.message });
+        res.status(500).json({
+          status: "unhealthy",
+          error: error.message,
+          timestamp: Date.now(),
+        });
+      }
+    });
+
+    // Get training history for a specific pair
+    this.app.get("/api/storage/training/:pair", (req, res) => {
+      try {
+        const pair = req.params.pair.toUpperCase();
+        const trainingHistory = this.mlStorage.loadTrainingHistory(pair);
+
+        if (!trainingHistory) {
+          return res.status(404).json({
+            error: "No training history found",
+            pair: pair,
+          });
+        }
+
+        res.json({
+          ...trainingHistory,
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error(`Failed to get training history for ${req.params.pair}`, {
+          error: error.message,
+        });
+        res.status(500).json({
+          error: "Failed to get training history",
+          message: error.message,
+          pair: req.params.pair.toUpperCase(),
+        });
+      }
+    });
+
+    // Get prediction history for a specific pair
+    this.app.get("/api/storage/predictions/:pair", (req, res) => {
+      try {
+        const pair = req.params.pair.toUpperCase();
+        const limit = parseInt(req.query.limit) || 100;
+        const predictionHistory = this.mlStorage.loadPredictionHistory(pair);
+
+        if (!predictionHistory) {
+          return res.status(404).json({
+            error: "No prediction history found",
+            pair: pair,
+          });
+        }
+
+        // Limit the number of predictions returned
+        if (
+          predictionHistory.predictions &&
+          predictionHistory.predictions.length > limit
+        ) {
+          predictionHistory.predictions = predictionHistory.predictions
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, limit);
+          predictionHistory.limited = true;
+          predictionHistory.limit = limit;
+        }
+
+        res.json({
+          ...predictionHistory,
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error(
+          `Failed to get prediction history for ${req.params.pair}`,
+          { error: error.message }
+        );
+        res.status(500).json({
+          error: "Failed to get prediction history",
+          message: error.message,
+          pair: req.params.pair.toUpperCase(),
+        });
+      }
+    });
+
+    // Updated API info endpoint
+    this.app.get("/api", (req, res) => {
+      res.json({
+        service: "trading-bot-ml-ensemble-enabled",
         version: "2.1.0-ensemble-enabled",
         ensembleMode: !this.quickMode,
         quickMode: this.quickMode,
@@ -1720,8 +2751,24 @@ class MLServer {
           "GET /api/predictions/:pair?model=lstm - Specific model prediction",
           "GET /api/predictions/:pair?ensemble=false - Disable ensemble",
           "GET /api/predictions/:pair?strategy=weighted - Ensemble strategy",
+          "GET /api/predictions/:pair/accuracy - Resolved prediction accuracy per pair and model",
           "GET /api/features/:pair - Feature extraction with caching",
           "GET /api/models/:pair/status - Model status with ensemble info",
+          "GET /api/models/:pair/transformer/attention - Transformer attention weights per layer and head",
+          "GET /api/models/:pair/export?models= - Download a model bundle for the pair",
+          "POST /api/models/import?pair= - Install a model bundle (raw .tar.gz body)",
+          "GET /api/models/:pair/:modelType/tfjs/model.json?version= - Standard TF.js model.json (weights.bin alongside)",
+          "GET /api/models/:pair/:modelType/promotions - Champion, challenger and promotion history",
+          "POST /api/models/:pair/:modelType/rollback - Restore the previous champion",
+          "GET /api/storage/backups - List storage backups",
+          "POST /api/storage/backups - Create a storage backup",
+          "POST /api/storage/backups/:name/restore?pair= - Restore one pair or all pairs from a backup",
+          "GET /api/registry/:pair/:modelType - Registered model versions and tags",
+          "GET /api/registry/:pair/:modelType/:version - Version details",
+          "GET /api/registry/:pair/:modelType/:version/diff/:otherVersion - Compare two versions",
+          "PUT /api/registry/:pair/:modelType/:version/tags/:tag - Tag a version (production pins it)",
+          "DELETE /api/registry/:pair/:modelType/tags/:tag - Remove a tag",
+          "DELETE /api/registry/:pair/:modelType/:version - Delete an unused version",
           "GET /api/training/queue - Training queue status",
           "POST /api/train/:pair - Train all enabled models",
           "POST /api/train/:pair/:modelType - Train specific model",
@@ -1729,6 +2776,9 @@ class MLServer {
           "POST /api/training/emergency-stop - Emergency stop all training",
           "POST /api/training/clear-cooldowns - Clear training cooldowns",
           "GET /api/storage/stats - Storage and performance statistics",
+          "POST /api/backtest/:pair - Start a walk-forward backtest job",
+          "GET /api/backtest/job/:jobId - Backtest job status and result",
+          "GET /api/backtest/:pair - Saved backtest results",
         ],
         ensemble: {
           enabledModels: this.enabledModels,
@@ -1753,9 +2803,10 @@ class MLServer {
     });
     
     // Get periodic training status
-    this.app.get("/api/training/periodic/status", (req, res) => {
+    this.app.get("/api/training/periodic/status", async (req, res) => {
       try {
-        const status = this.getPeriodicTrainingStatus();
+        const activePairs = await this.getActiveTradingPairs();
+        const status = this.getPeriodicTrainingStatus(activePairs);
         res.json({
           periodicTraining: status,
           timestamp: Date.now(),
@@ -1813,25 +2864,289 @@ class MLServer {
           });
         });
 
-        res.json({
-          message: "Periodic training cycle started",
-          status: this.getPeriodicTrainingStatus(),
-          timestamp: Date.now(),
-        });
-      } catch (error) {
-        Logger.error("Failed to start manual periodic training", {
-          error: error.message,
-        });
-        res.status(500).json({
-          error: "Failed to start periodic training",
-          message: error.message,
-        });
+        res.json({
+          message: "Periodic training cycle started",
+          status: this.getPeriodicTrainingStatus(),
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error("Failed to start manual periodic training", {
+          error: error.message,
+        });
+        res.status(500).json({
+          error: "Failed to start periodic training",
+          message: error.message,
+        });
+      }
+    });
+  }
+
+  // Backtest routes - runs are async jobs, results are persisted per pair
+  setupBacktestRoutes() {
+    // Start a walk-forward backtest
+    this.app.post("/api/backtest/:pair", (req, res) => {
+      try {
+        const pair = req.params.pair.toUpperCase();
+        const runningJob = Array.from(this.backtestJobs.values()).find(
+          (job) =>
+            job.pair === pair && (job.status === "queued" || job.status === "running")
+        );
+
+        if (runningJob) {
+          return res.status(409).json({
+            error: "Backtest already running",
+            pair: pair,
+            jobId: runningJob.jobId,
+          });
+        }
+
+        const job = this.startBacktestJob(pair, req.body || {});
+
+        res.status(202).json({
+          message: `Backtest started for ${pair}`,
+          jobId: job.jobId,
+          status: job.status,
+          statusUrl: `/api/backtest/job/${job.jobId}`,
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error(`Failed to start backtest for ${req.params.pair}`, {
+          error: error.message,
+        });
+        res.status(500).json({
+          error: "Failed to start backtest",
+          message: error.message,
+          pair: req.params.pair.toUpperCase(),
+        });
+      }
+    });
+
+    // Backtest job status (includes the result once completed)
+    this.app.get("/api/backtest/job/:jobId", (req, res) => {
+      const job = this.backtestJobs.get(req.params.jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          error: "Backtest job not found",
+          jobId: req.params.jobId,
+        });
+      }
+
+      res.json({
+        ...job,
+        timestamp: Date.now(),
+      });
+    });
+
+    // Saved backtest results for a pair
+    this.app.get("/api/backtest/:pair", (req, res) => {
+      try {
+        const pair = req.params.pair.toUpperCase();
+        const limit = parseInt(req.query.limit) || 5;
+        const results = this.mlStorage.loadBacktestResults(pair);
+
+        if (!results || results.backtests.length === 0) {
+          return res.status(404).json({
+            error: "No backtest results found",
+            pair: pair,
+          });
+        }
+
+        res.json({
+          ...results,
+          backtests: results.backtests.slice(-limit).reverse(),
+          timestamp: Date.now(),
+        });
+      } catch (error) {
+        Logger.error(`Failed to get backtest results for ${req.params.pair}`, {
+          error: error.message,
+        });
+        res.status(500).json({
+          error: "Failed to get backtest results",
+          message: error.message,
+          pair: req.params.pair.toUpperCase(),
+        });
+      }
+    });
+  }
+
+  // Register a backtest job and run it in the background
+  startBacktestJob(pair, options = {}) {
+    const jobId = `backtest_${pair}_${Date.now()}`;
+    const job = {
+      jobId,
+      pair,
+      status: "queued",
+      progress: 0,
+      options,
+      createdAt: Date.now(),
+      startedAt: null,
+      completedAt: null,
+      result: null,
+      error: null,
+    };
+
+    this.backtestJobs.set(jobId, job);
+
+    // Only keep the 50 most recent jobs in memory
+    if (this.backtestJobs.size > 50) {
+      const oldestJobId = this.backtestJobs.keys().next().value;
+      this.backtestJobs.delete(oldestJobId);
+    }
+
+    this.runBacktestJob(job).catch((error) => {
+      Logger.error(`Backtest job ${jobId} failed`, { error: error.message });
+    });
+
+    return job;
+  }
+
+  async runBacktestJob(job) {
+    const options = job.options;
+    job.status = "running";
+    job.startedAt = Date.now();
+
+    try {
+      const pairData = await this.dataClient.getPairData(job.pair);
+
+      const engine = new BacktestEngine({
+        featureExtractor: this.featureExtractor,
+        createModel: (modelType, featureCount, horizons) =>
+          this.createBacktestModel(modelType, featureCount, horizons),
+        modelTypes: options.modelTypes || this.enabledModels,
+        modelWeights: this.getDefaultWeights(),
+        votingStrategy: options.strategy || this.ensembleStrategy,
+        sequenceLength: this.getSequenceLength(),
+        trainWindow: options.trainWindow,
+        testWindow: options.testWindow,
+        targetPeriod: options.targetPeriod,
+        outputHead: this.getOutputHeadConfig(),
+        trainingConfig: {
+          epochs: options.epochs || 5,
+          batchSize: options.batchSize || 32,
+        },
+        riskManagement: config.get("trading.riskManagement"),
+        initialCapital: options.initialCapital,
+        feePercent: options.feePercent,
+      });
+
+      const result = await engine.run(pairData, (progress) => {
+        job.progress = progress.progress;
+        job.fold = progress.fold;
+        job.totalFolds = progress.totalFolds;
+      });
+
+      const saved = await this.mlStorage.saveBacktestResult(job.pair, {
+        ...result,
+        backtestId: job.jobId,
+      });
+
+      job.status = "completed";
+      job.progress = 1;
+      job.result = {
+        backtestId: saved.backtestId,
+        metrics: saved.metrics,
+        period: saved.period,
+        config: saved.config,
+      };
+
+      Logger.info(`Backtest completed for ${job.pair}`, {
+        jobId: job.jobId,
+        ...result.metrics,
+      });
+    } catch (error) {
+      job.status = "failed";
+      job.error = error.message;
+      throw error;
+    } finally {
+      job.completedAt = Date.now();
+    }
+  }
+
+  // Fresh, untrained model for a backtest fold - never touches this.models
+  createBacktestModel(modelType, featureCount, horizons) {
+    const ModelClass = this.getModelClass(modelType);
+    const model = new ModelClass({
+      ...this.getModelConfig(modelType),
+      sequenceLength: this.getSequenceLength(),
+      features: featureCount,
+      horizons: horizons,
+      outputHead: this.getOutputHeadConfig(),
+    });
+    model.buildModel();
+    model.compileModel();
+
+    return model;
+  }
+
+  // Server-Sent Events response fed from the training queue's 'event' emitter.
+  // subscribe(filter, isLast) forwards matching events and ends the stream
+  // after the event for which isLast returns true. Comment lines keep idle
+  // connections open through proxies.
+  openEventStream(req, res) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+      "Access-Control-Allow-Origin": "*",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${config.get("ml.training.events.retryInterval")}\n\n`);
+
+    let listener = null;
+    const heartbeat = setInterval(
+      () => res.write(": heartbeat\n\n"),
+      config.get("ml.training.events.heartbeatInterval")
+    );
+
+    const stream = {
+      send: (event) => {
+        if (event.id) {
+          res.write(`id: ${event.id}\n`);
+        }
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      },
+      subscribe: (filter, isLast = () => false) => {
+        listener = (event) => {
+          if (!filter(event)) {
+            return;
+          }
+          stream.send(event);
+          if (isLast(event)) {
+            stream.end();
+          }
+        };
+        this.trainingQueue.on("event", listener);
+      },
+      end: () => {
+        cleanup();
+        res.end();
+      },
+    };
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      if (listener) {
+        this.trainingQueue.off("event", listener);
+        listener = null;
       }
-    });
+    };
+    req.on("close", cleanup);
+
+    return stream;
   }
 
   // Training function that will be called by the queue manager - OPTIMIZED FOR PERIODIC/MANUAL
-  async performModelTraining(pair, modelType, config) {
+  // context (from the training queue): { jobId, signal, reportProgress(progress) }.
+  // Aborting the signal stops fit after the current batch; the run is then
+  // discarded (the signal's reason is thrown) unless reason.keepPartial is set.
+  async performModelTraining(pair, modelType, config, context = {}) {
+    // Hyperparameter search trials are scored, never stored or served
+    if (config.trial) {
+      return this.runSearchTrial(pair, modelType, config.trial, context);
+    }
+
     // 🔧 Enhanced logging to track training sources and optimization
     const trainingType = config.source === 'periodic' ? 'periodic' : 'manual';
     const isPeriodicTraining = trainingType === 'periodic';
@@ -1847,40 +3162,136 @@ class MLServer {
       cycleId: config.cycleId || "unknown",
     });
 
+    const signal = context.signal || null;
+    let processedData = null;
+    let freshChallenger = null;
+
     try {
-      // Get historical data
+      // Get historical data and build one point-in-time feature row per bar
       const pairData = await this.dataClient.getPairData(pair);
-      const features = this.featureExtractor.extractFeatures(pairData);
-      const currentFeatureCount = features.features.length;
+      const featureMatrix = this.featureExtractor.extractFeatureMatrix(pairData);
+      const currentFeatureCount = featureMatrix.featureNames.length;
 
       // Update feature count
       this.featureCounts[pair] = currentFeatureCount;
 
+      // Fine-tuning starts from a standalone copy of the stored champion, so the
+      // live model keeps serving; without a usable champion the run trains as usual
+      const fineTuneSettings = this.resolveFineTuneSettings(config, trainingType);
+      const fineTuneBase = fineTuneSettings
+        ? await this.loadFineTuneBase(pair, modelType, currentFeatureCount)
+        : null;
+
+      // Get or create model WITH PROPER COMPILATION
+      let model = fineTuneBase
+        ? fineTuneBase.model
+        : await this.getOrCreateModel(pair, modelType, currentFeatureCount);
+      if (fineTuneBase) {
+        freshChallenger = model;
+      }
+
+      // Tuned hyperparameters the live model was not built with: train a fresh
+      // model as the challenger while the live one keeps serving
+      if (!fineTuneBase && this.needsTunedRebuild(pair, modelType, model)) {
+        model = this.buildFreshModel(pair, modelType, currentFeatureCount);
+        freshChallenger = model;
+        Logger.info(`Training a fresh ${modelType} challenger for ${pair} with tuned hyperparameters`, {
+          params: this.hyperparameterSearch.getBestParams(pair, modelType),
+        });
+      }
+
+      // Registry version the weights start from (null for a fresh model)
+      const parentVersion = model.version || null;
+
       // Create targets for training
-      const targets = this.featureExtractor.createTargets(pairData.history);
-      const binaryTargets =
-        targets[`direction_${config.targetPeriods || 5}`] ||
-        targets["direction_5"];
+      // One series per horizon, in the form the model's output head predicts
+      const targets = this.featureExtractor.createTargets(
+        pairData.history,
+        model.outputHead.horizons,
+        model.outputHead.getTargetOptions()
+      );
+      const targetSeries = model.outputHead.selectTargets(targets);
 
-      if (!binaryTargets || binaryTargets.length === 0) {
+      if (targetSeries.some((series) => !series || series.length === 0)) {
         throw new Error("No training targets available");
       }
 
-      // Prepare training data
-      const featuresArray = Array(binaryTargets.length)
-        .fill()
-        .map(() => features.features);
-      const processedData = await this.preprocessor.prepareTrainingData(
-        featuresArray,
-        binaryTargets
+      // Align each bar's features with the targets of the same bar
+      const trainingSet = this.featureExtractor.alignTargets(
+        featureMatrix,
+        targetSeries
       );
 
-      // Get or create model WITH PROPER COMPILATION
-      const model = await this.getOrCreateModel(
-        pair,
-        modelType,
-        currentFeatureCount
-      );
+      if (trainingSet.features.length <= model.sequenceLength) {
+        throw new Error(
+          `Insufficient point-in-time rows for training: ${trainingSet.features.length} (need more than ${model.sequenceLength})`
+        );
+      }
+
+      // Rows after the bars the champion was trained on
+      const newFrom = fineTuneBase
+        ? this.findNewRowsStart(pairData, trainingSet, fineTuneBase.dataRange)
+        : 0;
+      if (fineTuneBase && trainingSet.features.length - 1 - newFrom < fineTuneSettings.minNewSamples) {
+        Logger.info(`Skipping fine-tune of ${pair}:${modelType}: not enough new bars`, {
+          newSamples: Math.max(0, trainingSet.features.length - 1 - newFrom),
+          minNewSamples: fineTuneSettings.minNewSamples,
+          championVersion: parentVersion,
+        });
+        model.dispose();
+        return {
+          pair: pair,
+          modelType: modelType,
+          status: "skipped",
+          reason: "insufficient_new_data",
+          newSamples: Math.max(0, trainingSet.features.length - 1 - newFrom),
+          minNewSamples: fineTuneSettings.minNewSamples,
+          parentVersion: parentVersion,
+          weightsSaved: false,
+          timestamp: Date.now(),
+          source: config.source,
+          trainingType: trainingType,
+          cycleId: config.cycleId,
+        };
+      }
+
+      // Samples whose labels reach into the next split are purged at its boundary
+      const splitOptions = {
+        sequenceLength: model.sequenceLength,
+        horizon: Math.max(...model.outputHead.horizons),
+        embargo: this.getCrossValidationSettings().embargo,
+      };
+      processedData = fineTuneBase
+        ? await this.preprocessor.prepareFineTuneData(trainingSet.features, trainingSet.targets, {
+            ...splitOptions,
+            scalerStats: model.scaler,
+            newFrom,
+            replayRatio: fineTuneSettings.replayRatio,
+            maxReplaySamples: fineTuneSettings.maxReplaySamples,
+          })
+        : await this.preprocessor.prepareTrainingData(trainingSet.features, trainingSet.targets, splitOptions);
+
+      // Cancelled while preparing data: nothing to keep, the live model is untouched
+      if (signal) {
+        signal.throwIfAborted();
+      }
+
+      // Attach the scaler fitted on this run so it is persisted with the weights
+      // and applied to the inference window at prediction time. A fine-tuned
+      // model keeps the champion's scaler its weights were learned with.
+      if (!fineTuneBase) {
+        const scalerStats = processedData.scalerStats;
+        model.scaler = {
+          mean: scalerStats.mean,
+          std: scalerStats.std,
+          featureNames: featureMatrix.featureNames,
+          featureSchemaHash: this.featureExtractor.getFeatureSchemaHash(
+            featureMatrix.featureNames
+          ),
+          fittedAt: Date.now(),
+          samples: trainingSet.features.length,
+        };
+      }
 
       // 🔧 CRITICAL FIX: Ensure model is compiled before training
       if (!model.isCompiled) {
@@ -1910,107 +3321,709 @@ class MLServer {
         ...config,
       };
 
-      Logger.info(`Starting ${trainingType} training for ${pair}:${modelType}`, {
-        isCompiled: model.isCompiled,
-        config: modelTrainingConfig,
-        featureCount: currentFeatureCount,
-        source: config.source,
-        cycleId: config.cycleId,
-        trainingOptimization: isPeriodicTraining ? 'FREQUENT_UPDATES' : 'QUALITY_FOCUSED'
+      // Fine-tuning: a reduced learning rate (models compile with their own
+      // rate) and optionally frozen lower layers, applied by fitModel
+      const fineTune = fineTuneBase
+        ? {
+            championVersion: parentVersion,
+            newSamples: processedData.newSamples,
+            replaySamples: processedData.replaySamples,
+            learningRate: model.learningRate * fineTuneSettings.learningRateFactor,
+            freezeLayers: fineTuneSettings.freezeLayers,
+          }
+        : null;
+      if (fineTune) {
+        modelTrainingConfig.learningRate = fineTune.learningRate;
+        modelTrainingConfig.freezeLayers = fineTune.freezeLayers;
+        modelTrainingConfig.fineTune = fineTune;
+      }
+
+      Logger.info(`Starting ${trainingType} training for ${pair}:${modelType}`, {
+        isCompiled: model.isCompiled,
+        config: modelTrainingConfig,
+        featureCount: currentFeatureCount,
+        source: config.source,
+        cycleId: config.cycleId,
+        trainingOptimization: isPeriodicTraining ? 'FREQUENT_UPDATES' : 'QUALITY_FOCUSED'
+      });
+
+      // Optional walk-forward cross-validation of this config (fresh models,
+      // so the live model is untouched if it is cancelled here)
+      // Fine-tuning is not cross-validated: the folds would train from scratch
+      const crossValidate = !fineTune && (config.crossValidate ?? this.getCrossValidationSettings().enabled);
+      const crossValidation = crossValidate
+        ? await this.crossValidateModel(
+            modelType,
+            this.getInstanceBuildConfig(model, modelType, currentFeatureCount),
+            trainingSet,
+            {
+              epochs: modelTrainingConfig.epochs,
+              batchSize: modelTrainingConfig.batchSize,
+              patience: modelTrainingConfig.patience,
+              signal,
+              reportProgress: context.reportProgress
+                ? (progress) => context.reportProgress({ ...progress, stage: "crossValidation" })
+                : null,
+            }
+          )
+        : null;
+      if (crossValidation) {
+        Logger.info(`Cross-validated ${pair}:${modelType} over ${crossValidation.folds.length} folds`, {
+          mode: crossValidation.mode,
+          mean: crossValidation.mean,
+          std: crossValidation.std,
+        });
+      }
+
+      // Perform training with optimized configuration
+      const baseLearningRate = model.learningRate;
+      if (fineTune) {
+        model.learningRate = fineTune.learningRate;
+        recompile(model);
+      }
+      let history;
+      try {
+        history = await this.fitModel(
+          model,
+          modelType,
+          currentFeatureCount,
+          processedData,
+          modelTrainingConfig,
+          {
+            onProgress: context.reportProgress
+              ? this.createProgressReporter(model, context.reportProgress)
+              : null,
+            signal,
+          }
+        );
+      } finally {
+        // The stored config keeps the champion's rate for later runs
+        if (fineTune) {
+          model.learningRate = baseLearningRate;
+          recompile(model);
+        }
+      }
+
+      // Cancelled during (or right after) fit: unless the partial model is kept,
+      // drop the mutated live model so the stored champion is reloaded
+      const cancelled = !!(signal && signal.aborted);
+      if (cancelled && !signal.reason.keepPartial) {
+        if (!freshChallenger) {
+          this.unloadModel(pair, modelType);
+        }
+        throw signal.reason;
+      }
+
+      // Score the held-out test split the model never saw during training
+      const evaluation = await this.modelEvaluator.evaluate(
+        model,
+        processedData.testX,
+        processedData.testY,
+        processedData.trainY,
+        this.getPredictionHorizon()
+      );
+
+      // 🔧 ENHANCED: Different saving criteria for periodic vs manual training
+      // A challenger must first beat the majority-class baseline on the test split
+      const minImprovement = this.getMinImprovement(trainingType);
+      let saveDecision;
+      if (evaluation) {
+        saveDecision = this.modelEvaluator.beatsBaseline(evaluation, minImprovement);
+      } else {
+        // No test split (tiny dataset): fall back to training accuracy vs chance
+        const chanceAccuracy = model.outputHead.chanceAccuracy;
+        saveDecision = {
+          passed:
+            !!history.finalMetrics &&
+            parseFloat(history.finalMetrics.finalAccuracy) > chanceAccuracy + minImprovement,
+          minImprovement,
+          comparisons: {},
+          fallback: "training_accuracy",
+        };
+      }
+
+      // Store the run as a challenger; it replaces the stored champion only if it
+      // also beats the champion on the same holdout window
+      const promotion = await this.runChampionChallenger(pair, modelType, model, {
+        evaluation,
+        saveDecision,
+        trainingSet,
+        trainY: processedData.trainY,
+        featureCount: currentFeatureCount,
+        trainingType,
+        registry: {
+          parentVersion,
+          trainingConfig: modelTrainingConfig,
+          trainingMetrics: history.finalMetrics || null,
+          dataRange: this.getTrainingDataRange(pairData, trainingSet),
+        },
+      });
+      const shouldSaveWeights = promotion.promoted;
+
+      const trainingResults = {
+        pair: pair,
+        modelType: modelType,
+        status: cancelled ? "cancelled" : "completed",
+        partial: cancelled,
+        finalMetrics: history.finalMetrics,
+        testMetrics: evaluation ? this.modelEvaluator.selectMetrics(evaluation) : null,
+        crossValidation: crossValidation,
+        fineTune: fineTune,
+        evaluation: evaluation,
+        saveDecision: saveDecision,
+        promotion: promotion,
+        version: promotion.version,
+        parentVersion: parentVersion,
+        weightsSaved: shouldSaveWeights,
+        epochsCompleted:
+          history.epochsCompleted ||
+          history.finalMetrics?.epochsCompleted ||
+          history.epoch?.length ||
+          0,
+        featureCount: currentFeatureCount,
+        timestamp: Date.now(),
+        source: config.source,
+        trainingType: trainingType,
+        cycleId: config.cycleId,
+        trainingDuration: Date.now() - (config.startTime || Date.now()),
+        optimizedFor: isPeriodicTraining ? 'frequency' : 'quality'
+      };
+
+      // Clean up tensors
+      this.preprocessor.disposeProcessedData(processedData);
+      processedData = null;
+
+      // Save training history
+      await this.mlStorage.saveTrainingHistory(
+        pair,
+        trainingResults
+      );
+
+      // Recreate ensemble if we have enough models
+      await this.recreateEnsembleIfNeeded(pair);
+
+      Logger.info(
+        `${trainingType.toUpperCase()} training completed for ${pair}:${modelType}`,
+        {
+          ...trainingResults.finalMetrics,
+          source: config.source,
+          trainingType: trainingType,
+          cycleId: config.cycleId,
+          epochsRun: trainingResults.epochsCompleted,
+          weightsSaved: shouldSaveWeights
+        }
+      );
+
+      return trainingResults;
+    } catch (error) {
+      if (processedData) {
+        this.preprocessor.disposeProcessedData(processedData);
+      }
+      // A fresh challenger that never replaced the live model
+      if (freshChallenger && freshChallenger !== this.models[pair]?.[modelType]) {
+        freshChallenger.dispose();
+      }
+
+      if (signal && signal.aborted) {
+        Logger.warn(`${trainingType.toUpperCase()} training cancelled for ${pair}:${modelType}`, {
+          reason: error.message,
+          source: config.source,
+          cycleId: config.cycleId,
+        });
+      } else {
+        Logger.error(`${trainingType.toUpperCase()} training failed for ${pair}:${modelType}`, {
+          error: error.message,
+          source: config.source,
+          trainingType: trainingType,
+          cycleId: config.cycleId,
+        });
+      }
+      throw error;
+    }
+  }
+
+  // One hyperparameter search trial (trial: { searchId, trialId, params, epochs,
+  // folds }). A standalone model with the trial's params is scored by purged
+  // walk-forward cross-validation (see crossValidateModel). The score is the
+  // mean test-fold loss; scoreStd is its spread across folds.
+  async runSearchTrial(pair, modelType, trial, context = {}) {
+    const startTime = Date.now();
+
+    const pairData = await this.dataClient.getPairData(pair);
+    const featureMatrix = this.featureExtractor.extractFeatureMatrix(pairData);
+    const featureCount = featureMatrix.featureNames.length;
+    const modelConfig = { ...this.getModelBuildConfig(modelType, featureCount), ...trial.params };
+
+    const outputHead = new OutputHead({ ...modelConfig.outputHead, horizons: modelConfig.horizons });
+    const targets = this.featureExtractor.createTargets(
+      pairData.history,
+      outputHead.horizons,
+      outputHead.getTargetOptions()
+    );
+    const trainingSet = this.featureExtractor.alignTargets(featureMatrix, outputHead.selectTargets(targets));
+
+    const crossValidation = await this.crossValidateModel(modelType, modelConfig, trainingSet, {
+      folds: trial.folds,
+      epochs: trial.epochs,
+      signal: context.signal,
+      reportProgress: context.reportProgress,
+    });
+    const { loss, ...metrics } = crossValidation.mean;
+    const { loss: scoreStd, ...metricsStd } = crossValidation.std;
+
+    const result = {
+      status: "completed",
+      searchId: trial.searchId,
+      trialId: trial.trialId,
+      params: trial.params,
+      epochs: trial.epochs,
+      score: loss,
+      scoreStd,
+      metrics,
+      metricsStd,
+      folds: crossValidation.folds,
+      durationMs: Date.now() - startTime,
+    };
+
+    Logger.info(`Search trial ${trial.searchId}#${trial.trialId} scored for ${pair}:${modelType}`, {
+      score: result.score,
+      scoreStd: result.scoreStd,
+      epochs: trial.epochs,
+      params: trial.params,
+    });
+    return result;
+  }
+
+  // Purged, embargoed walk-forward cross-validation of a model config on an
+  // aligned training set (ml.training.crossValidation; options.folds overrides
+  // the fold count). Each fold trains a fresh model, early-stops on the tail
+  // of its training window and is scored on the test fold that follows.
+  // options: { folds, epochs, batchSize, patience, signal, reportProgress }
+  // -> { mode, embargo, folds: [...], mean, std } where mean/std hold the loss
+  // and evaluator metrics across folds
+  async crossValidateModel(modelType, modelConfig, trainingSet, options = {}) {
+    const signal = options.signal || null;
+    const validator = this.preprocessor.createCrossValidator(options.folds ? { folds: options.folds } : {});
+    const plans = validator.split(trainingSet.features.length, {
+      sequenceLength: modelConfig.sequenceLength,
+      horizon: Math.max(...modelConfig.horizons),
+      barIndices: trainingSet.barIndices,
+    });
+
+    const folds = [];
+    for (const plan of plans) {
+      if (signal) {
+        signal.throwIfAborted();
+      }
+      const reportProgress = options.reportProgress
+        ? (progress) => options.reportProgress({ ...progress, fold: plan.fold, folds: plans.length })
+        : null;
+
+      folds.push({
+        fold: plan.fold,
+        trainRows: plan.train.end - plan.train.start,
+        validationRows: plan.validation.end - plan.validation.start,
+        testRows: plan.test.end - plan.test.start,
+        purged: plan.purged,
+        embargoed: plan.embargoed,
+        ...(await this.scoreFold(modelType, modelConfig, trainingSet, plan, {
+          epochs: options.epochs,
+          batchSize: options.batchSize || modelConfig.batchSize,
+          patience: options.patience || modelConfig.patience,
+          signal,
+          reportProgress,
+        })),
+      });
+    }
+
+    const { mean, std } = validator.aggregate(folds.map((fold) => ({ loss: fold.loss, ...fold.metrics })));
+    return { mode: validator.mode, embargo: validator.embargo, folds, mean, std };
+  }
+
+  // Train a fresh model on one fold plan and score it on the fold's test rows
+  // -> { loss, epochsRun, metrics }
+  async scoreFold(modelType, modelConfig, trainingSet, plan, options) {
+    const tf = require("@tensorflow/tfjs");
+    const foldData = this.preprocessor.prepareFoldData(
+      trainingSet.features,
+      trainingSet.targets,
+      plan,
+      modelConfig.sequenceLength
+    );
+
+    const ModelClass = this.getModelClass(modelType);
+    const model = new ModelClass(modelConfig);
+    model.buildModel();
+    model.compileModel();
+
+    try {
+      const history = await this.fitModel(
+        model,
+        modelType,
+        modelConfig.features,
+        foldData,
+        {
+          epochs: options.epochs,
+          batchSize: options.batchSize,
+          patience: options.patience,
+          verbose: 0,
+        },
+        {
+          onProgress: options.reportProgress ? this.createProgressReporter(model, options.reportProgress) : null,
+          signal: options.signal,
+        }
+      );
+      if (history.cancelled) {
+        throw options.signal.reason;
+      }
+
+      const scores = model.model.evaluate(foldData.testX, foldData.testY, { batchSize: options.batchSize });
+      const lossTensor = Array.isArray(scores) ? scores[0] : scores;
+      const loss = (await lossTensor.data())[0];
+      tf.dispose(scores);
+
+      const evaluation = await this.modelEvaluator.evaluate(
+        model,
+        foldData.testX,
+        foldData.testY,
+        foldData.trainY,
+        this.getPredictionHorizon()
+      );
+
+      return {
+        loss,
+        epochsRun: history.epoch.length,
+        metrics: evaluation ? this.modelEvaluator.selectMetrics(evaluation) : null,
+      };
+    } finally {
+      model.dispose();
+      this.preprocessor.disposeProcessedData(foldData);
+    }
+  }
+
+  // Per-epoch fit logs -> { epoch, epochs, loss, accuracy, valLoss, valAccuracy,
+  // elapsedMs, etaMs }. The ETA assumes the remaining epochs take as long as the
+  // ones so far; early stopping can finish sooner.
+  createProgressReporter(model, reportProgress) {
+    const accuracyKey = model.outputHead.accuracyKey;
+    const fitStartedAt = Date.now();
+
+    return ({ epoch, epochs, logs }) => {
+      const elapsedMs = Date.now() - fitStartedAt;
+      reportProgress({
+        epoch,
+        epochs,
+        loss: logs.loss ?? null,
+        accuracy: logs[accuracyKey] ?? null,
+        valLoss: logs.val_loss ?? null,
+        valAccuracy: logs[`val_${accuracyKey}`] ?? null,
+        elapsedMs,
+        etaMs: Math.round((elapsedMs / epoch) * (epochs - epoch)),
+      });
+    };
+  }
+
+  // Train `model` on the prepared splits in the worker pool, then apply the
+  // trained weights and output-head calibration to it. Trains inline when
+  // workers are disabled. Returns the training history (history.cancelled when
+  // options.signal stopped it early).
+  async fitModel(model, modelType, featureCount, processedData, trainingConfig, options = {}) {
+    const { onProgress = null, signal = null } = options;
+
+    if (!this.trainingWorkers) {
+      // trainingConfig.freezeLayers keeps the lowest layers at their current weights
+      const frozenLayers = freezeLowerLayers(model.model, trainingConfig.freezeLayers);
+      if (frozenLayers.length > 0) {
+        recompile(model);
+      }
+
+      try {
+        return await model.train(
+          processedData.trainX,
+          processedData.trainY,
+          processedData.validationX,
+          processedData.validationY,
+          {
+            ...trainingConfig,
+            onEpochEnd: onProgress
+              ? (epoch, logs, epochs) => onProgress({ epoch: epoch + 1, epochs, logs })
+              : null,
+            shouldStop: signal ? () => signal.aborted : null,
+          }
+        );
+      } finally {
+        if (frozenLayers.length > 0) {
+          unfreezeLayers(frozenLayers);
+          recompile(model);
+        }
+      }
+    }
+
+    const tf = require("@tensorflow/tfjs");
+    // Copies, since the buffers are transferred to the worker
+    const toTransferable = async (tensor) =>
+      tensor ? { values: (await tensor.data()).slice(), shape: tensor.shape, dtype: tensor.dtype } : null;
+
+    // JSON round trip: objects from `config` cannot be structured-cloned
+    const result = await this.trainingWorkers.train(
+      {
+        modelType,
+        modelConfig: JSON.parse(JSON.stringify(this.getInstanceBuildConfig(model, modelType, featureCount))),
+        trainingConfig: JSON.parse(JSON.stringify(trainingConfig)),
+        initialWeights: await Promise.all(model.model.getWeights().map(toTransferable)),
+        outputHead: model.outputHead ? model.outputHead.toJSON() : null,
+        data: {
+          trainX: await toTransferable(processedData.trainX),
+          trainY: await toTransferable(processedData.trainY),
+          validationX: await toTransferable(processedData.validationX),
+          validationY: await toTransferable(processedData.validationY),
+        },
+      },
+      { onProgress, signal }
+    );
+
+    // A discarded partial run never touches the live model
+    if (result.history.cancelled && !signal.reason.keepPartial) {
+      return result.history;
+    }
+
+    const trainedWeights = result.weights.map((weight) => tf.tensor(weight.values, weight.shape, weight.dtype));
+    model.model.setWeights(trainedWeights);
+    trainedWeights.forEach((tensor) => tensor.dispose());
+    if (model.outputHead) {
+      model.outputHead.restore(result.outputHead);
+    }
+
+    Logger.info(`${modelType} trained in worker thread`, {
+      threadId: result.threadId,
+      backend: result.backend,
+      durationMs: result.durationMs,
+      epochs: result.history.epoch.length,
+      cancelled: result.history.cancelled,
+    });
+
+    return result.history;
+  }
+
+  // Champion/challenger step of a training run. The trained model is stored as
+  // the challenger and promoted when it beats the majority-class baseline and
+  // the stored champion (re-scored with its own scaler on the same recent
+  // holdout window) by the configured margin. A rejected challenger is
+  // replaced in memory by the champion so predictions keep using it.
+  async runChampionChallenger(pair, modelType, challenger, options) {
+    const { evaluation, saveDecision, trainingSet, trainY, featureCount, trainingType } = options;
+    const margin = config.get("ml.performance.promotion.margin");
+
+    let version;
+    try {
+      version = await this.mlStorage.saveChallenger(pair, modelType, challenger, {
+        ...options.registry,
+        evaluation: evaluation
+          ? {
+              horizon: evaluation.horizon,
+              samples: evaluation.samples,
+              testMetrics: this.modelEvaluator.selectMetrics(evaluation),
+              baseline: evaluation.baseline,
+              evaluatedAt: evaluation.evaluatedAt,
+            }
+          : null,
+      });
+    } catch (saveError) {
+      Logger.warn(`Failed to store challenger for ${pair}:${modelType}`, {
+        error: saveError.message,
+        trainingType: trainingType,
+      });
+      return { promoted: false, reason: "challenger_save_failed", comparison: null, version: null };
+    }
+    challenger.version = version;
+
+    // Score the stored champion on the challenger's holdout window
+    const champion = await this.loadStoredChampion(pair, modelType, featureCount);
+    let comparison = null;
+    if (champion && champion.scaler && evaluation) {
+      let holdout = null;
+      try {
+        holdout = this.preprocessor.createHoldoutSequences(
+          trainingSet.features,
+          trainingSet.targets,
+          champion.scaler,
+          evaluation.samples,
+          champion.sequenceLength
+        );
+        const championEvaluation = await this.modelEvaluator.evaluate(
+          champion,
+          holdout.X,
+          holdout.y,
+          trainY,
+          evaluation.horizon
+        );
+        if (championEvaluation) {
+          comparison = this.modelEvaluator.compareModels(evaluation, championEvaluation, margin);
+        }
+      } catch (compareError) {
+        Logger.warn(`Champion evaluation failed for ${pair}:${modelType}`, {
+          error: compareError.message,
+        });
+      } finally {
+        if (holdout) {
+          holdout.X.dispose();
+          holdout.y.dispose();
+        }
+      }
+    }
+
+    // A version tagged `production` pins the champion until the tag is removed
+    const pinnedVersion = this.mlStorage.getTaggedVersion(pair, modelType, "production");
+
+    let reason;
+    if (!saveDecision.passed) {
+      reason = "below_baseline";
+    } else if (pinnedVersion) {
+      reason = "pinned";
+    } else if (comparison && !comparison.challengerWins) {
+      reason = "champion_retained";
+    } else if (comparison) {
+      reason = "beats_champion";
+    } else {
+      // No champion yet, or it could not be scored on this window
+      reason = champion ? "not_compared" : "no_champion";
+    }
+    const promoted = reason === "beats_champion" || reason === "no_champion" || reason === "not_compared";
+
+    const details = {
+      reason: reason,
+      trainingType: trainingType,
+      meanImprovement: comparison ? comparison.meanImprovement : null,
+      margin: margin,
+    };
+
+    try {
+      if (promoted) {
+        await this.mlStorage.promoteChallenger(pair, modelType, details);
+        Logger.info(`🏆 Challenger promoted for ${pair}:${modelType}`, details);
+      } else {
+        await this.mlStorage.rejectChallenger(pair, modelType, details);
+        Logger.info(`🛡️ Challenger rejected for ${pair}:${modelType}`, {
+          ...details,
+          comparisons: comparison ? comparison.comparisons : saveDecision.comparisons,
+        });
+      }
+    } catch (storageError) {
+      Logger.warn(`Failed to record promotion decision for ${pair}:${modelType}`, {
+        error: storageError.message,
       });
+    }
 
-      // Perform training with optimized configuration
-      const history = await model.train(
-        processedData.trainX,
-        processedData.trainY,
-        processedData.validationX,
-        processedData.validationY,
-        modelTrainingConfig
-      );
+    // Fine-tuned and fresh challengers may run before any model of the pair
+    // was loaded (e.g. right after a restart)
+    if (!this.models[pair]) {
+      this.models[pair] = {};
+    }
 
-      // 🔧 ENHANCED: Different saving criteria for periodic vs manual training
-      const shouldSaveWeights = isPeriodicTraining ? 
-        // For periodic: save if accuracy > 0.55 (lower threshold)
-        (history.finalMetrics && parseFloat(history.finalMetrics.finalAccuracy) > 0.55) :
-        // For manual: save if accuracy > 0.5 (original threshold)
-        (history.finalMetrics && parseFloat(history.finalMetrics.finalAccuracy) > 0.5);
+    // A fresh challenger (tuned architecture) is not the served model yet
+    const live = this.models[pair][modelType];
+    if (promoted && live !== challenger) {
+      this.discardEnsemble(pair);
+      this.models[pair][modelType] = challenger;
+      if (live) {
+        live.dispose();
+      }
+    }
 
-      if (shouldSaveWeights) {
-        try {
-          await this.mlStorage.saveModelWeights(pair, modelType, model);
-          Logger.info(`Model weights saved for ${pair}:${modelType} (${trainingType} training)`);
-        } catch (saveError) {
-          Logger.warn(`Failed to save model weights for ${pair}:${modelType}`, {
-            error: saveError.message,
-            trainingType: trainingType
-          });
-        }
+    if (champion) {
+      if (promoted) {
+        champion.dispose();
       } else {
-        Logger.info(`Model weights not saved for ${pair}:${modelType} - accuracy too low`, {
-          accuracy: history.finalMetrics?.finalAccuracy,
-          threshold: isPeriodicTraining ? 0.55 : 0.5,
-          trainingType: trainingType
-        });
+        // Serve the champion again; the ensemble is rebuilt after training
+        this.discardEnsemble(pair);
+        this.models[pair][modelType] = champion;
+        if (live && live !== challenger) {
+          live.dispose();
+        }
+        challenger.dispose();
       }
+    } else if (!promoted && live !== challenger) {
+      // Nothing stored to fall back to: the live model keeps serving
+      challenger.dispose();
+    }
 
-      const trainingResults = {
-        pair: pair,
-        modelType: modelType,
-        status: "completed",
-        finalMetrics: history.finalMetrics,
-        epochsCompleted:
-          history.epochsCompleted ||
-          history.finalMetrics?.epochsCompleted ||
-          history.epoch?.length ||
-          0,
-        featureCount: currentFeatureCount,
-        timestamp: Date.now(),
-        source: config.source,
-        trainingType: trainingType,
-        cycleId: config.cycleId,
-        trainingDuration: Date.now() - (config.startTime || Date.now()),
-        optimizedFor: isPeriodicTraining ? 'frequency' : 'quality'
-      };
+    return {
+      promoted: promoted,
+      reason: reason,
+      version: version,
+      comparison: comparison,
+    };
+  }
 
-      // Clean up tensors
-      processedData.trainX.dispose();
-      processedData.trainY.dispose();
-      processedData.validationX.dispose();
-      processedData.validationY.dispose();
-      processedData.testX.dispose();
-      processedData.testY.dispose();
+  // ml.training.fineTune, with a job's `fineTune` (true, false or an object of
+  // overrides) on top. Null when the run trains from the current model as usual;
+  // periodic runs fine-tune unless it is disabled.
+  resolveFineTuneSettings(jobConfig, trainingType) {
+    const settings = this.getFineTuneSettings();
+    const requested = jobConfig.fineTune ?? (trainingType === "periodic" && settings.enabled);
+    if (!requested) {
+      return null;
+    }
 
-      // Save training history
-      await this.mlStorage.saveTrainingHistory(
-        pair,
-        trainingResults
-      );
+    return typeof requested === "object" ? { ...settings, ...requested } : settings;
+  }
 
-      // Recreate ensemble if we have enough models
-      await this.recreateEnsembleIfNeeded(pair);
+  // The stored champion as a fine-tuning starting point -> { model, dataRange },
+  // or null when there is none, its features or schema no longer match, tuned
+  // hyperparameters call for a new architecture, or its registry entry lacks
+  // the data range that tells new bars from seen ones
+  async loadFineTuneBase(pair, modelType, featureCount) {
+    const champion = await this.loadStoredChampion(pair, modelType, featureCount);
+    const summary = champion && champion.version
+      ? this.mlStorage.getVersion(pair, modelType, champion.version)
+      : null;
 
-      Logger.info(
-        `${trainingType.toUpperCase()} training completed for ${pair}:${modelType}`,
-        {
-          ...trainingResults.finalMetrics,
-          source: config.source,
-          trainingType: trainingType,
-          cycleId: config.cycleId,
-          epochsRun: trainingResults.epochsCompleted,
-          weightsSaved: shouldSaveWeights
-        }
-      );
+    let reason = null;
+    if (!champion) {
+      reason = "no_compatible_champion";
+    } else if (!champion.scaler) {
+      reason = "champion_without_scaler";
+    } else if (this.needsTunedRebuild(pair, modelType, champion)) {
+      reason = "tuned_architecture";
+    } else if (!summary || !summary.dataRange || summary.dataRange.to == null) {
+      reason = "unknown_data_range";
+    }
 
-      return trainingResults;
-    } catch (error) {
-      Logger.error(`${trainingType.toUpperCase()} training failed for ${pair}:${modelType}`, {
-        error: error.message,
-        source: config.source,
-        trainingType: trainingType,
-        cycleId: config.cycleId,
+    if (reason) {
+      Logger.info(`Fine-tuning unavailable for ${pair}:${modelType}, training from the current model`, {
+        reason,
+        championVersion: champion ? champion.version || null : null,
       });
-      throw error;
+      if (champion) {
+        champion.dispose();
+      }
+      return null;
     }
+
+    return { model: champion, dataRange: summary.dataRange };
+  }
+
+  // First training row whose bar is newer than the end of a data range
+  findNewRowsStart(pairData, trainingSet, dataRange) {
+    const timestamps = pairData.history.timestamps || [];
+    const index = trainingSet.barIndices.findIndex((bar) => timestamps[bar] > dataRange.to);
+    return index === -1 ? trainingSet.barIndices.length : index;
+  }
+
+  // Bars and timestamps a training run's rows cover
+  getTrainingDataRange(pairData, trainingSet) {
+    const barIndices = trainingSet.barIndices;
+    const timestamps = pairData.history.timestamps || [];
+    const fromBar = barIndices[0];
+    const toBar = barIndices[barIndices.length - 1];
+
+    return {
+      fromBar,
+      toBar,
+      from: timestamps[fromBar] ?? null,
+      to: timestamps[toBar] ?? null,
+      samples: barIndices.length,
+    };
   }
 
   // Get model configuration with periodic vs manual training optimization
@@ -2085,16 +4098,23 @@ class MLServer {
         }
       }
 
-      // Get data and extract features
+      // Get data and build the point-in-time inference window
       const pairData = await this.dataClient.getPairData(pair);
-      const features = this.featureExtractor.extractFeatures(pairData);
-      const currentFeatureCount = features.features.length;
+      const featureWindow = this.buildInferenceWindow(pairData);
+      const currentFeatureCount = featureWindow.featureNames.length;
 
       // Update feature count tracking
       this.featureCounts[pair] = currentFeatureCount;
 
-      // Prepare input for prediction
-      const inputData = await this.prepareRealTimeInput(features.features);
+      // Prepare one input per model, each scaled with that model's own scaler
+      const inputData = {};
+      for (const [modelType, modelInfo] of ensemble.models.entries()) {
+        inputData[modelType] = await this.prepareRealTimeInput(
+          featureWindow,
+          modelInfo.model.scaler,
+          modelInfo.model.sequenceLength
+        );
+      }
 
       // Make ensemble prediction
       const ensemblePrediction = await ensemble.predict(inputData, options);
@@ -2107,6 +4127,7 @@ class MLServer {
           type: "ensemble_prediction",
           featureCount: currentFeatureCount,
           ensembleMode: true,
+          reference: this.getPredictionReference(pairData, featureWindow),
         },
       };
 
@@ -2117,10 +4138,8 @@ class MLServer {
         type: "ensemble",
       };
 
-      // Clean up input tensor
-      if (inputData && typeof inputData.dispose === "function") {
-        inputData.dispose();
-      }
+      // Clean up input tensors
+      Object.values(inputData).forEach((tensor) => tensor.dispose());
 
       return this.predictions[cacheKey];
     } catch (error) {
@@ -2147,10 +4166,10 @@ class MLServer {
     }
 
     try {
-      // Get data and extract features first to check feature count
+      // Get data and build the inference window first to check feature count
       const pairData = await this.dataClient.getPairData(pair);
-      const features = this.featureExtractor.extractFeatures(pairData);
-      const currentFeatureCount = features.features.length;
+      const featureWindow = this.buildInferenceWindow(pairData);
+      const currentFeatureCount = featureWindow.featureNames.length;
 
       // Update feature count tracking
       this.featureCounts[pair] = currentFeatureCount;
@@ -2166,39 +4185,50 @@ class MLServer {
       }
 
       // Prepare input for prediction
-      const inputData = await this.prepareRealTimeInput(features.features);
+      const inputData = await this.prepareRealTimeInput(
+        featureWindow,
+        model.scaler,
+        model.sequenceLength
+      );
 
       // Make prediction
       const predictions = await model.predict(inputData);
-      let prediction;
 
-      // Handle TensorFlow tensor data properly
-      if (Array.isArray(predictions)) {
-        prediction = predictions[0];
-      } else {
-        prediction = predictions;
-      }
-
-      // Ensure we get a simple number, not a tensor object
-      if (typeof prediction === "object" && prediction !== null) {
-        // Handle tensor data format like {"0": 0.4962764084339142}
-        if (typeof prediction[0] === "number") {
-          prediction = prediction[0];
-        } else if (prediction.dataSync) {
-          // Handle actual TensorFlow tensor
-          const data = prediction.dataSync();
-          prediction = data[0];
-        } else {
-          // Fallback for unknown object format
-          prediction = 0.5;
-        }
-      }
+      // One probability per horizon; the primary horizon is the headline prediction.
+      // Regression heads also report the expected percent move and its band,
+      // classification heads the down/flat/up probabilities.
+      const horizonDetails = model.outputHead.decodeDetails(predictions);
+      const primaryHorizon = this.getPredictionHorizon();
+      const prediction = horizonDetails[primaryHorizon].probability;
+
+      const horizons = {};
+      Object.entries(horizonDetails).forEach(([horizon, detail]) => {
+        const value = detail.probability;
+        horizons[horizon] = {
+          prediction: value,
+          confidence: Math.abs(value - 0.5) * 2,
+          direction: value > 0.5 ? "up" : "down",
+          signal: this.getTradeSignal(
+            value,
+            Math.abs(value - 0.5) * 2,
+            detail.classProbabilities
+          ),
+          ...this.getOutputHeadDetails(detail),
+        };
+      });
 
       const result = {
         prediction: prediction,
         confidence: Math.abs(prediction - 0.5) * 2,
         direction: prediction > 0.5 ? "up" : "down",
-        signal: this.getTradeSignal(prediction, Math.abs(prediction - 0.5) * 2),
+        signal: this.getTradeSignal(
+          prediction,
+          Math.abs(prediction - 0.5) * 2,
+          horizonDetails[primaryHorizon].classProbabilities
+        ),
+        ...this.getOutputHeadDetails(horizonDetails[primaryHorizon]),
+        primaryHorizon: primaryHorizon,
+        horizons: horizons,
         modelType: modelType,
         individual: {
           prediction: prediction,
@@ -2210,6 +4240,7 @@ class MLServer {
           type: "individual_prediction",
           featureCount: currentFeatureCount,
           ensembleMode: false,
+          reference: this.getPredictionReference(pairData, featureWindow),
         },
       };
 
@@ -2276,11 +4307,18 @@ class MLServer {
         return null;
       }
 
+      // Weights imported with a model bundle take precedence over the defaults
+      const storedWeights = this.mlStorage.getEnsembleWeights(pair) || {};
+
       // Create ensemble
       const ensemble = new ModelEnsemble({
         modelTypes: this.enabledModels,
-        weights: this.getDefaultWeights(),
+        weights: { ...this.getDefaultWeights(), ...storedWeights },
         votingStrategy: this.ensembleStrategy,
+        primaryHorizon: this.getPredictionHorizon(),
+        autoUpdateWeights: config.get("ml.ensemble.autoUpdateWeights"),
+        minModelWeight: config.get("ml.ensemble.minModelWeight"),
+        performanceWindow: config.get("ml.ensemble.performanceWindow"),
       });
 
       // Add models to ensemble
@@ -2290,7 +4328,7 @@ class MLServer {
           ensemble.addModel(
             modelType,
             this.models[pair][modelType],
-            this.getModelWeight(modelType),
+            storedWeights[modelType] ?? this.getModelWeight(modelType),
             { pair: pair, addedAt: Date.now() }
           );
           modelsAdded++;
@@ -2307,6 +4345,15 @@ class MLServer {
 
       this.ensembles[pair] = ensemble;
 
+      // Restore outcome-driven weights from already resolved predictions
+      try {
+        this.outcomeResolver.applyToEnsemble(pair, ensemble);
+      } catch (error) {
+        Logger.warn(`Failed to apply resolved outcomes to ${pair} ensemble`, {
+          error: error.message,
+        });
+      }
+
       Logger.info(`Ensemble created for ${pair}`, {
         modelsAdded,
         strategy: this.ensembleStrategy,
@@ -2322,6 +4369,41 @@ class MLServer {
     }
   }
 
+  // Drop an in-memory model (and the pair's ensemble and cached predictions) so
+  // the next request loads the stored champion
+  unloadModel(pair, modelType) {
+    if (this.models[pair] && this.models[pair][modelType]) {
+      this.discardEnsemble(pair);
+      this.models[pair][modelType].dispose();
+      delete this.models[pair][modelType];
+    }
+    for (const key of this.predictionCache.keys()) {
+      if (key.startsWith(`${pair}_`)) {
+        this.predictionCache.delete(key);
+      }
+    }
+    this.modelStatusCache.delete(`status_${pair}`);
+  }
+
+  // Registry versions of the in-memory models behind a prediction
+  getModelVersions(pair, singleModel = null) {
+    const versions = {};
+    Object.entries(this.models[pair] || {}).forEach(([modelType, model]) => {
+      if (!singleModel || singleModel === modelType) {
+        versions[modelType] = model.version || null;
+      }
+    });
+    return versions;
+  }
+
+  // Drop a pair's ensemble; its member models belong to this.models and stay alive
+  discardEnsemble(pair) {
+    if (this.ensembles[pair]) {
+      this.ensembles[pair].dispose({ disposeModels: false });
+      delete this.ensembles[pair];
+    }
+  }
+
   // Check if we can create an ensemble
   canCreateEnsemble(pair) {
     if (!this.models[pair]) return false;
@@ -2333,11 +4415,7 @@ class MLServer {
   async recreateEnsembleIfNeeded(pair) {
     try {
       if (this.canCreateEnsemble(pair)) {
-        // Dispose old ensemble if exists
-        if (this.ensembles[pair]) {
-          this.ensembles[pair].dispose();
-          delete this.ensembles[pair];
-        }
+        this.discardEnsemble(pair);
 
         // Create new ensemble
         const ensemble = await this.createEnsemble(pair);
@@ -2401,18 +4479,7 @@ class MLServer {
 
     Logger.info(`Creating ${modelType} model for ${pair}`, { featureCount });
 
-    // Create config with proper feature count
-    const baseConfig = {
-      sequenceLength: this.quickMode ? 30 : 60, // Full sequence in ensemble mode
-      features: featureCount,
-    };
-
-    // Get model-specific config
-    const modelSpecificConfig = this.getModelConfig(modelType);
-    const finalConfig = {
-      ...modelSpecificConfig,
-      ...baseConfig,
-    };
+    const finalConfig = this.getModelBuildConfig(modelType, featureCount, pair);
 
     // Try to load pre-trained weights first
     let model;
@@ -2424,7 +4491,8 @@ class MLServer {
           pair,
           modelType,
           ModelClass,
-          finalConfig
+          finalConfig,
+          { featureSchemaHash: this.featureExtractor.getFeatureSchemaHash() }
         );
         if (model) {
           // 🔧 CRITICAL FIX: Ensure loaded model is compiled
@@ -2455,7 +4523,51 @@ class MLServer {
     }
 
     // Create new model if loading failed or no weights exist
-    model = new ModelClass(finalConfig);
+    model = this.buildFreshModel(pair, modelType, featureCount);
+    this.models[pair][modelType] = model;
+
+    Logger.info(`New ${modelType} model created for ${pair}`, {
+      featureCount,
+      params: model.model?.countParams?.() || 0,
+      hasPretrainedWeights: false,
+      isCompiled: model.isCompiled,
+    });
+
+    return model;
+  }
+
+  // Model-specific config with the shared sequence length, feature count and output head.
+  // With a pair, the pair's tuned hyperparameters (if any apply) override the
+  // defaults, including a shorter sequence length.
+  getModelBuildConfig(modelType, featureCount, pair = null) {
+    const tunedParams = pair ? this.hyperparameterSearch.getBestParams(pair, modelType) : null;
+    const baseConfig = {
+      sequenceLength: tunedParams?.sequenceLength || this.getSequenceLength(), // Full sequence in ensemble mode
+      features: featureCount,
+      horizons: this.getPredictionHorizons(),
+      outputHead: this.getOutputHeadConfig(),
+    };
+
+    return {
+      ...this.getModelConfig(modelType),
+      ...tunedParams,
+      ...baseConfig,
+    };
+  }
+
+  // Build config of an existing instance: its own architecture (which may come
+  // from an older tuned config) on top of the current defaults
+  getInstanceBuildConfig(model, modelType, featureCount) {
+    return {
+      ...this.getModelBuildConfig(modelType, featureCount),
+      ...model.getModelSummary().config,
+    };
+  }
+
+  // New, untrained and compiled model with the pair's build config. Not registered in this.models.
+  buildFreshModel(pair, modelType, featureCount) {
+    const ModelClass = this.getModelClass(modelType);
+    const model = new ModelClass(this.getModelBuildConfig(modelType, featureCount, pair));
     model.buildModel();
     model.compileModel(); // 🔧 CRITICAL FIX: Always compile new models
 
@@ -2465,17 +4577,117 @@ class MLServer {
     }
 
     model.features = featureCount; // Store feature count for quick access
+    return model;
+  }
 
-    this.models[pair][modelType] = model;
+  // True when the pair has tuned hyperparameters the model was not built with.
+  // A learning rate change alone does not need new weights.
+  needsTunedRebuild(pair, modelType, model) {
+    const tunedParams = this.hyperparameterSearch.getBestParams(pair, modelType);
+    if (!tunedParams) {
+      return false;
+    }
 
-    Logger.info(`New ${modelType} model created for ${pair}`, {
-      featureCount,
-      params: model.model?.countParams?.() || 0,
-      hasPretrainedWeights: false,
-      isCompiled: model.isCompiled,
-    });
+    const current = model.getModelSummary().config || {};
+    return Object.keys(tunedParams).some(
+      (name) => name !== "learningRate" && JSON.stringify(current[name]) !== JSON.stringify(tunedParams[name])
+    );
+  }
 
-    return model;
+  // Load the stored champion as a standalone instance (not registered in this.models)
+  async loadStoredChampion(pair, modelType, featureCount) {
+    if (!this.mlStorage.hasTrainedWeights(pair, modelType)) {
+      return null;
+    }
+
+    try {
+      const champion = await this.mlStorage.loadModelWeights(
+        pair,
+        modelType,
+        this.getModelClass(modelType),
+        this.getModelBuildConfig(modelType, featureCount),
+        { featureSchemaHash: this.featureExtractor.getFeatureSchemaHash() }
+      );
+      if (champion) {
+        if (!champion.isCompiled) {
+          champion.compileModel();
+        }
+        champion.features = featureCount;
+      }
+      return champion;
+    } catch (error) {
+      Logger.warn(`Failed to load stored champion for ${pair}:${modelType}`, {
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  // Standard TF.js model.json + weights.bin of a stored version (the champion
+  // when version is null), with the scaler and feature names as user metadata.
+  // Cached per version since a registered version's weights never change.
+  async getLayersModelExport(pair, modelType, version = null) {
+    const assetData = this.mlStorage.loadAssetData(pair);
+    const record = version
+      ? this.mlStorage.getRegistry(assetData, modelType).versions.find((entry) => entry.version === version)?.record
+      : assetData.models?.[modelType];
+
+    if (!record || !this.mlStorage.hasWeightData(record.weights)) {
+      return null;
+    }
+
+    const resolvedVersion = version || record.version || null;
+    const cacheKey = `${pair}:${modelType}:${resolvedVersion}`;
+    if (resolvedVersion && this.layersModelExports.has(cacheKey)) {
+      return this.layersModelExports.get(cacheKey);
+    }
+
+    const featureCount = record.config?.features || record.scaler?.featureNames?.length;
+    const modelWrapper = await this.mlStorage.loadModelWeights(
+      pair,
+      modelType,
+      this.getModelClass(modelType),
+      this.getModelBuildConfig(modelType, featureCount),
+      { version }
+    );
+    if (!modelWrapper) {
+      throw new Error(`Stored ${modelType} weights for ${pair} could not be loaded`);
+    }
+
+    try {
+      const exported = await toLayersModelArtifacts(modelWrapper.model, {
+        pair,
+        modelType,
+        version: resolvedVersion,
+        sequenceLength: modelWrapper.sequenceLength,
+        features: featureCount,
+        featureNames: record.scaler?.featureNames || [],
+        featureSchemaHash: record.scaler?.featureSchemaHash || null,
+        scaler: record.scaler
+          ? {
+              mean: record.scaler.mean,
+              std: record.scaler.std,
+              samples: record.scaler.samples,
+              fittedAt: record.scaler.fittedAt,
+            }
+          : null,
+        outputHead: modelWrapper.outputHead ? modelWrapper.outputHead.toJSON() : null,
+        // Register these (src/models/TransformerLayers.js) before loading
+        customLayers: modelType === "transformer" ? ["PositionalEncoding", "TransformerEncoderLayer"] : [],
+        exportedAt: Date.now(),
+      });
+
+      if (resolvedVersion) {
+        this.layersModelExports.set(cacheKey, exported);
+        // Keep the most recent few exports
+        if (this.layersModelExports.size > 8) {
+          this.layersModelExports.delete(this.layersModelExports.keys().next().value);
+        }
+      }
+      return exported;
+    } finally {
+      modelWrapper.dispose();
+    }
   }
 
   // Get model class by type
@@ -2494,16 +4706,124 @@ class MLServer {
     }
   }
 
-  // Enhanced input preparation
-  async prepareRealTimeInput(features) {
+  // Sequence length used by models and inference windows
+  getSequenceLength() {
+    return this.quickMode ? 30 : 60; // Full sequence for ensemble
+  }
+
+  // Horizons (bars ahead) every model predicts, one output unit each
+  getPredictionHorizons() {
+    return config.get("ml.features.targetPeriods");
+  }
+
+  // Margin a training run's test metrics must beat the baseline by to be saved
+  getMinImprovement(trainingType) {
+    return config.get(`ml.performance.tracking.minImprovement.${trainingType}`);
+  }
+
+  // ml.training.crossValidation: { enabled, mode, folds, trainBlocks, validationSplit, embargo }
+  getCrossValidationSettings() {
+    return config.get("ml.training.crossValidation");
+  }
+
+  // ml.training.fineTune: { enabled, learningRateFactor, replayRatio, maxReplaySamples, minNewSamples, freezeLayers }
+  getFineTuneSettings() {
+    return config.get("ml.training.fineTune");
+  }
+
+  // Signature stored with weights for the configured output head and horizons
+  getOutputHeadSignature() {
+    return new OutputHead({
+      ...this.getOutputHeadConfig(),
+      horizons: this.getPredictionHorizons(),
+    }).getSignature();
+  }
+
+  // Output head settings shared by every model: "direction" (up probability),
+  // "regression" (expected percent move with an uncertainty band) or
+  // "classification" (down/flat/up with a dead band)
+  getOutputHeadConfig() {
+    return config.get("ml.targets");
+  }
+
+  // Headline horizon for prediction/signal - 5 bars when configured, else the longest
+  getPredictionHorizon() {
+    const horizons = this.getPredictionHorizons();
+    return horizons.includes(5) ? 5 : Math.max(...horizons);
+  }
+
+  // Mode-specific fields from a decoded output: class probabilities for
+  // classification heads, expected percent move and band for regression heads
+  getOutputHeadDetails(detail) {
+    if (detail.classProbabilities) {
+      const classProbabilities = detail.classProbabilities;
+      return {
+        classProbabilities: classProbabilities,
+        predictedClass: Object.keys(classProbabilities).reduce((best, name) =>
+          classProbabilities[name] > classProbabilities[best] ? name : best
+        ),
+      };
+    }
+
+    if (detail.expectedMove === undefined) {
+      return {};
+    }
+
+    return {
+      expectedMove: detail.expectedMove,
+      uncertainty: {
+        std: detail.std,
+        lower: detail.lower,
+        upper: detail.upper,
+      },
+    };
+  }
+
+  // Bar a prediction was made on, so its outcome can be resolved later
+  getPredictionReference(pairData, featureWindow) {
+    const lastRow = featureWindow.barIndices.length - 1;
+    const barIndex = featureWindow.barIndices[lastRow];
+
+    return {
+      price: pairData.history.closes[barIndex],
+      timestamp: featureWindow.timestamps[lastRow],
+      horizon: this.getPredictionHorizon(),
+    };
+  }
+
+  // Last sequenceLength point-in-time rows of the pair's history. Uses the same
+  // extractor as performModelTraining so train and serve inputs match exactly.
+  buildInferenceWindow(pairData) {
+    const sequenceLength = this.getSequenceLength();
+    const featureWindow = this.featureExtractor.extractFeatureMatrix(pairData, {
+      lastN: sequenceLength,
+    });
+
+    if (featureWindow.features.length < sequenceLength) {
+      throw new Error(
+        `Insufficient point-in-time rows for inference: ${featureWindow.features.length} (need ${sequenceLength})`
+      );
+    }
+
+    return featureWindow;
+  }
+
+  // Enhanced input preparation - applies the model's persisted scaler. Models
+  // with a shorter (tuned) sequence length read the end of the window.
+  async prepareRealTimeInput(featureWindow, scaler = null, sequenceLength = null) {
     const tf = require("@tensorflow/tfjs");
-    const sequenceLength = this.quickMode ? 30 : 60; // Full sequence for ensemble
 
-    // Create a mock sequence by repeating the current features
-    const sequence = Array(sequenceLength).fill(features);
+    let rows = sequenceLength ? featureWindow.features.slice(-sequenceLength) : featureWindow.features;
+    if (scaler) {
+      rows = this.preprocessor.normalizeWithScaler(rows, scaler);
+    } else {
+      Logger.debug("No scaler available for model, using unscaled input", {
+        pair: featureWindow.metadata?.pair,
+      });
+    }
 
-    // Convert to tensor
-    const inputTensor = tf.tensor3d([sequence]); // Shape: [1, sequenceLength, features]
+    // Shape: [1, sequenceLength, features], oldest bar first
+    const inputTensor = tf.tensor3d([rows]);
 
     return inputTensor;
   }
@@ -2561,10 +4881,19 @@ class MLServer {
   }
 
   // Get trade signal based on prediction and confidence
-  getTradeSignal(prediction, confidence) {
+  getTradeSignal(prediction, confidence, classProbabilities = null) {
     const strongThreshold = 0.7;
     const weakThreshold = 0.55;
 
+    // A most likely flat class always holds
+    if (
+      classProbabilities &&
+      classProbabilities.flat >= classProbabilities.up &&
+      classProbabilities.flat >= classProbabilities.down
+    ) {
+      return "HOLD";
+    }
+
     if (confidence > strongThreshold) {
       return prediction > 0.5 ? "STRONG_BUY" : "STRONG_SELL";
     } else if (confidence > weakThreshold) {
@@ -2627,6 +4956,12 @@ class MLServer {
       // Wait for core service (not in quick mode anymore)
       await this.dataClient.waitForCoreService();
 
+      if (config.get("ml.ensemble.outcomeResolver.enabled")) {
+        this.outcomeResolver.start();
+      }
+
+      this.backupManager.start();
+
       // Start HTTP server
       this.server = this.app.listen(this.port, () => {
         Logger.info(
@@ -2720,11 +5055,16 @@ class MLServer {
     Logger.info("Stopping Ensemble ML Server...");
 
     this.stopPeriodicTraining();
+    this.outcomeResolver.stop();
+    this.backupManager.stop();
 
     // Stop training queue first
     if (this.trainingQueue) {
       await this.trainingQueue.shutdown();
     }
+    if (this.trainingWorkers) {
+      await this.trainingWorkers.shutdown();
+    }
 
     // Clear all caches
     this.predictionCache.clear();
@@ -0,0 +1,408 @@
+const tf = require('@tensorflow/tfjs');
+const DataPreprocessor = require('../data/DataPreprocessor');
+const ModelEnsemble = require('../models/ModelEnsemble');
+const OutputHead = require('../models/OutputHead');
+const { Logger } = require('../utils');
+
+// Fraction of maxPositionSize held for each ensemble signal. HOLD keeps the
+// current position open; only a different signal changes it.
+const SIGNAL_EXPOSURE = {
+    STRONG_BUY: 1,
+    BUY: 0.5,
+    HOLD: null,
+    SELL: -0.5,
+    STRONG_SELL: -1
+};
+
+class BacktestEngine {
+    constructor(config = {}) {
+        this.featureExtractor = config.featureExtractor;
+        this.createModel = config.createModel; // (modelType, featureCount, horizons) => compiled model
+        this.modelTypes = config.modelTypes || ['lstm', 'gru', 'cnn'];
+        this.modelWeights = config.modelWeights || {};
+        this.votingStrategy = config.votingStrategy || 'weighted';
+        this.sequenceLength = config.sequenceLength || 60;
+
+        // Walk-forward windows, in feature rows (one row per bar)
+        this.trainWindow = config.trainWindow || 300;
+        this.testWindow = config.testWindow || 50;
+        this.targetPeriod = config.targetPeriod || 5;
+        // Same output head settings as the models createModel builds, so the
+        // fold targets match what they predict (direction, percent move or class)
+        this.outputHead = new OutputHead({ ...config.outputHead, horizons: [this.targetPeriod] });
+        this.trainingConfig = {
+            epochs: 5,
+            batchSize: 32,
+            patience: 3,
+            verbose: 0,
+            ...(config.trainingConfig || {})
+        };
+
+        const risk = config.riskManagement || {};
+        this.riskManagement = {
+            maxPositionSize: risk.maxPositionSize || 0.1,
+            stopLossPercent: risk.stopLossPercent || 0.05,
+            takeProfitPercent: risk.takeProfitPercent || 0.1,
+            maxDailyTrades: risk.maxDailyTrades || 10
+        };
+        this.initialCapital = config.initialCapital || 10000;
+        this.feePercent = config.feePercent || 0;
+
+        if (!this.featureExtractor || typeof this.createModel !== 'function') {
+            throw new Error('BacktestEngine requires a featureExtractor and a createModel function');
+        }
+
+        // Own preprocessor so fold scalers never overwrite the live one
+        this.preprocessor = new DataPreprocessor({
+            sequenceLength: this.sequenceLength,
+            testSplit: 0.1
+        });
+    }
+
+    // Replay the pair's history: retrain on each trailing window, then trade
+    // the following testWindow bars with the freshly trained ensemble
+    async run(pairData, onProgress = () => {}) {
+        const startTime = Date.now();
+        const { history } = pairData;
+
+        const featureMatrix = this.featureExtractor.extractFeatureMatrix(pairData);
+        const targets = this.featureExtractor.createTargets(
+            history,
+            [this.targetPeriod],
+            this.outputHead.getTargetOptions()
+        );
+        const [targetSeries] = this.outputHead.selectTargets(targets);
+        const rows = featureMatrix.features.length;
+
+        if (rows < this.trainWindow + this.sequenceLength) {
+            throw new Error(`Insufficient history for backtest: ${rows} rows (need ${this.trainWindow + this.sequenceLength})`);
+        }
+
+        const folds = [];
+        for (let testStart = this.trainWindow; testStart < rows; testStart += this.testWindow) {
+            folds.push({
+                trainStart: testStart - this.trainWindow,
+                testStart,
+                testEnd: Math.min(testStart + this.testWindow, rows)
+            });
+        }
+
+        Logger.info('Starting walk-forward backtest', {
+            pair: pairData.pair,
+            rows,
+            folds: folds.length,
+            trainWindow: this.trainWindow,
+            testWindow: this.testWindow,
+            modelTypes: this.modelTypes
+        });
+
+        const signals = [];
+
+        for (let f = 0; f < folds.length; f++) {
+            const fold = folds[f];
+            const foldSignals = await this.runFold(featureMatrix, targetSeries, fold);
+            signals.push(...foldSignals);
+
+            onProgress({
+                fold: f + 1,
+                totalFolds: folds.length,
+                progress: (f + 1) / folds.length
+            });
+        }
+
+        const simulation = this.simulateTrades(history, signals);
+
+        return {
+            pair: pairData.pair,
+            metrics: simulation.metrics,
+            trades: simulation.trades,
+            equityCurve: simulation.equityCurve,
+            config: {
+                modelTypes: this.modelTypes,
+                votingStrategy: this.votingStrategy,
+                sequenceLength: this.sequenceLength,
+                trainWindow: this.trainWindow,
+                testWindow: this.testWindow,
+                targetPeriod: this.targetPeriod,
+                outputMode: this.outputHead.mode,
+                trainingConfig: this.trainingConfig,
+                riskManagement: this.riskManagement,
+                initialCapital: this.initialCapital,
+                feePercent: this.feePercent
+            },
+            period: {
+                startBar: signals.length > 0 ? signals[0].barIndex : null,
+                endBar: signals.length > 0 ? signals[signals.length - 1].barIndex : null,
+                startTime: signals.length > 0 ? signals[0].timestamp : null,
+                endTime: signals.length > 0 ? signals[signals.length - 1].timestamp : null,
+                bars: signals.length,
+                folds: folds.length
+            },
+            duration: Date.now() - startTime,
+            completedAt: Date.now()
+        };
+    }
+
+    // Train a fresh ensemble on one trailing window and emit a signal for every
+    // bar of the following test window
+    async runFold(featureMatrix, targetSeries, fold) {
+        // Drop training rows whose target horizon reaches into the test window
+        const trainRows = [];
+        const trainTargets = [];
+        const firstTestBar = featureMatrix.barIndices[fold.testStart];
+        for (let row = fold.trainStart; row < fold.testStart; row++) {
+            const barIndex = featureMatrix.barIndices[row];
+            if (barIndex + this.targetPeriod < firstTestBar && barIndex < targetSeries.length) {
+                trainRows.push(featureMatrix.features[row]);
+                trainTargets.push(targetSeries[barIndex]);
+            }
+        }
+
+        if (trainRows.length <= this.sequenceLength) {
+            throw new Error(`Training window too small: ${trainRows.length} rows (need more than ${this.sequenceLength})`);
+        }
+
+        const preprocessor = this.preprocessor;
+        const ensemble = new ModelEnsemble({
+            modelTypes: this.modelTypes,
+            votingStrategy: this.votingStrategy,
+            primaryHorizon: this.targetPeriod
+        });
+
+        let processedData = null;
+
+        try {
+            processedData = await preprocessor.prepareTrainingData(trainRows, trainTargets, {
+                horizon: this.targetPeriod
+            });
+            const scaler = preprocessor.getScalerStats();
+            const featureCount = featureMatrix.featureNames.length;
+
+            for (const modelType of this.modelTypes) {
+                const model = this.createModel(modelType, featureCount, [this.targetPeriod]);
+                await model.train(
+                    processedData.trainX,
+                    processedData.trainY,
+                    processedData.validationX,
+                    processedData.validationY,
+                    this.trainingConfig
+                );
+                ensemble.addModel(modelType, model, this.modelWeights[modelType] || 1.0);
+            }
+
+            // Scale every row once; each test bar then reads its trailing window
+            const firstInputRow = Math.max(0, fold.testStart - this.sequenceLength + 1);
+            const scaledRows = preprocessor.normalizeWithScaler(
+                featureMatrix.features.slice(firstInputRow, fold.testEnd),
+                scaler
+            );
+
+            const signals = [];
+            for (let row = fold.testStart; row < fold.testEnd; row++) {
+                const windowEnd = row - firstInputRow + 1;
+                if (windowEnd < this.sequenceLength) {
+                    continue;
+                }
+
+                const input = tf.tensor3d([scaledRows.slice(windowEnd - this.sequenceLength, windowEnd)]);
+                try {
+                    const prediction = await ensemble.predict(input);
+                    signals.push({
+                        barIndex: featureMatrix.barIndices[row],
+                        timestamp: featureMatrix.timestamps[row],
+                        prediction: prediction.prediction,
+                        confidence: prediction.confidence,
+                        signal: prediction.signal
+                    });
+                } finally {
+                    input.dispose();
+                }
+            }
+
+            return signals;
+
+        } finally {
+            if (processedData) {
+                preprocessor.disposeProcessedData(processedData);
+            }
+            ensemble.dispose();
+            preprocessor.dispose();
+        }
+    }
+
+    // Turn per-bar signals into positions, applying stop loss, take profit,
+    // position sizing and the daily trade limit from riskManagement
+    simulateTrades(history, signals) {
+        const { closes, highs, lows, timestamps } = history;
+        const { maxPositionSize, stopLossPercent, takeProfitPercent, maxDailyTrades } = this.riskManagement;
+
+        let cash = this.initialCapital;
+        let position = null;
+        const trades = [];
+        const equityCurve = [];
+        const dailyTrades = new Map();
+
+        const closePosition = (exitPrice, barIndex, reason) => {
+            const priceReturn = (exitPrice - position.entryPrice) / position.entryPrice;
+            const grossPnl = position.notional * priceReturn * position.direction;
+            const fees = position.notional * (1 + priceReturn) * this.feePercent;
+            const pnl = grossPnl - fees;
+
+            cash += position.notional + pnl;
+            trades.push({
+                direction: position.direction > 0 ? 'long' : 'short',
+                signal: position.signal,
+                entryBar: position.entryBar,
+                exitBar: barIndex,
+                entryTime: timestamps ? timestamps[position.entryBar] : null,
+                exitTime: timestamps ? timestamps[barIndex] : null,
+                entryPrice: position.entryPrice,
+                exitPrice,
+                notional: position.notional,
+                pnl,
+                returnPercent: (pnl / position.notional) * 100,
+                exitReason: reason
+            });
+            position = null;
+        };
+
+        signals.forEach(({ barIndex, signal }) => {
+            const close = closes[barIndex];
+            const high = highs ? highs[barIndex] : close;
+            const low = lows ? lows[barIndex] : close;
+
+            // Protective exits first; when both levels are hit in one bar assume the stop
+            if (position) {
+                const stopPrice = position.entryPrice * (1 - stopLossPercent * position.direction);
+                const targetPrice = position.entryPrice * (1 + takeProfitPercent * position.direction);
+                const stopHit = position.direction > 0 ? low <= stopPrice : high >= stopPrice;
+                const targetHit = position.direction > 0 ? high >= targetPrice : low <= targetPrice;
+
+                if (stopHit) {
+                    closePosition(stopPrice, barIndex, 'stop_loss');
+                } else if (targetHit) {
+                    closePosition(targetPrice, barIndex, 'take_profit');
+                }
+            }
+
+            const exposure = SIGNAL_EXPOSURE[signal];
+            const currentExposure = position ? position.exposure : 0;
+
+            if (exposure !== null && exposure !== undefined && exposure !== currentExposure) {
+                if (position) {
+                    closePosition(close, barIndex, 'signal');
+                }
+
+                const day = this.getTradeDay(timestamps, barIndex);
+                const tradesToday = dailyTrades.get(day) || 0;
+
+                if (exposure !== 0 && tradesToday < maxDailyTrades) {
+                    const notional = cash * maxPositionSize * Math.abs(exposure);
+                    cash -= notional + notional * this.feePercent;
+                    position = {
+                        direction: Math.sign(exposure),
+                        exposure,
+                        signal,
+                        entryBar: barIndex,
+                        entryPrice: close,
+                        notional
+                    };
+                    dailyTrades.set(day, tradesToday + 1);
+                }
+            }
+
+            const openValue = position
+                ? position.notional * (1 + ((close - position.entryPrice) / position.entryPrice) * position.direction)
+                : 0;
+            equityCurve.push({
+                barIndex,
+                timestamp: timestamps ? timestamps[barIndex] : null,
+                equity: cash + openValue
+            });
+        });
+
+        if (position && signals.length > 0) {
+            const lastBar = signals[signals.length - 1].barIndex;
+            closePosition(closes[lastBar], lastBar, 'end_of_test');
+            equityCurve[equityCurve.length - 1].equity = cash;
+        }
+
+        return {
+            trades,
+            equityCurve,
+            metrics: this.calculateMetrics(equityCurve, trades, timestamps)
+        };
+    }
+
+    getTradeDay(timestamps, barIndex) {
+        if (timestamps && timestamps[barIndex]) {
+            return new Date(timestamps[barIndex]).toISOString().slice(0, 10);
+        }
+        return Math.floor(barIndex / 24); // Assume hourly bars without timestamps
+    }
+
+    calculateMetrics(equityCurve, trades, timestamps) {
+        const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : this.initialCapital;
+
+        // Per-bar returns for Sharpe
+        const returns = [];
+        for (let i = 1; i < equityCurve.length; i++) {
+            returns.push(equityCurve[i].equity / equityCurve[i - 1].equity - 1);
+        }
+        const meanReturn = returns.length > 0 ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
+        const variance = returns.length > 1
+            ? returns.reduce((sum, r) => sum + Math.pow(r - meanReturn, 2), 0) / (returns.length - 1)
+            : 0;
+        const stdReturn = Math.sqrt(variance);
+        const periodsPerYear = this.getPeriodsPerYear(timestamps);
+        const sharpeRatio = stdReturn > 0 ? (meanReturn / stdReturn) * Math.sqrt(periodsPerYear) : 0;
+
+        let peak = this.initialCapital;
+        let maxDrawdown = 0;
+        equityCurve.forEach(({ equity }) => {
+            peak = Math.max(peak, equity);
+            maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+        });
+
+        const winningTrades = trades.filter(trade => trade.pnl > 0).length;
+
+        return {
+            initialCapital: this.initialCapital,
+            finalEquity,
+            pnl: finalEquity - this.initialCapital,
+            totalReturnPercent: ((finalEquity - this.initialCapital) / this.initialCapital) * 100,
+            sharpeRatio,
+            maxDrawdownPercent: maxDrawdown * 100,
+            hitRate: trades.length > 0 ? winningTrades / trades.length : 0,
+            tradeCount: trades.length,
+            winningTrades,
+            losingTrades: trades.length - winningTrades,
+            exitReasons: trades.reduce((counts, trade) => {
+                counts[trade.exitReason] = (counts[trade.exitReason] || 0) + 1;
+                return counts;
+            }, {}),
+            periodsPerYear
+        };
+    }
+
+    // Annualisation factor from the median bar spacing (hourly by default)
+    getPeriodsPerYear(timestamps) {
+        const yearMs = 365 * 24 * 60 * 60 * 1000;
+        if (!timestamps || timestamps.length < 2) {
+            return yearMs / 3600000;
+        }
+
+        const gaps = [];
+        for (let i = 1; i < timestamps.length; i++) {
+            if (timestamps[i] && timestamps[i - 1]) {
+                gaps.push(timestamps[i] - timestamps[i - 1]);
+            }
+        }
+        gaps.sort((a, b) => a - b);
+        const medianGap = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 0;
+
+        return medianGap > 0 ? yearMs / medianGap : yearMs / 3600000;
+    }
+}
+
+module.exports = BacktestEngine;
@@ -0,0 +1,126 @@
+const { Logger } = require('../utils');
+
+const MODES = ['expanding', 'rolling'];
+
+// Walk-forward cross-validation over time-ordered rows. The rows after the
+// first full sequence window are cut into folds + trainBlocks blocks, and
+// each of the last `folds` blocks is a test fold trained on the rows before
+// it: all of them (expanding) or the last trainBlocks blocks (rolling). The
+// tail of each training window is the validation set used for early stopping.
+//
+// A row's label looks `horizon` bars ahead, so training rows whose label
+// window reaches the first bar of the next set are purged, and `embargo`
+// more rows are dropped before it. Training data always precedes the data it
+// is scored on, so the embargo is a gap before each boundary rather than
+// after the test fold.
+class CrossValidator {
+    constructor(config = {}) {
+        this.mode = config.mode || 'expanding';
+        this.folds = config.folds || 3;
+        this.trainBlocks = config.trainBlocks || 2;
+        this.validationSplit = config.validationSplit !== undefined ? config.validationSplit : 0.2;
+        this.embargo = config.embargo || 0;
+
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Unknown cross-validation mode: ${this.mode}. Use one of ${MODES.join(', ')}`);
+        }
+        if (!(this.validationSplit > 0 && this.validationSplit < 1)) {
+            throw new Error(`Cross-validation validationSplit must be between 0 and 1, got ${this.validationSplit}`);
+        }
+    }
+
+    // options: { sequenceLength, horizon, barIndices } - barIndices maps rows to
+    // bars when rows skip bars. Returns one plan per fold with half-open row
+    // ranges of sequence end rows:
+    // { fold, train, validation, test, purged, embargoed }
+    split(rowCount, options = {}) {
+        const sequenceLength = options.sequenceLength || 1;
+        const horizon = options.horizon || 0;
+        const barIndices = options.barIndices || null;
+        const bar = row => (barIndices ? barIndices[row] : row);
+
+        const firstRow = sequenceLength - 1;
+        const blockSize = Math.floor((rowCount - firstRow) / (this.folds + this.trainBlocks));
+
+        const plans = [];
+        for (let fold = 0; fold < this.folds; fold++) {
+            const testStart = rowCount - (this.folds - fold) * blockSize;
+            const windowStart = this.mode === 'rolling' ?
+                Math.max(firstRow, testStart - this.trainBlocks * blockSize) :
+                firstRow;
+
+            const beforeTest = this.gapBefore(testStart, windowStart, horizon, bar);
+            const validationStart = beforeTest.end - Math.floor((beforeTest.end - windowStart) * this.validationSplit);
+            const beforeValidation = this.gapBefore(validationStart, windowStart, horizon, bar);
+
+            const plan = {
+                fold: fold + 1,
+                train: { start: windowStart, end: beforeValidation.end },
+                validation: { start: validationStart, end: beforeTest.end },
+                test: { start: testStart, end: testStart + blockSize },
+                purged: beforeTest.purged + beforeValidation.purged,
+                embargoed: beforeTest.embargoed + beforeValidation.embargoed
+            };
+
+            ['train', 'validation', 'test'].forEach(set => {
+                if (plan[set].end <= plan[set].start) {
+                    throw new Error(
+                        `Insufficient rows for ${this.folds} ${this.mode} folds: ${rowCount} ` +
+                        `(fold ${plan.fold} has no ${set} rows after purging)`
+                    );
+                }
+            });
+            plans.push(plan);
+        }
+
+        Logger.debug('Walk-forward folds created', {
+            mode: this.mode,
+            folds: this.folds,
+            blockSize,
+            horizon,
+            embargo: this.embargo
+        });
+
+        return plans;
+    }
+
+    // Rows kept before `boundary`: those whose label window ends before the
+    // boundary bar, minus the embargo -> { end, purged, embargoed }
+    gapBefore(boundary, windowStart, horizon, bar) {
+        let end = boundary;
+        while (end > windowStart && bar(end - 1) + horizon >= bar(boundary)) {
+            end--;
+        }
+        const embargoed = Math.min(this.embargo, end - windowStart);
+
+        return { end: end - embargoed, purged: boundary - end, embargoed };
+    }
+
+    // Per-fold metric objects -> { mean, std } of every numeric metric
+    // (sample std across folds; 0 for a single fold)
+    aggregate(foldMetrics) {
+        const mean = {};
+        const std = {};
+
+        const names = new Set(foldMetrics.flatMap(metrics => Object.keys(metrics || {})));
+        names.forEach(name => {
+            const values = foldMetrics
+                .map(metrics => metrics && metrics[name])
+                .filter(value => typeof value === 'number' && Number.isFinite(value));
+            if (values.length === 0) {
+                return;
+            }
+
+            const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const variance = values.length > 1 ?
+                values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1) :
+                0;
+            mean[name] = average;
+            std[name] = Math.sqrt(variance);
+        });
+
+        return { mean, std };
+    }
+}
+
+module.exports = CrossValidator;
@@ -34,6 +34,10 @@ if (!backendLoaded) {
 }
 
 const { Logger } = require('../utils');
+const CrossValidator = require('./CrossValidator');
+
+// Tensor fields of the prepared train/validation/test splits
+const SPLIT_KEYS = ['trainX', 'trainY', 'validationX', 'validationY', 'testX', 'testY'];
 
 // Rest of the file remains the same...
 
@@ -42,6 +46,8 @@ class DataPreprocessor {
         this.sequenceLength = config.sequenceLength || 60;
         this.testSplit = config.testSplit || 0.2;
         this.validationSplit = config.validationSplit || 0.2;
+        // Walk-forward fold settings (ml.training.crossValidation)
+        this.crossValidation = config.crossValidation || {};
         
         this.scaler = {
             mean: null,
@@ -111,7 +117,9 @@ class DataPreprocessor {
         await tf.ready();
     }
     
-    async prepareTrainingData(featuresArray, targets) {
+    // options.sequenceLength overrides the configured window for this run;
+    // options.horizon and options.embargo purge the split boundaries (see splitData)
+    async prepareTrainingData(featuresArray, targets, options = {}) {
         try {
             // Ensure TensorFlow is ready before any operations
             await this.ensureBackendReady();
@@ -125,20 +133,27 @@ class DataPreprocessor {
             const normalizedFeatures = this.normalizeFeatures(featuresArray);
             
             // Create sequences
-            const sequences = this.createSequences(normalizedFeatures, targets);
+            const sequences = this.createSequences(normalizedFeatures, targets, options.sequenceLength);
             
             // Split data
-            const splits = this.splitData(sequences.X, sequences.y);
+            const splits = this.splitData(sequences.X, sequences.y, options);
+            sequences.X.dispose();
+            sequences.y.dispose();
             
             Logger.info('Training data prepared', {
                 trainSamples: splits.trainX.shape[0],
                 validationSamples: splits.validationX.shape[0],
                 testSamples: splits.testX.shape[0],
+                purgedSamples: splits.purged,
                 sequenceLength: splits.trainX.shape[1],
                 features: splits.trainX.shape[2]
             });
             
-            return splits;
+            // Captured with the splits: concurrent runs share this preprocessor
+            return {
+                ...splits,
+                scalerStats: this.getScalerStats()
+            };
             
         } catch (error) {
             Logger.error('Failed to prepare training data', { error: error.message });
@@ -149,25 +164,28 @@ class DataPreprocessor {
     normalizeFeatures(featuresArray) {
         Logger.debug('Normalizing features');
         
-        // Convert to tensor for easier computation
-        const featuresTensor = tf.tensor2d(featuresArray);
-        
-        // Calculate statistics
-        const mean = featuresTensor.mean(0);
-        const std = featuresTensor.sub(mean).square().mean(0).sqrt();
+        // Calculate statistics and normalize: (x - mean) / std. Intermediate
+        // tensors are released by tidy; mean, std and the result are kept
+        const [mean, std, normalizedTensor] = tf.tidy(() => {
+            const featuresTensor = tf.tensor2d(featuresArray);
+            const mean = featuresTensor.mean(0);
+            const std = featuresTensor.sub(mean).square().mean(0).sqrt();
+            // Add small epsilon to avoid division by zero
+            return [mean, std, featuresTensor.sub(mean).div(std.add(1e-7))];
+        });
         
-        // Store for later use in prediction
+        // Store for later use in prediction (release the previous fit first)
+        if (this.scaler.mean) {
+            this.scaler.mean.dispose();
+        }
+        if (this.scaler.std) {
+            this.scaler.std.dispose();
+        }
         this.scaler.mean = mean;
         this.scaler.std = std;
         
-        // Normalize: (x - mean) / std
-        const normalizedTensor = featuresTensor.sub(mean).div(std.add(1e-7)); // Add small epsilon to avoid division by zero
-        
         // Convert back to array
         const normalizedArray = normalizedTensor.arraySync();
-        
-        // Clean up tensors
-        featuresTensor.dispose();
         normalizedTensor.dispose();
         
         Logger.debug('Feature normalization completed');
@@ -175,16 +193,16 @@ class DataPreprocessor {
         return normalizedArray;
     }
     
-    createSequences(features, targets) {
+    createSequences(features, targets, sequenceLength = this.sequenceLength) {
         Logger.debug('Creating sequences for LSTM');
         
         const sequencesX = [];
         const sequencesY = [];
         
         // Create overlapping sequences
-        for (let i = 0; i < features.length - this.sequenceLength; i++) {
-            const sequence = features.slice(i, i + this.sequenceLength);
-            const target = targets[i + this.sequenceLength - 1]; // Predict next value
+        for (let i = 0; i < features.length - sequenceLength; i++) {
+            const sequence = features.slice(i, i + sequenceLength);
+            const target = targets[i + sequenceLength - 1]; // Predict next value
             
             sequencesX.push(sequence);
             sequencesY.push(target);
@@ -192,38 +210,54 @@ class DataPreprocessor {
         
         Logger.debug('Sequences created', {
             sequences: sequencesX.length,
-            sequenceLength: this.sequenceLength,
+            sequenceLength,
             features: sequencesX[0][0].length
         });
         
+        // One target per sequence, or one target vector per sequence for multi-horizon heads
         return {
             X: tf.tensor3d(sequencesX),
-            y: tf.tensor1d(sequencesY)
+            y: Array.isArray(sequencesY[0]) ? tf.tensor2d(sequencesY) : tf.tensor1d(sequencesY)
         };
     }
     
-    splitData(X, y) {
+    // Chronological train/validation/test cut. A sample's label looks
+    // options.horizon bars past its last row, so the samples before each
+    // boundary whose labels reach into the next set are purged, along with
+    // options.embargo more samples.
+    splitData(X, y, options = {}) {
         Logger.debug('Splitting data into train/validation/test sets');
         
+        const gap = (options.horizon || 0) + (options.embargo || 0);
         const totalSamples = X.shape[0];
         const testSize = Math.floor(totalSamples * this.testSplit);
-        const validationSize = Math.floor((totalSamples - testSize) * this.validationSplit);
-        const trainSize = totalSamples - testSize - validationSize;
+        const testGap = testSize > 0 ? gap : 0;
+        const validationSize = Math.floor((totalSamples - testSize - testGap) * this.validationSplit);
+        const validationGap = validationSize > 0 ? gap : 0;
+        const trainSize = totalSamples - testSize - testGap - validationSize - validationGap;
+        
+        if (trainSize <= 0) {
+            throw new Error(`Insufficient samples to split with a ${gap}-sample purge gap: ${totalSamples}`);
+        }
+        
+        const validationStart = trainSize + validationGap;
+        const testStart = validationStart + validationSize + testGap;
         
         // Split the data
         const trainX = X.slice([0, 0, 0], [trainSize, -1, -1]);
         const trainY = y.slice([0], [trainSize]);
         
-        const validationX = X.slice([trainSize, 0, 0], [validationSize, -1, -1]);
-        const validationY = y.slice([trainSize], [validationSize]);
+        const validationX = X.slice([validationStart, 0, 0], [validationSize, -1, -1]);
+        const validationY = y.slice([validationStart], [validationSize]);
         
-        const testX = X.slice([trainSize + validationSize, 0, 0], [testSize, -1, -1]);
-        const testY = y.slice([trainSize + validationSize], [testSize]);
+        const testX = X.slice([testStart, 0, 0], [testSize, -1, -1]);
+        const testY = y.slice([testStart], [testSize]);
         
         Logger.debug('Data split completed', {
             train: trainSize,
             validation: validationSize,
-            test: testSize
+            test: testSize,
+            purged: validationGap + testGap
         });
         
         return {
@@ -232,7 +266,131 @@ class DataPreprocessor {
             validationX,
             validationY,
             testX,
-            testY
+            testY,
+            purged: validationGap + testGap
+        };
+    }
+    
+    // Walk-forward folds with this preprocessor's cross-validation settings;
+    // overrides (e.g. { folds }) take precedence
+    createCrossValidator(overrides = {}) {
+        return new CrossValidator({ ...this.crossValidation, ...overrides });
+    }
+    
+    // Tensors for one CrossValidator fold plan. The scaler is fitted on the
+    // rows the training sequences read, so later rows never shape it.
+    prepareFoldData(featuresArray, targets, plan, sequenceLength = this.sequenceLength) {
+        const scalerStats = this.computeScalerStats(
+            featuresArray.slice(plan.train.start - sequenceLength + 1, plan.train.end)
+        );
+        const normalized = this.normalizeWithScaler(featuresArray.slice(0, plan.test.end), scalerStats);
+        
+        const train = this.createSequencesEndingIn(normalized, targets, plan.train, sequenceLength);
+        const validation = this.createSequencesEndingIn(normalized, targets, plan.validation, sequenceLength);
+        const test = this.createSequencesEndingIn(normalized, targets, plan.test, sequenceLength);
+        
+        return {
+            trainX: train.X,
+            trainY: train.y,
+            validationX: validation.X,
+            validationY: validation.y,
+            testX: test.X,
+            testY: test.y,
+            scalerStats
+        };
+    }
+    
+    // Fine-tuning tensors scaled with the champion's scaler (options.scalerStats).
+    // Sequences ending at options.newFrom or later - bars the champion was not
+    // trained on - are split and purged as in prepareTrainingData. The training
+    // set is then topped up with a random replay sample of older sequences
+    // (replayRatio per new training sample, at most maxReplaySamples) so the
+    // model keeps seeing the data it learned from.
+    async prepareFineTuneData(featuresArray, targets, options = {}) {
+        await this.ensureBackendReady();
+        
+        const sequenceLength = options.sequenceLength || this.sequenceLength;
+        const replayRatio = options.replayRatio !== undefined ? options.replayRatio : 1;
+        const maxReplaySamples = options.maxReplaySamples !== undefined ? options.maxReplaySamples : Infinity;
+        
+        const normalized = this.normalizeWithScaler(featuresArray, options.scalerStats);
+        
+        // End rows as createSequences: the last row has no sequence
+        const firstNewRow = Math.max(options.newFrom, sequenceLength - 1);
+        const newRows = { start: firstNewRow, end: featuresArray.length - 1 };
+        if (newRows.end <= newRows.start) {
+            throw new Error('No new rows to fine-tune on');
+        }
+        
+        const fresh = this.createSequencesEndingIn(normalized, targets, newRows, sequenceLength);
+        const splits = this.splitData(fresh.X, fresh.y, options);
+        fresh.X.dispose();
+        fresh.y.dispose();
+        
+        // Random older end rows, without replacement, kept in time order
+        const pool = [];
+        for (let row = sequenceLength - 1; row < firstNewRow; row++) {
+            pool.push(row);
+        }
+        const replayCount = Math.min(
+            maxReplaySamples,
+            Math.round(splits.trainX.shape[0] * replayRatio),
+            pool.length
+        );
+        for (let i = 0; i < replayCount; i++) {
+            const j = i + Math.floor(Math.random() * (pool.length - i));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        const replayRows = pool.slice(0, replayCount).sort((a, b) => a - b);
+        
+        if (replayCount > 0) {
+            const replay = this.createSequencesEndingAt(normalized, targets, replayRows, sequenceLength);
+            const trainX = tf.concat([replay.X, splits.trainX]);
+            const trainY = tf.concat([replay.y, splits.trainY]);
+            [replay.X, replay.y, splits.trainX, splits.trainY].forEach(tensor => tensor.dispose());
+            splits.trainX = trainX;
+            splits.trainY = trainY;
+        }
+        
+        Logger.info('Fine-tuning data prepared', {
+            newSamples: newRows.end - newRows.start,
+            replaySamples: replayCount,
+            trainSamples: splits.trainX.shape[0],
+            validationSamples: splits.validationX.shape[0],
+            testSamples: splits.testX.shape[0],
+            purgedSamples: splits.purged
+        });
+        
+        return {
+            ...splits,
+            newSamples: newRows.end - newRows.start,
+            replaySamples: replayCount,
+            scalerStats: {
+                mean: options.scalerStats.mean,
+                std: options.scalerStats.std,
+                hasScaler: true
+            }
+        };
+    }
+    
+    // One sequence per end row in [range.start, range.end), labelled with that row's target
+    createSequencesEndingIn(features, targets, range, sequenceLength) {
+        const endRows = [];
+        for (let end = range.start; end < range.end; end++) {
+            endRows.push(end);
+        }
+        
+        return this.createSequencesEndingAt(features, targets, endRows, sequenceLength);
+    }
+    
+    // One sequence per listed end row, labelled with that row's target
+    createSequencesEndingAt(features, targets, endRows, sequenceLength) {
+        const sequencesX = endRows.map(end => features.slice(end - sequenceLength + 1, end + 1));
+        const sequencesY = endRows.map(end => targets[end]);
+        
+        return {
+            X: tf.tensor3d(sequencesX),
+            y: Array.isArray(sequencesY[0]) ? tf.tensor2d(sequencesY) : tf.tensor1d(sequencesY)
         };
     }
     
@@ -273,6 +431,58 @@ class DataPreprocessor {
         }
     }
     
+    // Per-feature { mean, std } of plain rows (population std, as normalizeFeatures),
+    // without touching this preprocessor's fitted scaler
+    computeScalerStats(featuresArray) {
+        const featureCount = featuresArray[0].length;
+        const mean = new Array(featureCount).fill(0);
+        const std = new Array(featureCount).fill(0);
+        
+        featuresArray.forEach(row => row.forEach((value, i) => {
+            mean[i] += value / featuresArray.length;
+        }));
+        featuresArray.forEach(row => row.forEach((value, i) => {
+            std[i] += (value - mean[i]) ** 2 / featuresArray.length;
+        }));
+        
+        return { mean, std: std.map(Math.sqrt) };
+    }
+    
+    // Normalize plain feature rows with persisted scaler statistics
+    // ({ mean, std } arrays as returned by getScalerStats)
+    normalizeWithScaler(featuresArray, scalerStats) {
+        if (!scalerStats || !Array.isArray(scalerStats.mean) || !Array.isArray(scalerStats.std)) {
+            throw new Error('Invalid scaler statistics');
+        }
+        
+        const { mean, std } = scalerStats;
+        
+        return featuresArray.map(row => {
+            if (row.length !== mean.length) {
+                throw new Error(`Scaler expects ${mean.length} features, got ${row.length}`);
+            }
+            return row.map((value, i) => (value - mean[i]) / (std[i] + 1e-7));
+        });
+    }
+    
+    // The last `samples` sequences of raw rows scaled with a given scaler - the
+    // test split of prepareTrainingData as another model (with its own scaler) sees it
+    createHoldoutSequences(featuresArray, targets, scalerStats, samples, sequenceLength = this.sequenceLength) {
+        const sequences = this.createSequences(this.normalizeWithScaler(featuresArray, scalerStats), targets, sequenceLength);
+        const total = sequences.X.shape[0];
+        const start = Math.max(0, total - samples);
+
+        const holdout = {
+            X: sequences.X.slice([start, 0, 0], [total - start, -1, -1]),
+            y: sequences.y.slice([start], [total - start])
+        };
+
+        sequences.X.dispose();
+        sequences.y.dispose();
+
+        return holdout;
+    }
+
     getScalerStats() {
         if (!this.scaler.mean || !this.scaler.std) {
             return null;
@@ -285,6 +495,16 @@ class DataPreprocessor {
         };
     }
     
+    // Release the tensors of prepareTrainingData / prepareFoldData /
+    // prepareFineTuneData results; their other fields are plain values
+    disposeProcessedData(processedData) {
+        SPLIT_KEYS.forEach(key => {
+            if (processedData[key]) {
+                processedData[key].dispose();
+            }
+        });
+    }
+    
     dispose() {
         if (this.scaler.mean) {
             this.scaler.mean.dispose();
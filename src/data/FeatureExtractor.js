@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const { Logger } = require('../utils');
 
 class FeatureExtractor {
@@ -301,14 +302,193 @@ class FeatureExtractor {
         return names;
     }
     
-    // Create training targets for price prediction
-    createTargets(history, targetPeriods = [1, 3, 5]) {
+    // Number of bars required before the first point-in-time row is complete
+    // (longest return lookback and the 20-bar price/volume windows)
+    getWarmupPeriod() {
+        return Math.max(20, ...this.lookbackPeriods) + 1;
+    }
+
+    // Fixed column order for point-in-time rows. Must mirror the keys produced by
+    // extractPriceFeatures, extractVolumeFeatures, extractVolatilityFeatures and
+    // extractTimeFeatures so that every row has the same schema even when a group
+    // is missing data for a bar.
+    getPointInTimeFeatureNames() {
+        return [
+            'price_currentPrice',
+            'price_pricePosition',
+            ...this.lookbackPeriods.map(period => `price_return_${period}`),
+            'price_hlSpread',
+            'price_hlPosition',
+            'volume_current_volume',
+            'volume_volume_ma_ratio',
+            'volume_volume_trend',
+            'volatility_volatility',
+            'volatility_recent_volatility',
+            'volatility_volatility_ratio',
+            'time_hour_of_day',
+            'time_day_of_week',
+            'time_hour_sin',
+            'time_hour_cos',
+            'time_day_sin',
+            'time_day_cos'
+        ];
+    }
+
+    // Short hash identifying the point-in-time column layout. Persisted next to
+    // scaler statistics so weights are never paired with a different schema.
+    getFeatureSchemaHash(featureNames = this.getPointInTimeFeatureNames()) {
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify(featureNames))
+            .digest('hex')
+            .slice(0, 16);
+    }
+
+    getFeatureSchema() {
+        const featureNames = this.getPointInTimeFeatureNames();
+        return {
+            featureNames,
+            featureCount: featureNames.length,
+            featureSchemaHash: this.getFeatureSchemaHash(featureNames)
+        };
+    }
+
+    // Truncate every history series to the bars available at endIndex (inclusive)
+    sliceHistory(history, endIndex) {
+        const sliced = {};
+
+        Object.entries(history).forEach(([key, series]) => {
+            sliced[key] = Array.isArray(series) ? series.slice(0, endIndex + 1) : series;
+        });
+
+        return sliced;
+    }
+
+    // Feature vector for a single bar using only data available at that bar
+    extractPointInTimeFeatures(history, endIndex, featureNames = this.getPointInTimeFeatureNames()) {
+        const barHistory = this.sliceHistory(history, endIndex);
+
+        const groups = {
+            price: this.extractPriceFeatures(barHistory),
+            volume: this.extractVolumeFeatures(barHistory),
+            volatility: this.extractVolatilityFeatures(barHistory),
+            time: this.extractTimeFeatures(barHistory)
+        };
+
+        const named = {};
+        Object.entries(groups).forEach(([groupName, group]) => {
+            Object.entries(group).forEach(([featureName, value]) => {
+                named[`${groupName}_${featureName}`] = value;
+            });
+        });
+
+        return featureNames.map(name => {
+            const value = named[name];
+            return typeof value === 'number' && isFinite(value) ? value : 0;
+        });
+    }
+
+    // Rolling extractor: one point-in-time feature row per historical bar.
+    // Indicator strategies are only reported for the latest bar, so they are
+    // excluded here to keep every row free of look-ahead.
+    extractFeatureMatrix(pairData, options = {}) {
+        try {
+            const { history } = pairData;
+
+            if (!history || !history.closes || history.closes.length < 60) {
+                throw new Error('Insufficient historical data for feature extraction');
+            }
+
+            const totalBars = history.closes.length;
+            const warmup = this.getWarmupPeriod();
+            let startIndex = Math.max(warmup - 1, options.startIndex || 0);
+            if (options.lastN) {
+                startIndex = Math.max(startIndex, totalBars - options.lastN);
+            }
+
+            const featureNames = this.getPointInTimeFeatureNames();
+            const features = [];
+            const barIndices = [];
+            const timestamps = [];
+
+            for (let i = startIndex; i < totalBars; i++) {
+                features.push(this.extractPointInTimeFeatures(history, i, featureNames));
+                barIndices.push(i);
+                timestamps.push(history.timestamps ? history.timestamps[i] : null);
+            }
+
+            Logger.debug('Point-in-time feature matrix extracted', {
+                pair: pairData.pair,
+                rows: features.length,
+                features: featureNames.length,
+                startIndex
+            });
+
+            return {
+                features,
+                featureNames,
+                barIndices,
+                timestamps,
+                metadata: {
+                    pair: pairData.pair,
+                    dataPoints: totalBars,
+                    rows: features.length,
+                    startIndex,
+                    extractedAt: new Date().toISOString(),
+                    featureCount: featureNames.length
+                }
+            };
+
+        } catch (error) {
+            Logger.error('Feature matrix extraction failed', {
+                error: error.message,
+                pair: pairData.pair
+            });
+            throw error;
+        }
+    }
+
+    // Pair each matrix row with the target of the same bar. createTargets emits one
+    // value per bar, so rows whose horizon runs past the end of history are dropped.
+    // Pass a list of series (one per horizon) to get one target vector per row.
+    alignTargets(featureMatrix, targetSeries) {
+        const multiSeries = Array.isArray(targetSeries[0]);
+        const series = multiSeries ? targetSeries : [targetSeries];
+        const availableBars = Math.min(...series.map(values => values.length));
+
+        const features = [];
+        const targets = [];
+        const barIndices = [];
+
+        featureMatrix.barIndices.forEach((barIndex, row) => {
+            if (barIndex < availableBars) {
+                features.push(featureMatrix.features[row]);
+                targets.push(multiSeries ? series.map(values => values[barIndex]) : targetSeries[barIndex]);
+                barIndices.push(barIndex);
+            }
+        });
+
+        return { features, targets, barIndices };
+    }
+
+    // Create training targets for price prediction. class_N labels each bar
+    // 0 = down, 1 = flat, 2 = up, where moves inside the dead band count as flat:
+    //   thresholdMode 'fixed'      - |change| <= flatThreshold
+    //   thresholdMode 'volatility' - |change| <= volatilityMultiplier x trailing
+    //                                1-bar return std x sqrt(N), known at bar time
+    createTargets(history, targetPeriods = [1, 3, 5], options = {}) {
         const closes = history.closes;
         const targets = {};
+        const thresholdMode = options.thresholdMode || 'fixed';
+        const flatThreshold = options.flatThreshold !== undefined ? options.flatThreshold : 0.002;
+        const volatility = thresholdMode === 'volatility' ?
+            this.getTrailingVolatility(closes, options.volatilityWindow || 20) :
+            null;
         
         targetPeriods.forEach(period => {
             targets[`price_change_${period}`] = [];
             targets[`direction_${period}`] = [];
+            targets[`class_${period}`] = [];
             
             for (let i = 0; i < closes.length - period; i++) {
                 const currentPrice = closes[i];
@@ -316,14 +496,38 @@ class FeatureExtractor {
                 
                 if (currentPrice > 0) {
                     const priceChange = (futurePrice - currentPrice) / currentPrice;
+                    const deadBand = volatility && volatility[i] !== null ?
+                        (options.volatilityMultiplier || 0.5) * volatility[i] * Math.sqrt(period) :
+                        flatThreshold;
+                    
                     targets[`price_change_${period}`].push(priceChange);
                     targets[`direction_${period}`].push(priceChange > 0 ? 1 : 0);
+                    targets[`class_${period}`].push(
+                        Math.abs(priceChange) <= deadBand ? 1 : (priceChange > 0 ? 2 : 0)
+                    );
                 }
             }
         });
         
         return targets;
     }
+    
+    // Std of 1-bar returns over the window ending at each bar (null until two returns exist)
+    getTrailingVolatility(closes, window) {
+        const returns = closes.map((close, i) =>
+            i > 0 && closes[i - 1] > 0 ? (close - closes[i - 1]) / closes[i - 1] : null
+        );
+        
+        return closes.map((close, i) => {
+            const windowReturns = returns.slice(Math.max(1, i - window + 1), i + 1);
+            if (windowReturns.length < 2) {
+                return null;
+            }
+            const mean = windowReturns.reduce((sum, r) => sum + r, 0) / windowReturns.length;
+            const variance = windowReturns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / windowReturns.length;
+            return Math.sqrt(variance);
+        });
+    }
 }
 
 module.exports = FeatureExtractor;
\ No newline at end of file
@@ -0,0 +1,260 @@
+const { Logger } = require('../utils');
+
+// Metrics where a lower value is better; everything else is higher-is-better
+const LOWER_IS_BETTER = ['logLoss'];
+
+// Scores a trained model on the held-out test split. Every output mode is
+// evaluated as class probabilities (down/up, or down/flat/up) per horizon,
+// and compared with a baseline that always predicts the training split's
+// majority class.
+class ModelEvaluator {
+    constructor(config = {}) {
+        // Metrics that decide whether a run's weights are kept
+        this.decisionMetrics = config.metrics || ['accuracy', 'precision', 'recall', 'f1Score', 'auc'];
+        this.epsilon = 1e-7;
+    }
+
+    // Predict testX and score every horizon; the primary horizon is the headline
+    async evaluate(model, testX, testY, trainY, primaryHorizon) {
+        const outputHead = model.outputHead;
+
+        if (!testX || testX.shape[0] === 0) {
+            return null;
+        }
+
+        const predictionTensor = model.model.predict(testX);
+        const outputs = await predictionTensor.data();
+        predictionTensor.dispose();
+
+        const testTargets = await testY.array();
+        const trainTargets = await trainY.array();
+        const classNames = outputHead.classNames;
+
+        const horizons = {};
+        outputHead.horizons.forEach((horizon, horizonIndex) => {
+            const labels = testTargets.map(target => outputHead.getTargetClass(target, horizonIndex));
+            const probabilities = testTargets.map((target, sample) =>
+                outputHead.decodeClassProbabilities(outputs, sample)[horizon]
+            );
+            const trainLabels = trainTargets.map(target => outputHead.getTargetClass(target, horizonIndex));
+
+            horizons[horizon] = this.scoreHorizon(labels, probabilities, trainLabels, classNames);
+        });
+
+        const headlineHorizon = horizons[primaryHorizon] ? primaryHorizon : outputHead.horizons[0];
+        const evaluation = {
+            horizon: headlineHorizon,
+            samples: testTargets.length,
+            classNames,
+            ...horizons[headlineHorizon],
+            horizons,
+            evaluatedAt: Date.now()
+        };
+
+        Logger.info('Held-out evaluation completed', {
+            horizon: headlineHorizon,
+            samples: evaluation.samples,
+            accuracy: evaluation.accuracy.toFixed(4),
+            baselineAccuracy: evaluation.baseline.accuracy.toFixed(4),
+            f1Score: evaluation.f1Score.toFixed(4),
+            auc: evaluation.auc.toFixed(4)
+        });
+
+        return evaluation;
+    }
+
+    scoreHorizon(labels, probabilities, trainLabels, classNames) {
+        const predicted = probabilities.map(p => p.indexOf(Math.max(...p)));
+        const metrics = this.classificationMetrics(labels, predicted, probabilities, classNames);
+
+        // Majority class of the training split, with its training frequencies as probabilities
+        const trainCounts = classNames.map((_, c) => trainLabels.filter(label => label === c).length);
+        const majorityClass = trainCounts.indexOf(Math.max(...trainCounts));
+        const priors = trainCounts.map(count =>
+            (count + 1) / (trainLabels.length + classNames.length) // Laplace smoothing
+        );
+        const baseline = this.classificationMetrics(
+            labels,
+            labels.map(() => majorityClass),
+            labels.map(() => priors),
+            classNames
+        );
+
+        return {
+            ...metrics,
+            baseline: {
+                majorityClass: classNames[majorityClass],
+                accuracy: baseline.accuracy,
+                precision: baseline.precision,
+                recall: baseline.recall,
+                f1Score: baseline.f1Score,
+                auc: baseline.auc,
+                logLoss: baseline.logLoss
+            },
+            improvement: {
+                accuracy: metrics.accuracy - baseline.accuracy,
+                f1Score: metrics.f1Score - baseline.f1Score,
+                auc: metrics.auc - baseline.auc,
+                logLoss: baseline.logLoss - metrics.logLoss
+            }
+        };
+    }
+
+    // Accuracy, macro precision/recall/F1, one-vs-rest macro ROC-AUC, log-loss
+    // and the confusion matrix (rows = actual, columns = predicted)
+    classificationMetrics(labels, predicted, probabilities, classNames) {
+        const classCount = classNames.length;
+        const matrix = classNames.map(() => new Array(classCount).fill(0));
+        labels.forEach((label, i) => {
+            matrix[label][predicted[i]]++;
+        });
+
+        const perClass = {};
+        classNames.forEach((className, c) => {
+            const truePositives = matrix[c][c];
+            const predictedCount = matrix.reduce((sum, row) => sum + row[c], 0);
+            const actualCount = matrix[c].reduce((sum, count) => sum + count, 0);
+            const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+            const recall = actualCount > 0 ? truePositives / actualCount : 0;
+
+            perClass[className] = {
+                precision,
+                recall,
+                f1Score: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+                auc: this.rocAuc(labels.map(label => (label === c ? 1 : 0)), probabilities.map(p => p[c])),
+                support: actualCount
+            };
+        });
+
+        // Classes absent from the test split carry no recall/AUC information
+        const presentClasses = classNames.filter(className => perClass[className].support > 0);
+        const macro = (key, classes = classNames) =>
+            classes.length > 0 ? classes.reduce((sum, className) => sum + perClass[className][key], 0) / classes.length : 0;
+
+        const logLoss = labels.reduce((sum, label, i) =>
+            sum - Math.log(Math.min(Math.max(probabilities[i][label], this.epsilon), 1 - this.epsilon)), 0
+        ) / Math.max(labels.length, 1);
+
+        return {
+            accuracy: labels.length > 0 ? labels.filter((label, i) => label === predicted[i]).length / labels.length : 0,
+            precision: macro('precision'),
+            recall: macro('recall'),
+            f1Score: macro('f1Score'),
+            auc: macro('auc', presentClasses),
+            logLoss,
+            confusionMatrix: {
+                labels: classNames,
+                matrix
+            },
+            perClass
+        };
+    }
+
+    // Probability that a random positive scores above a random negative (ties count half);
+    // 0.5 when one side is empty
+    rocAuc(binaryLabels, scores) {
+        const ranked = scores
+            .map((score, i) => ({ score, label: binaryLabels[i] }))
+            .sort((a, b) => a.score - b.score);
+
+        const positives = ranked.filter(item => item.label === 1).length;
+        const negatives = ranked.length - positives;
+        if (positives === 0 || negatives === 0) {
+            return 0.5;
+        }
+
+        // Sum of positive ranks, averaging ranks across tied scores
+        let positiveRankSum = 0;
+        let i = 0;
+        while (i < ranked.length) {
+            let j = i;
+            while (j + 1 < ranked.length && ranked[j + 1].score === ranked[i].score) {
+                j++;
+            }
+            const averageRank = (i + j) / 2 + 1;
+            for (let k = i; k <= j; k++) {
+                if (ranked[k].label === 1) {
+                    positiveRankSum += averageRank;
+                }
+            }
+            i = j + 1;
+        }
+
+        return (positiveRankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+    }
+
+    // Configured decision metrics of an evaluation
+    selectMetrics(evaluation) {
+        const selected = {};
+        this.decisionMetrics.forEach(metric => {
+            if (evaluation[metric] !== undefined) {
+                selected[metric] = evaluation[metric];
+            }
+        });
+        return selected;
+    }
+
+    // A run is kept only if it beats the majority-class baseline on every
+    // configured metric by at least minImprovement
+    beatsBaseline(evaluation, minImprovement = 0) {
+        const comparisons = {};
+
+        this.decisionMetrics.forEach(metric => {
+            if (evaluation[metric] === undefined || evaluation.baseline[metric] === undefined) {
+                return;
+            }
+            const value = evaluation[metric];
+            const baseline = evaluation.baseline[metric];
+            const margin = LOWER_IS_BETTER.includes(metric) ? baseline - value : value - baseline;
+
+            comparisons[metric] = {
+                value,
+                baseline,
+                passed: margin > minImprovement
+            };
+        });
+
+        return {
+            passed: Object.keys(comparisons).length > 0 &&
+                Object.values(comparisons).every(comparison => comparison.passed),
+            minImprovement,
+            comparisons
+        };
+    }
+
+    // Challenger vs champion scored on the same holdout window: the challenger
+    // wins when its mean improvement over the configured metrics exceeds margin
+    compareModels(challengerEvaluation, championEvaluation, margin = 0) {
+        const comparisons = {};
+
+        this.decisionMetrics.forEach(metric => {
+            if (challengerEvaluation[metric] === undefined || championEvaluation[metric] === undefined) {
+                return;
+            }
+            const challenger = challengerEvaluation[metric];
+            const champion = championEvaluation[metric];
+
+            comparisons[metric] = {
+                challenger,
+                champion,
+                improvement: LOWER_IS_BETTER.includes(metric) ? champion - challenger : challenger - champion
+            };
+        });
+
+        const improvements = Object.values(comparisons).map(comparison => comparison.improvement);
+        const meanImprovement = improvements.length > 0 ?
+            improvements.reduce((sum, value) => sum + value, 0) / improvements.length : 0;
+
+        return {
+            challengerWins: improvements.length > 0 && meanImprovement > margin,
+            meanImprovement,
+            margin,
+            samples: challengerEvaluation.samples,
+            comparisons
+        };
+    }
+}
+
+ModelEvaluator.LOWER_IS_BETTER = LOWER_IS_BETTER;
+
+module.exports = ModelEvaluator;
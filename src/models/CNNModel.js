@@ -34,6 +34,7 @@ if (!backendLoaded) {
 }
 
 const { Logger } = require('../utils');
+const OutputHead = require('./OutputHead');
 
 class CNNModel {
     constructor(config = {}) {
@@ -45,6 +46,7 @@ class CNNModel {
         this.denseUnits = config.denseUnits || [128, 64]; // Dense layer units
         this.dropout = config.dropout || 0.3;
         this.learningRate = config.learningRate || 0.001;
+        this.outputHead = new OutputHead({ ...config.outputHead, horizons: config.horizons });
         this.l2Regularization = config.l2Regularization || 0.001;
         
         this.model = null;
@@ -190,12 +192,8 @@ class CNNModel {
                 this.model.add(tf.layers.dropout({ rate: this.dropout / 2 }));
             }
             
-            // Output layer - binary classification
-            this.model.add(tf.layers.dense({
-                units: 1,
-                activation: 'sigmoid',
-                kernelInitializer: 'glorotUniform'
-            }));
+            // Output layer - one unit per prediction horizon
+            this.outputHead.addTo(this.model);
             
             Logger.info('CNN model built successfully', {
                 totalParams: this.model.countParams(),
@@ -226,8 +224,7 @@ class CNNModel {
             
             this.model.compile({
                 optimizer: optimizer,
-                loss: 'binaryCrossentropy',
-                metrics: ['accuracy']
+                ...this.outputHead.getCompileOptions()
             });
             
             this.isCompiled = true;
@@ -246,6 +243,7 @@ class CNNModel {
         
         try {
             this.isTraining = true;
+            const accuracyKey = this.outputHead.accuracyKey;
             
             const epochs = config.epochs || 50;
             const batchSize = config.batchSize || 32;
@@ -269,6 +267,10 @@ class CNNModel {
             
             const callbacks = {
                 onEpochEnd: (epoch, logs) => {
+                    if (config.onEpochEnd) {
+                        config.onEpochEnd(epoch, logs, epochs);
+                    }
+                    
                     // Learning rate decay
                     if (epoch > 0 && (epoch + 1) % 10 === 0) {
                         currentLR *= learningRateDecay;
@@ -288,13 +290,13 @@ class CNNModel {
                     if (epoch % 5 === 0 || epoch === epochs - 1) {
                         const logData = {
                             loss: logs.loss.toFixed(4),
-                            accuracy: logs.acc.toFixed(4),
+                            accuracy: logs[accuracyKey].toFixed(4),
                             learningRate: currentLR.toFixed(6)
                         };
                         
                         if (validationX && validationY) {
                             logData.valLoss = logs.val_loss?.toFixed(4);
-                            logData.valAccuracy = logs.val_acc?.toFixed(4);
+                            logData.valAccuracy = logs[`val_${accuracyKey}`]?.toFixed(4);
                             logData.patience = `${patienceCounter}/${patience}`;
                         }
                         
@@ -309,10 +311,15 @@ class CNNModel {
                 },
                 
                 onBatchEnd: (batch, logs) => {
+                    // Cooperative cancellation: fit stops after the current batch
+                    if (config.shouldStop && config.shouldStop()) {
+                        this.model.stopTraining = true;
+                    }
+                    
                     if (config.veryVerbose && batch % 20 === 0) {
                         Logger.debug(`CNN Batch ${batch}`, {
                             batchLoss: logs.loss.toFixed(4),
-                            batchAcc: logs.acc.toFixed(4)
+                            batchAcc: logs[accuracyKey].toFixed(4)
                         });
                     }
                 }
@@ -331,17 +338,29 @@ class CNNModel {
             
             this.isTraining = false;
             
+            // Stopped by shouldStop: the caller decides whether to keep the partial weights
+            if (config.shouldStop && config.shouldStop()) {
+                Logger.warn('CNN model training cancelled', { epochsCompleted: history.epoch.length });
+                return {
+                    ...history,
+                    finalMetrics: null,
+                    cancelled: true,
+                    modelType: 'CNN'
+                };
+            }
+            
             // Calculate final metrics
             const finalMetrics = {
                 finalLoss: history.history.loss[history.history.loss.length - 1].toFixed(4),
-                finalAccuracy: history.history.acc[history.history.acc.length - 1].toFixed(4),
+                finalAccuracy: history.history[accuracyKey][history.history[accuracyKey].length - 1].toFixed(4),
                 epochsCompleted: history.epoch.length,
                 finalLearningRate: currentLR.toFixed(6)
             };
             
             if (validationX && validationY) {
                 finalMetrics.finalValLoss = history.history.val_loss[history.history.val_loss.length - 1].toFixed(4);
-                finalMetrics.finalValAccuracy = history.history.val_acc[history.history.val_acc.length - 1].toFixed(4);
+                finalMetrics.finalValAccuracy = history.history[`val_${accuracyKey}`][history.history[`val_${accuracyKey}`].length - 1].toFixed(4);
+                await this.outputHead.calibrate(this.model, validationX, validationY);
                 finalMetrics.bestValLoss = bestValLoss.toFixed(4);
             }
             
@@ -551,6 +570,7 @@ class CNNModel {
             outputShape: this.model.outputShape,
             isCompiled: this.isCompiled,
             isTraining: this.isTraining,
+            outputHead: this.outputHead.toJSON(),
             config: {
                 sequenceLength: this.sequenceLength,
                 features: this.features,
@@ -574,6 +594,10 @@ class CNNModel {
     
     dispose() {
         if (this.model) {
+            // Optimizer instances passed to compile() are not owned by the model
+            if (this.model.optimizer) {
+                this.model.optimizer.dispose();
+            }
             this.model.dispose();
             this.model = null;
             this.isCompiled = false;
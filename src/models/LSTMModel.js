@@ -34,6 +34,7 @@ if (!backendLoaded) {
 }
 
 const { Logger } = require('../utils');
+const OutputHead = require('./OutputHead');
 
 class LSTMModel {
     constructor(config = {}) {
@@ -44,6 +45,7 @@ class LSTMModel {
         this.dropout = config.dropout || 0.2;
         this.recurrentDropout = config.recurrentDropout || 0.2;
         this.learningRate = config.learningRate || 0.001;
+        this.outputHead = new OutputHead({ ...config.outputHead, horizons: config.horizons });
         
         this.model = null;
         this.isCompiled = false;
@@ -163,12 +165,8 @@ class LSTMModel {
                 rate: this.dropout / 2
             }));
             
-            // Output layer - predicting price direction (0 or 1)
-            this.model.add(tf.layers.dense({
-                units: 1,
-                activation: 'sigmoid',
-                kernelInitializer: 'glorotUniform'
-            }));
+            // Output layer - one unit per prediction horizon
+            this.outputHead.addTo(this.model);
             
             Logger.info('LSTM model built successfully', {
                 totalParams: this.model.countParams(),
@@ -197,8 +195,7 @@ class LSTMModel {
             
             this.model.compile({
                 optimizer: optimizer,
-                loss: 'binaryCrossentropy',
-                metrics: ['accuracy']
+                ...this.outputHead.getCompileOptions()
             });
             
             this.isCompiled = true;
@@ -217,6 +214,7 @@ class LSTMModel {
         
         try {
             this.isTraining = true;
+            const accuracyKey = this.outputHead.accuracyKey;
             
             const epochs = config.epochs || 50;
             const batchSize = config.batchSize || 32;
@@ -234,21 +232,30 @@ class LSTMModel {
             // Enhanced callbacks for better training
             const callbacks = {
                 onEpochEnd: (epoch, logs) => {
+                    if (config.onEpochEnd) {
+                        config.onEpochEnd(epoch, logs, epochs);
+                    }
+                    
                     if (epoch % 5 === 0 || epoch === epochs - 1) {
                         Logger.info(`LSTM Epoch ${epoch + 1}/${epochs}`, {
                             loss: logs.loss.toFixed(4),
-                            accuracy: logs.acc.toFixed(4),
+                            accuracy: logs[accuracyKey].toFixed(4),
                             valLoss: logs.val_loss?.toFixed(4),
-                            valAccuracy: logs.val_acc?.toFixed(4)
+                            valAccuracy: logs[`val_${accuracyKey}`]?.toFixed(4)
                         });
                     }
                 },
                 onBatchEnd: (batch, logs) => {
+                    // Cooperative cancellation: fit stops after the current batch
+                    if (config.shouldStop && config.shouldStop()) {
+                        this.model.stopTraining = true;
+                    }
+                    
                     // Optional: Log batch progress for very verbose training
                     if (config.veryVerbose && batch % 10 === 0) {
                         Logger.debug(`LSTM Batch ${batch}`, {
                             batchLoss: logs.loss.toFixed(4),
-                            batchAcc: logs.acc.toFixed(4)
+                            batchAcc: logs[accuracyKey].toFixed(4)
                         });
                     }
                 }
@@ -275,15 +282,27 @@ class LSTMModel {
             
             this.isTraining = false;
             
+            // Stopped by shouldStop: the caller decides whether to keep the partial weights
+            if (config.shouldStop && config.shouldStop()) {
+                Logger.warn('LSTM model training cancelled', { epochsCompleted: history.epoch.length });
+                return {
+                    ...history,
+                    finalMetrics: null,
+                    cancelled: true,
+                    modelType: 'LSTM'
+                };
+            }
+            
             const finalMetrics = {
                 finalLoss: history.history.loss[history.history.loss.length - 1].toFixed(4),
-                finalAccuracy: history.history.acc[history.history.acc.length - 1].toFixed(4),
+                finalAccuracy: history.history[accuracyKey][history.history[accuracyKey].length - 1].toFixed(4),
                 epochsCompleted: history.epoch.length
             };
             
             if (validationX && validationY) {
                 finalMetrics.finalValLoss = history.history.val_loss[history.history.val_loss.length - 1].toFixed(4);
-                finalMetrics.finalValAccuracy = history.history.val_acc[history.history.val_acc.length - 1].toFixed(4);
+                finalMetrics.finalValAccuracy = history.history[`val_${accuracyKey}`][history.history[`val_${accuracyKey}`].length - 1].toFixed(4);
+                await this.outputHead.calibrate(this.model, validationX, validationY);
             }
             
             Logger.info('LSTM model training completed', finalMetrics);
@@ -472,6 +491,7 @@ class LSTMModel {
             outputShape: this.model.outputShape,
             isCompiled: this.isCompiled,
             isTraining: this.isTraining,
+            outputHead: this.outputHead.toJSON(),
             config: {
                 sequenceLength: this.sequenceLength,
                 features: this.features,
@@ -521,6 +541,17 @@ class LSTMModel {
     // Memory management and cleanup
     dispose() {
         if (this.model) {
+            // Optimizer instances passed to compile() are not owned by the model
+            if (this.model.optimizer) {
+                this.model.optimizer.dispose();
+            }
+            // Recurrent cells keep the dropout masks of their last call, which
+            // LayersModel.dispose() does not free
+            this.model.layers.filter(layer => layer.cell).forEach(layer => {
+                tf.dispose([layer.cell.dropoutMask, layer.cell.recurrentDropoutMask].filter(Boolean));
+                layer.cell.dropoutMask = null;
+                layer.cell.recurrentDropoutMask = null;
+            });
             this.model.dispose();
             this.model = null;
             this.isCompiled = false;
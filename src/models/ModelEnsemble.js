@@ -7,12 +7,21 @@ class ModelEnsemble {
         this.weights = config.weights || {}; // Model weights for ensemble
         this.modelTypes = config.modelTypes || ['lstm', 'gru', 'cnn', 'transformer'];
         this.votingStrategy = config.votingStrategy || 'weighted'; // 'weighted', 'majority', 'average'
+        this.primaryHorizon = config.primaryHorizon || 5; // Horizon reported as the main prediction
         this.performanceHistory = new Map(); // Track model performance
         this.isInitialized = false;
         
+        // Outcome-driven weight adaptation (ml.ensemble config)
+        this.autoUpdateWeights = config.autoUpdateWeights !== false;
+        this.minModelWeight = config.minModelWeight !== undefined ? config.minModelWeight : 0.1;
+        this.performanceWindow = config.performanceWindow || 100;
+        this.lastEvaluation = null;
+        
         Logger.info('ModelEnsemble initialized', {
             modelTypes: this.modelTypes,
-            votingStrategy: this.votingStrategy
+            votingStrategy: this.votingStrategy,
+            autoUpdateWeights: this.autoUpdateWeights,
+            performanceWindow: this.performanceWindow
         });
     }
     
@@ -72,6 +81,21 @@ class ModelEnsemble {
         }
     }
     
+    // Resolve the input for one model: either a shared tensor or a
+    // { modelType: tensor } map when models carry their own scalers
+    getModelInput(inputX, modelType) {
+        if (inputX && Array.isArray(inputX.shape)) {
+            return inputX;
+        }
+        
+        const modelInput = inputX ? inputX[modelType] : null;
+        if (!modelInput) {
+            throw new Error(`No input provided for ${modelType}`);
+        }
+        
+        return modelInput;
+    }
+    
     // Make ensemble prediction
     async predict(inputX, options = {}) {
         if (this.models.size === 0) {
@@ -81,32 +105,42 @@ class ModelEnsemble {
         const predictions = new Map();
         const confidences = new Map();
         const errors = new Map();
+        const horizonPredictions = new Map(); // horizon -> Map(modelType -> probability)
+        const horizonMoves = new Map(); // horizon -> Map(modelType -> { expectedMove, std }) for regression heads
+        const horizonClasses = new Map(); // horizon -> Map(modelType -> { down, flat, up }) for classification heads
+        let uncertaintyZ = null;
         
         // Get predictions from all models
         for (const [modelType, modelInfo] of this.models.entries()) {
             try {
                 const startTime = Date.now();
-                const prediction = await modelInfo.model.predict(inputX);
+                const prediction = await modelInfo.model.predict(this.getModelInput(inputX, modelType));
                 const predictionTime = Date.now() - startTime;
                 
                 // Handle tensor or array predictions properly
-                let predictionValue;
+                let outputs;
                 if (prediction && typeof prediction.data === 'function') {
                     // It's a tensor
-                    const predictionArray = await prediction.data();
-                    predictionValue = predictionArray[0];
+                    outputs = await prediction.data();
                     prediction.dispose();
-                } else if (Array.isArray(prediction)) {
-                    // It's already an array
-                    predictionValue = prediction[0];
                 } else if (typeof prediction === 'number') {
                     // It's a single number
-                    predictionValue = prediction;
+                    outputs = [prediction];
                 } else {
-                    // Try to extract from different formats
-                    predictionValue = prediction[0] || prediction;
+                    // Array or typed array from model.predict
+                    outputs = prediction;
                 }
                 
+                // One probability per horizon the model's output head was trained for
+                const outputHead = modelInfo.model.outputHead;
+                const horizonDetails = outputHead ? outputHead.decodeDetails(outputs) : {};
+                const horizonValues = outputHead ?
+                    outputHead.decode(outputs) :
+                    { [this.primaryHorizon]: outputs[0] };
+                const predictionValue = horizonValues[this.primaryHorizon] !== undefined ?
+                    horizonValues[this.primaryHorizon] :
+                    outputs[0];
+                
                 // Ensure we have a valid number
                 if (typeof predictionValue !== 'number' || isNaN(predictionValue)) {
                     throw new Error(`Invalid prediction value: ${predictionValue}`);
@@ -114,6 +148,30 @@ class ModelEnsemble {
                 
                 predictions.set(modelType, predictionValue);
                 
+                Object.entries(horizonValues).forEach(([horizon, value]) => {
+                    if (!horizonPredictions.has(horizon)) {
+                        horizonPredictions.set(horizon, new Map());
+                    }
+                    horizonPredictions.get(horizon).set(modelType, value);
+                });
+                
+                Object.entries(horizonDetails).forEach(([horizon, detail]) => {
+                    if (detail.classProbabilities) {
+                        if (!horizonClasses.has(horizon)) {
+                            horizonClasses.set(horizon, new Map());
+                        }
+                        horizonClasses.get(horizon).set(modelType, detail.classProbabilities);
+                    }
+                    if (detail.expectedMove === undefined) {
+                        return;
+                    }
+                    if (!horizonMoves.has(horizon)) {
+                        horizonMoves.set(horizon, new Map());
+                    }
+                    horizonMoves.get(horizon).set(modelType, { expectedMove: detail.expectedMove, std: detail.std });
+                    uncertaintyZ = outputHead.uncertaintyZ;
+                });
+                
                 // Calculate confidence based on distance from 0.5
                 const confidence = Math.abs(predictionValue - 0.5) * 2;
                 confidences.set(modelType, confidence);
@@ -142,11 +200,20 @@ class ModelEnsemble {
         // Update performance tracking
         this.updatePerformanceTracking(predictions, confidences, ensemblePrediction);
         
+        const horizons = this.combineHorizons(horizonPredictions, options, horizonMoves, uncertaintyZ, horizonClasses);
+        const primary = horizons[this.primaryHorizon] || {};
+        
         return {
             prediction: ensemblePrediction.value,
             confidence: ensemblePrediction.confidence,
             direction: ensemblePrediction.value > 0.5 ? 'up' : 'down',
-            signal: this.getTradeSignal(ensemblePrediction.value, ensemblePrediction.confidence),
+            signal: this.getTradeSignal(ensemblePrediction.value, ensemblePrediction.confidence, primary.classProbabilities),
+            classProbabilities: primary.classProbabilities,
+            predictedClass: primary.predictedClass,
+            expectedMove: primary.expectedMove,
+            uncertainty: primary.uncertainty,
+            primaryHorizon: this.primaryHorizon,
+            horizons: horizons,
             ensemble: {
                 strategy: ensemblePrediction.strategy || this.votingStrategy,
                 modelCount: predictions.size,
@@ -163,6 +230,121 @@ class ModelEnsemble {
         };
     }
     
+    // Combine each horizon's model probabilities with the active voting strategy.
+    // Regression heads also contribute an expected percent move per horizon,
+    // classification heads their down/flat/up probabilities.
+    combineHorizons(horizonPredictions, options = {}, horizonMoves = new Map(), uncertaintyZ = null, horizonClasses = new Map()) {
+        const horizons = {};
+        
+        for (const [horizon, modelPredictions] of horizonPredictions.entries()) {
+            const modelConfidences = new Map();
+            for (const [modelType, value] of modelPredictions.entries()) {
+                modelConfidences.set(modelType, Math.abs(value - 0.5) * 2);
+            }
+            
+            const combined = this.combinePredictions(modelPredictions, modelConfidences, options);
+            const classProbabilities = horizonClasses.has(horizon) ?
+                this.combineClassProbabilities(horizonClasses.get(horizon), modelConfidences, options) :
+                undefined;
+            
+            horizons[horizon] = {
+                prediction: combined.value,
+                confidence: combined.confidence,
+                direction: combined.value > 0.5 ? 'up' : 'down',
+                signal: this.getTradeSignal(combined.value, combined.confidence, classProbabilities),
+                individualPredictions: Object.fromEntries(modelPredictions)
+            };
+            
+            if (classProbabilities) {
+                horizons[horizon].classProbabilities = classProbabilities;
+                horizons[horizon].predictedClass = this.getPredictedClass(classProbabilities);
+            }
+            
+            if (horizonMoves.has(horizon)) {
+                Object.assign(horizons[horizon], this.combineExpectedMoves(horizonMoves.get(horizon), uncertaintyZ));
+            }
+        }
+        
+        return horizons;
+    }
+    
+    // Combine down/flat/up probabilities with the voting strategy: weighted,
+    // average and confidence_weighted blend the distributions, majority counts
+    // each model's most likely class
+    combineClassProbabilities(classPredictions, confidences, options = {}) {
+        const strategy = options.strategy || this.votingStrategy;
+        const combined = { down: 0, flat: 0, up: 0 };
+        let totalWeight = 0;
+        
+        for (const [modelType, probabilities] of classPredictions.entries()) {
+            let weight;
+            switch (strategy) {
+                case 'average':
+                case 'majority':
+                    weight = 1.0;
+                    break;
+                case 'confidence_weighted':
+                    weight = confidences.get(modelType) || 0.5;
+                    break;
+                default:
+                    weight = this.weights[modelType] || 1.0;
+            }
+            
+            if (strategy === 'majority') {
+                combined[this.getPredictedClass(probabilities)] += weight;
+            } else {
+                Object.keys(combined).forEach(className => {
+                    combined[className] += weight * probabilities[className];
+                });
+            }
+            totalWeight += weight;
+        }
+        
+        Object.keys(combined).forEach(className => {
+            combined[className] = totalWeight > 0 ? combined[className] / totalWeight : 1 / 3;
+        });
+        
+        return combined;
+    }
+    
+    getPredictedClass(classProbabilities) {
+        return Object.keys(classProbabilities).reduce((best, className) =>
+            classProbabilities[className] > classProbabilities[best] ? className : best
+        );
+    }
+    
+    // Weighted mean of the models' expected moves. The band uses the std of the
+    // weighted mixture, so model disagreement widens it as well as residual error.
+    combineExpectedMoves(moves, uncertaintyZ = 1.645) {
+        const weights = this.getActiveWeights(Array.from(moves.keys()));
+        let totalWeight = 0;
+        let weightedMove = 0;
+        
+        for (const [modelType, move] of moves.entries()) {
+            totalWeight += weights[modelType];
+            weightedMove += weights[modelType] * move.expectedMove;
+        }
+        
+        const expectedMove = weightedMove / totalWeight;
+        let variance = 0;
+        for (const [modelType, move] of moves.entries()) {
+            variance += weights[modelType] * (move.std * move.std + Math.pow(move.expectedMove - expectedMove, 2));
+        }
+        const std = Math.sqrt(variance / totalWeight);
+        
+        return {
+            expectedMove,
+            uncertainty: {
+                std,
+                lower: expectedMove - uncertaintyZ * std,
+                upper: expectedMove + uncertaintyZ * std
+            },
+            individualMoves: Object.fromEntries(
+                Array.from(moves.entries()).map(([modelType, move]) => [modelType, move.expectedMove])
+            )
+        };
+    }
+    
     // Combine predictions using different strategies
     combinePredictions(predictions, confidences, options = {}) {
         const strategy = options.strategy || this.votingStrategy;
@@ -268,11 +450,16 @@ class ModelEnsemble {
         };
     }
     
-    // Get trade signal based on prediction and confidence
-    getTradeSignal(prediction, confidence) {
+    // Get trade signal based on prediction and confidence. With class
+    // probabilities, a most likely flat class always holds.
+    getTradeSignal(prediction, confidence, classProbabilities = null) {
         const strongThreshold = 0.7;
         const weakThreshold = 0.55;
         
+        if (classProbabilities && this.getPredictedClass(classProbabilities) === 'flat') {
+            return 'HOLD';
+        }
+        
         if (confidence > strongThreshold) {
             return prediction > 0.5 ? 'STRONG_BUY' : 'STRONG_SELL';
         } else if (confidence > weakThreshold) {
@@ -312,7 +499,11 @@ class ModelEnsemble {
         }
     }
     
-    // Evaluate actual vs predicted performance (requires actual outcomes)
+    // Evaluate actual vs predicted performance (requires actual outcomes).
+    // Accepts either { timestamp: actualChange } keyed by performanceHistory
+    // timestamps, or an array of resolved outcomes
+    // ({ ensemblePrediction, individualPredictions, actualChange }) in time order.
+    // Only the most recent performanceWindow outcomes are scored.
     evaluatePerformance(actualOutcomes) {
         const performance = {
             ensemble: { correct: 0, total: 0, accuracy: 0 },
@@ -324,25 +515,37 @@ class ModelEnsemble {
             performance.individual[modelType] = { correct: 0, total: 0, accuracy: 0 };
         }
         
-        let matchedPredictions = 0;
-        
-        for (const [timestamp, outcome] of Object.entries(actualOutcomes)) {
-            const predictionData = this.performanceHistory.get(parseInt(timestamp));
+        const outcomes = Array.isArray(actualOutcomes) ?
+            actualOutcomes :
+            Object.entries(actualOutcomes).map(([timestamp, outcome]) => {
+                const predictionData = this.performanceHistory.get(parseInt(timestamp));
+                return predictionData ? {
+                    ensemblePrediction: predictionData.ensemblePrediction.value,
+                    individualPredictions: predictionData.individualPredictions,
+                    actualChange: outcome
+                } : null;
+            }).filter(outcome => outcome !== null);
+        
+        const windowOutcomes = outcomes.slice(-this.performanceWindow);
+        const matchedPredictions = windowOutcomes.length;
+        
+        for (const outcome of windowOutcomes) {
+            const actualUp = outcome.actualChange > 0;
             
-            if (predictionData) {
-                matchedPredictions++;
-                
-                // Evaluate ensemble
-                const ensembleCorrect = (predictionData.ensemblePrediction.value > 0.5) === (outcome > 0);
+            // Evaluate ensemble
+            if (typeof outcome.ensemblePrediction === 'number') {
+                const ensembleCorrect = (outcome.ensemblePrediction > 0.5) === actualUp;
                 if (ensembleCorrect) performance.ensemble.correct++;
                 performance.ensemble.total++;
+            }
+            
+            // Evaluate individual models (ignore models no longer in the ensemble)
+            for (const [modelType, prediction] of Object.entries(outcome.individualPredictions || {})) {
+                if (!performance.individual[modelType]) continue;
                 
-                // Evaluate individual models
-                for (const [modelType, prediction] of Object.entries(predictionData.individualPredictions)) {
-                    const modelCorrect = (prediction > 0.5) === (outcome > 0);
-                    if (modelCorrect) performance.individual[modelType].correct++;
-                    performance.individual[modelType].total++;
-                }
+                const modelCorrect = (prediction > 0.5) === actualUp;
+                if (modelCorrect) performance.individual[modelType].correct++;
+                performance.individual[modelType].total++;
             }
         }
         
@@ -357,6 +560,7 @@ class ModelEnsemble {
         
         Logger.info('Performance evaluation completed', {
             matchedPredictions,
+            performanceWindow: this.performanceWindow,
             ensembleAccuracy: performance.ensemble.accuracy.toFixed(4),
             individualAccuracies: Object.fromEntries(
                 Object.entries(performance.individual).map(([type, perf]) => [type, perf.accuracy.toFixed(4)])
@@ -364,14 +568,23 @@ class ModelEnsemble {
         });
         
         // Auto-update weights based on performance
-        if (matchedPredictions > 10) { // Only update with sufficient data
+        if (this.autoUpdateWeights && matchedPredictions > 10) { // Only update with sufficient data
             const performanceWeights = {};
             for (const [modelType, perf] of Object.entries(performance.individual)) {
-                performanceWeights[modelType] = Math.max(0.1, perf.accuracy); // Minimum weight of 0.1
+                if (perf.total > 0) {
+                    performanceWeights[modelType] = Math.max(this.minModelWeight, perf.accuracy);
+                }
             }
             this.updateWeights(performanceWeights);
         }
         
+        this.lastEvaluation = {
+            ...performance,
+            matchedPredictions,
+            weights: { ...this.weights },
+            evaluatedAt: Date.now()
+        };
+        
         return performance;
     }
     
@@ -383,6 +596,9 @@ class ModelEnsemble {
             weights: this.weights,
             votingStrategy: this.votingStrategy,
             performanceHistorySize: this.performanceHistory.size,
+            autoUpdateWeights: this.autoUpdateWeights,
+            performanceWindow: this.performanceWindow,
+            lastEvaluation: this.lastEvaluation,
             isInitialized: this.isInitialized
         };
         
@@ -400,11 +616,14 @@ class ModelEnsemble {
         return stats;
     }
     
-    // Dispose of all models in ensemble
-    dispose() {
-        for (const [modelType, modelInfo] of this.models.entries()) {
-            if (modelInfo.model && typeof modelInfo.model.dispose === 'function') {
-                modelInfo.model.dispose();
+    // Dispose of all models in ensemble; pass disposeModels: false when the
+    // member models are owned (and still used) elsewhere
+    dispose({ disposeModels = true } = {}) {
+        if (disposeModels) {
+            for (const [modelType, modelInfo] of this.models.entries()) {
+                if (modelInfo.model && typeof modelInfo.model.dispose === 'function') {
+                    modelInfo.model.dispose();
+                }
             }
         }
         
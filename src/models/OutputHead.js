@@ -0,0 +1,301 @@
+const tf = require('@tensorflow/tfjs');
+
+const OUTPUT_MODES = ['direction', 'regression', 'classification'];
+const CLASSES = ['down', 'flat', 'up']; // class_N label order from FeatureExtractor.createTargets
+
+// Share of regression predictions whose sign matches the realised move. Named
+// function so tfjs logs it as `directionalAccuracy` / `val_directionalAccuracy`.
+function directionalAccuracy(yTrue, yPred) {
+    return tf.tidy(() => tf.equal(tf.greater(yTrue, 0), tf.greater(yPred, 0)).asType('float32').mean());
+}
+
+// Per-horizon argmax accuracy of classification outputs laid out as [horizon x class]
+function classAccuracy(yTrue, yPred) {
+    return tf.tidy(() => {
+        const trueClasses = yTrue.reshape([-1, CLASSES.length]).argMax(-1);
+        const predictedClasses = yPred.reshape([-1, CLASSES.length]).argMax(-1);
+        return tf.equal(trueClasses, predictedClasses).asType('float32').mean();
+    });
+}
+
+// Categorical cross-entropy averaged over horizons. The built-in loss would
+// normalise across the whole flattened output rather than within each horizon.
+function horizonCrossentropy(yTrue, yPred) {
+    return tf.tidy(() => {
+        const clipped = yPred.reshape([-1, CLASSES.length]).clipByValue(1e-7, 1 - 1e-7);
+        return yTrue.reshape([-1, CLASSES.length]).mul(clipped.log()).sum(-1).neg().mean();
+    });
+}
+
+// Standard normal CDF (Abramowitz-Stegun erf approximation)
+function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t *
+        Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Final layer shared by all model types. One output unit per prediction
+// horizon (bars ahead), so a single model serves every configured targetPeriods value.
+//   direction  - sigmoid probability of an up move, binary cross-entropy
+//   regression - expected percent move, Huber or MSE loss, with a residual
+//                uncertainty band calibrated on the validation split
+//   classification - softmax down/flat/up per horizon; moves inside the
+//                dead band are labelled flat and map to HOLD
+class OutputHead {
+    constructor(config = {}) {
+        this.horizons = Array.isArray(config.horizons) && config.horizons.length > 0 ? config.horizons : [5];
+        this.mode = config.mode || 'direction';
+
+        if (!OUTPUT_MODES.includes(this.mode)) {
+            throw new Error(`Unknown output head mode: ${this.mode}`);
+        }
+
+        const regression = config.regression || {};
+        this.loss = regression.loss || 'huber'; // 'huber' or 'mse'
+        this.huberDelta = regression.huberDelta || 1.0;
+        this.targetScale = regression.targetScale || 100; // fractional change -> percent
+        this.uncertaintyZ = regression.uncertaintyZ || 1.645; // 90% band
+        this.residualStd = null; // per horizon, set by calibrate()
+
+        // Dead band options passed to FeatureExtractor.createTargets
+        this.classification = {
+            thresholdMode: 'fixed',
+            flatThreshold: 0.002,
+            volatilityWindow: 20,
+            volatilityMultiplier: 0.5,
+            ...(config.classification || {})
+        };
+    }
+
+    // Output units per horizon
+    get unitsPerHorizon() {
+        return this.mode === 'classification' ? CLASSES.length : 1;
+    }
+
+    get units() {
+        return this.horizons.length * this.unitsPerHorizon;
+    }
+
+    // Accuracy of guessing at random - 1/3 for down/flat/up, 0.5 otherwise
+    get chanceAccuracy() {
+        return 1 / (this.mode === 'classification' ? CLASSES.length : 2);
+    }
+
+    // History/log key of the accuracy metric for this head
+    get accuracyKey() {
+        if (this.mode === 'classification') {
+            return 'classAccuracy';
+        }
+        return this.mode === 'regression' ? 'directionalAccuracy' : 'acc';
+    }
+
+    // Append the output layer to a sequential model
+    addTo(model) {
+        if (this.mode === 'classification') {
+            // Softmax within each horizon's class triple, flattened back to [horizon x class]
+            model.add(tf.layers.dense({
+                units: this.units,
+                kernelInitializer: 'glorotUniform'
+            }));
+            model.add(tf.layers.reshape({ targetShape: [this.horizons.length, CLASSES.length] }));
+            model.add(tf.layers.softmax({ axis: -1 }));
+            model.add(tf.layers.flatten());
+            return;
+        }
+
+        model.add(tf.layers.dense({
+            units: this.units,
+            activation: this.mode === 'regression' ? 'linear' : 'sigmoid',
+            kernelInitializer: 'glorotUniform'
+        }));
+    }
+
+    getCompileOptions() {
+        if (this.mode === 'classification') {
+            return {
+                loss: horizonCrossentropy,
+                metrics: [classAccuracy]
+            };
+        }
+
+        if (this.mode === 'regression') {
+            const huberDelta = this.huberDelta;
+            return {
+                loss: this.loss === 'mse' ?
+                    'meanSquaredError' :
+                    (yTrue, yPred) => tf.losses.huberLoss(yTrue, yPred, undefined, huberDelta),
+                metrics: [directionalAccuracy]
+            };
+        }
+
+        return {
+            loss: 'binaryCrossentropy',
+            metrics: ['accuracy']
+        };
+    }
+
+    // Options for FeatureExtractor.createTargets
+    getTargetOptions() {
+        return this.classification;
+    }
+
+    // Pick the target series for each horizon from FeatureExtractor.createTargets
+    // output, one per output unit (classification: one-hot down/flat/up series)
+    selectTargets(targets) {
+        if (this.mode === 'classification') {
+            return this.horizons.flatMap(horizon => {
+                const classes = targets[`class_${horizon}`];
+                return CLASSES.map((className, classIndex) =>
+                    classes ? classes.map(label => (label === classIndex ? 1 : 0)) : classes
+                );
+            });
+        }
+
+        return this.horizons.map(horizon => {
+            if (this.mode === 'regression') {
+                const changes = targets[`price_change_${horizon}`];
+                return changes ? changes.map(change => change * this.targetScale) : changes;
+            }
+            return targets[`direction_${horizon}`];
+        });
+    }
+
+    // Residual std per horizon on held-out data - the regression uncertainty band
+    async calibrate(model, validationX, validationY) {
+        if (this.mode !== 'regression' || !validationX || validationX.shape[0] === 0) {
+            return;
+        }
+
+        const predictionTensor = model.predict(validationX);
+        const predicted = await predictionTensor.array();
+        const actual = await validationY.array();
+        predictionTensor.dispose();
+
+        this.residualStd = this.horizons.map((horizon, i) => {
+            const residuals = predicted.map((row, sample) => {
+                const target = Array.isArray(actual[sample]) ? actual[sample][i] : actual[sample];
+                return target - row[i];
+            });
+            const meanSquare = residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length;
+            return Math.sqrt(meanSquare);
+        });
+    }
+
+    // Split flat model output into { horizon: probability of an up move } for one sample
+    decode(output, sampleIndex = 0) {
+        const details = this.decodeDetails(output, sampleIndex);
+        const values = {};
+
+        Object.entries(details).forEach(([horizon, detail]) => {
+            values[horizon] = detail.probability;
+        });
+
+        return values;
+    }
+
+    // Mode-specific output per horizon for one sample
+    decodeDetails(output, sampleIndex = 0) {
+        const offset = sampleIndex * this.units;
+        const details = {};
+
+        this.horizons.forEach((horizon, i) => {
+            const value = output[offset + i];
+
+            if (this.mode === 'classification') {
+                const classProbabilities = {};
+                CLASSES.forEach((className, classIndex) => {
+                    classProbabilities[className] = output[offset + i * CLASSES.length + classIndex];
+                });
+                // Flat mass counts as neutral, so 0.5 still separates up from down
+                details[horizon] = {
+                    probability: classProbabilities.up + classProbabilities.flat / 2,
+                    classProbabilities
+                };
+            } else if (this.mode === 'regression') {
+                const std = this.residualStd ? this.residualStd[i] : 1.0;
+                details[horizon] = {
+                    probability: normalCdf(value / Math.max(std, 1e-6)),
+                    expectedMove: value,
+                    std,
+                    lower: value - this.uncertaintyZ * std,
+                    upper: value + this.uncertaintyZ * std
+                };
+            } else {
+                details[horizon] = { probability: value };
+            }
+        });
+
+        return details;
+    }
+
+    // Class names outputs are scored against: down/up, or down/flat/up
+    get classNames() {
+        return this.mode === 'classification' ? CLASSES : ['down', 'up'];
+    }
+
+    // { horizon: [probability per classNames entry] } for one sample
+    decodeClassProbabilities(output, sampleIndex = 0) {
+        const details = this.decodeDetails(output, sampleIndex);
+        const probabilities = {};
+
+        Object.entries(details).forEach(([horizon, detail]) => {
+            probabilities[horizon] = detail.classProbabilities ?
+                CLASSES.map(className => detail.classProbabilities[className]) :
+                [1 - detail.probability, detail.probability];
+        });
+
+        return probabilities;
+    }
+
+    // Index into classNames of one target row's true class for a horizon
+    getTargetClass(target, horizonIndex) {
+        const values = Array.isArray(target) ? target : [target];
+
+        if (this.mode === 'classification') {
+            const oneHot = values.slice(horizonIndex * CLASSES.length, (horizonIndex + 1) * CLASSES.length);
+            return oneHot.indexOf(Math.max(...oneHot));
+        }
+        if (this.mode === 'regression') {
+            return values[horizonIndex] > 0 ? 1 : 0;
+        }
+        return values[horizonIndex] >= 0.5 ? 1 : 0;
+    }
+
+    // Identifies the output layout; weights saved with another layout can't be loaded
+    getSignature() {
+        return `${this.mode}:${this.horizons.join(',')}`;
+    }
+
+    getLossName() {
+        if (this.mode === 'classification') {
+            return 'categoricalCrossentropy';
+        }
+        return this.mode === 'regression' ? this.loss : 'binaryCrossentropy';
+    }
+
+    // Restore calibration saved with the weights
+    restore(saved) {
+        if (saved && Array.isArray(saved.residualStd) && saved.residualStd.length === this.horizons.length) {
+            this.residualStd = saved.residualStd;
+        }
+    }
+
+    toJSON() {
+        return {
+            mode: this.mode,
+            horizons: this.horizons,
+            signature: this.getSignature(),
+            loss: this.getLossName(),
+            targetScale: this.mode === 'regression' ? this.targetScale : null,
+            residualStd: this.residualStd,
+            classes: this.mode === 'classification' ? CLASSES : null,
+            classification: this.mode === 'classification' ? this.classification : null
+        };
+    }
+}
+
+OutputHead.normalCdf = normalCdf;
+OutputHead.CLASSES = CLASSES;
+
+module.exports = OutputHead;
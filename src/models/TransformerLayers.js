@@ -0,0 +1,202 @@
+const tf = require('@tensorflow/tfjs');
+
+// Custom TF.js layers for TransformerModel. Both are registered with
+// tf.serialization so the model round-trips through model.json as well as
+// through the flat weight list MLStorage stores.
+
+// Sinusoidal positional encoding [seqLen, dModel]: sin on even dimensions,
+// cos on odd ones, wavelengths from 2π to 10000·2π
+function createSinusoidalEncoding(seqLen, dModel) {
+    const values = new Float32Array(seqLen * dModel);
+
+    for (let pos = 0; pos < seqLen; pos++) {
+        for (let i = 0; i < dModel; i++) {
+            const angle = pos * Math.exp(-Math.log(10000.0) * (2 * Math.floor(i / 2)) / dModel);
+            values[pos * dModel + i] = i % 2 === 0 ? Math.sin(angle) : Math.cos(angle);
+        }
+    }
+
+    return tf.tensor2d(values, [seqLen, dModel]);
+}
+
+// x [batch, seq, in] · kernel [in, out] + bias
+function dense3d(x, kernel, bias) {
+    const [batch, seq, inputDim] = x.shape;
+    const units = kernel.shape[1];
+    return x.reshape([batch * seq, inputDim]).matMul(kernel).add(bias).reshape([batch, seq, units]);
+}
+
+function layerNorm(x, gamma, beta, epsilon) {
+    const { mean, variance } = tf.moments(x, -1, true);
+    return x.sub(mean).div(variance.add(epsilon).sqrt()).mul(gamma).add(beta);
+}
+
+// Adds the fixed sinusoidal encoding to every sample; no trainable weights
+class PositionalEncoding extends tf.layers.Layer {
+    constructor(config = {}) {
+        super(config);
+        this.encoding = null;
+    }
+
+    build(inputShape) {
+        const [, seqLen, dModel] = inputShape;
+        this.encoding = tf.keep(createSinusoidalEncoding(seqLen, dModel));
+        this.built = true;
+    }
+
+    computeOutputShape(inputShape) {
+        return inputShape;
+    }
+
+    call(inputs) {
+        return tf.tidy(() => {
+            const x = Array.isArray(inputs) ? inputs[0] : inputs;
+            return x.add(this.encoding);
+        });
+    }
+
+    dispose() {
+        const result = super.dispose();
+        if (result.refCountAfterDispose === 0 && this.encoding) {
+            this.encoding.dispose();
+            this.encoding = null;
+        }
+        return result;
+    }
+
+    static get className() {
+        return 'PositionalEncoding';
+    }
+}
+
+// Post-norm encoder block:
+//   h   = LayerNorm(x + Dropout(MultiHeadSelfAttention(x)))
+//   out = LayerNorm(h + Dropout(FFN(h))),  FFN = Dense(dff, relu) -> Dense(dModel)
+// Attention uses learned Q/K/V/output projections and scaled dot-product
+// scores softmax(QKᵀ / √headDim) per head.
+class TransformerEncoderLayer extends tf.layers.Layer {
+    constructor(config = {}) {
+        super(config);
+        this.numHeads = config.numHeads || 8;
+        this.dff = config.dff || 512;
+        this.dropoutRate = config.dropout || 0;
+        this.epsilon = config.epsilon || 1e-6;
+    }
+
+    build(inputShape) {
+        const dModel = inputShape[inputShape.length - 1];
+
+        if (dModel % this.numHeads !== 0) {
+            throw new Error(`Model dimension ${dModel} is not divisible by ${this.numHeads} attention heads`);
+        }
+
+        this.dModel = dModel;
+        this.headDim = dModel / this.numHeads;
+
+        const kernel = (name, shape) =>
+            this.addWeight(name, shape, 'float32', tf.initializers.glorotUniform({}));
+        const constant = (name, shape, value) =>
+            this.addWeight(name, shape, 'float32', tf.initializers.constant({ value }));
+
+        this.queryKernel = kernel('query_kernel', [dModel, dModel]);
+        this.queryBias = constant('query_bias', [dModel], 0);
+        this.keyKernel = kernel('key_kernel', [dModel, dModel]);
+        this.keyBias = constant('key_bias', [dModel], 0);
+        this.valueKernel = kernel('value_kernel', [dModel, dModel]);
+        this.valueBias = constant('value_bias', [dModel], 0);
+        this.outputKernel = kernel('attention_output_kernel', [dModel, dModel]);
+        this.outputBias = constant('attention_output_bias', [dModel], 0);
+
+        this.attentionNormGamma = constant('attention_norm_gamma', [dModel], 1);
+        this.attentionNormBeta = constant('attention_norm_beta', [dModel], 0);
+
+        this.ffnKernel1 = kernel('ffn_kernel_1', [dModel, this.dff]);
+        this.ffnBias1 = constant('ffn_bias_1', [this.dff], 0);
+        this.ffnKernel2 = kernel('ffn_kernel_2', [this.dff, dModel]);
+        this.ffnBias2 = constant('ffn_bias_2', [dModel], 0);
+
+        this.ffnNormGamma = constant('ffn_norm_gamma', [dModel], 1);
+        this.ffnNormBeta = constant('ffn_norm_beta', [dModel], 0);
+
+        this.built = true;
+    }
+
+    computeOutputShape(inputShape) {
+        return inputShape;
+    }
+
+    call(inputs, kwargs = {}) {
+        return tf.tidy(() => {
+            const x = Array.isArray(inputs) ? inputs[0] : inputs;
+            const training = kwargs.training === true;
+            const dropout = (t) => (training && this.dropoutRate > 0 ? tf.dropout(t, this.dropoutRate) : t);
+
+            const { output: attention } = this.selfAttention(x);
+            const h = layerNorm(
+                x.add(dropout(attention)),
+                this.attentionNormGamma.read(),
+                this.attentionNormBeta.read(),
+                this.epsilon
+            );
+
+            const ffn = dense3d(
+                dense3d(h, this.ffnKernel1.read(), this.ffnBias1.read()).relu(),
+                this.ffnKernel2.read(),
+                this.ffnBias2.read()
+            );
+
+            return layerNorm(
+                h.add(dropout(ffn)),
+                this.ffnNormGamma.read(),
+                this.ffnNormBeta.read(),
+                this.epsilon
+            );
+        });
+    }
+
+    // Multi-head self-attention. Returns the projected output [batch, seq, dModel]
+    // and the attention weights [batch, heads, seq, seq] (row = attending bar).
+    selfAttention(x) {
+        const [batch, seq] = x.shape;
+        const splitHeads = (t) => t.reshape([batch, seq, this.numHeads, this.headDim]).transpose([0, 2, 1, 3]);
+
+        const query = splitHeads(dense3d(x, this.queryKernel.read(), this.queryBias.read()));
+        const key = splitHeads(dense3d(x, this.keyKernel.read(), this.keyBias.read()));
+        const value = splitHeads(dense3d(x, this.valueKernel.read(), this.valueBias.read()));
+
+        const scores = tf.matMul(query, key, false, true).div(Math.sqrt(this.headDim));
+        const weights = tf.softmax(scores, -1);
+
+        const context = tf.matMul(weights, value)
+            .transpose([0, 2, 1, 3])
+            .reshape([batch, seq, this.dModel]);
+
+        return {
+            output: dense3d(context, this.outputKernel.read(), this.outputBias.read()),
+            weights
+        };
+    }
+
+    getConfig() {
+        return {
+            ...super.getConfig(),
+            numHeads: this.numHeads,
+            dff: this.dff,
+            dropout: this.dropoutRate,
+            epsilon: this.epsilon
+        };
+    }
+
+    static get className() {
+        return 'TransformerEncoderLayer';
+    }
+}
+
+tf.serialization.registerClass(PositionalEncoding);
+tf.serialization.registerClass(TransformerEncoderLayer);
+
+module.exports = {
+    PositionalEncoding,
+    TransformerEncoderLayer,
+    createSinusoidalEncoding
+};
@@ -34,6 +34,8 @@ if (!backendLoaded) {
 }
 
 const { Logger } = require('../utils');
+const OutputHead = require('./OutputHead');
+const { PositionalEncoding, TransformerEncoderLayer, createSinusoidalEncoding } = require('./TransformerLayers');
 
 class TransformerModel {
     constructor(config = {}) {
@@ -45,9 +47,14 @@ class TransformerModel {
         this.dff = config.dff || 512; // Feed-forward dimension
         this.dropout = config.dropout || 0.1;
         this.learningRate = config.learningRate || 0.001;
+        this.outputHead = new OutputHead({ ...config.outputHead, horizons: config.horizons });
         this.usePositionalEncoding = config.usePositionalEncoding !== false;
         this.maxPositionalEncoding = config.maxPositionalEncoding || 1000;
         
+        if (this.dModel % this.numHeads !== 0) {
+            throw new Error(`dModel (${this.dModel}) must be divisible by numHeads (${this.numHeads})`);
+        }
+        
         this.model = null;
         this.isCompiled = false;
         this.isTraining = false;
@@ -115,143 +122,18 @@ class TransformerModel {
         }
     }
     
-    // Create positional encoding for transformer
+    // Create positional encoding for transformer [seqLen, dModel]
     createPositionalEncoding(seqLen, dModel) {
-        const posEncoding = tf.zeros([seqLen, dModel]);
-        const position = tf.range(0, seqLen, 1, 'float32').expandDims(1);
-        
-        const divTerm = tf.exp(
-            tf.range(0, dModel, 2, 'float32').mul(-Math.log(10000.0) / dModel)
-        );
-        
-        // Apply sin to even indices
-        const sinValues = tf.sin(position.mul(divTerm));
-        // Apply cos to odd indices  
-        const cosValues = tf.cos(position.mul(divTerm));
-        
-        // Interleave sin and cos values
-        const posEncodingArray = [];
-        for (let i = 0; i < seqLen; i++) {
-            for (let j = 0; j < dModel; j++) {
-                if (j % 2 === 0) {
-                    posEncodingArray.push(sinValues.dataSync()[i * Math.floor(dModel / 2) + Math.floor(j / 2)]);
-                } else {
-                    posEncodingArray.push(cosValues.dataSync()[i * Math.floor(dModel / 2) + Math.floor(j / 2)]);
-                }
-            }
-        }
-        
-        // Clean up temporary tensors
-        position.dispose();
-        divTerm.dispose();
-        sinValues.dispose();
-        cosValues.dispose();
-        posEncoding.dispose();
-        
-        return tf.tensor2d(posEncodingArray, [seqLen, dModel]);
-    }
-    
-    // Multi-head attention mechanism
-    createMultiHeadAttention(dModel, numHeads) {
-        const headDim = Math.floor(dModel / numHeads);
-        
-        return tf.layers.apply(function(inputs) {
-            const [query, key, value] = inputs;
-            const batchSize = query.shape[0];
-            const seqLen = query.shape[1];
-            
-            // Linear transformations for Q, K, V
-            const wq = tf.layers.dense({ units: dModel, useBias: false });
-            const wk = tf.layers.dense({ units: dModel, useBias: false });
-            const wv = tf.layers.dense({ units: dModel, useBias: false });
-            
-            const q = wq.apply(query);
-            const k = wk.apply(key);
-            const v = wv.apply(value);
-            
-            // Reshape for multi-head attention
-            const qReshaped = tf.reshape(q, [batchSize, seqLen, numHeads, headDim]);
-            const kReshaped = tf.reshape(k, [batchSize, seqLen, numHeads, headDim]);
-            const vReshaped = tf.reshape(v, [batchSize, seqLen, numHeads, headDim]);
-            
-            // Transpose for attention computation
-            const qTransposed = tf.transpose(qReshaped, [0, 2, 1, 3]);
-            const kTransposed = tf.transpose(kReshaped, [0, 2, 1, 3]);
-            const vTransposed = tf.transpose(vReshaped, [0, 2, 1, 3]);
-            
-            // Scaled dot-product attention
-            const scores = tf.matMul(qTransposed, kTransposed, false, true);
-            const scaledScores = tf.div(scores, Math.sqrt(headDim));
-            const attentionWeights = tf.softmax(scaledScores);
-            
-            // Apply attention to values
-            const attentionOutput = tf.matMul(attentionWeights, vTransposed);
-            
-            // Transpose back and reshape
-            const outputTransposed = tf.transpose(attentionOutput, [0, 2, 1, 3]);
-            const output = tf.reshape(outputTransposed, [batchSize, seqLen, dModel]);
-            
-            // Final linear transformation
-            const wo = tf.layers.dense({ units: dModel });
-            const finalOutput = wo.apply(output);
-            
-            // Clean up intermediate tensors
-            [q, k, v, qReshaped, kReshaped, vReshaped, qTransposed, kTransposed, vTransposed,
-             scores, scaledScores, attentionWeights, attentionOutput, outputTransposed, output].forEach(t => {
-                if (t && typeof t.dispose === 'function') t.dispose();
-            });
-            
-            return finalOutput;
-        }, { name: 'multiHeadAttention' });
-    }
-    
-    // Feed-forward network
-    createFeedForward(dModel, dff) {
-        return tf.sequential({
-            layers: [
-                tf.layers.dense({
-                    units: dff,
-                    activation: 'relu',
-                    kernelInitializer: 'heNormal'
-                }),
-                tf.layers.dropout({ rate: this.dropout }),
-                tf.layers.dense({
-                    units: dModel,
-                    kernelInitializer: 'glorotUniform'
-                })
-            ]
-        });
-    }
-    
-    // Transformer encoder layer
-    createEncoderLayer(dModel, numHeads, dff) {
-        const attention = this.createMultiHeadAttention(dModel, numHeads);
-        const feedForward = this.createFeedForward(dModel, dff);
-        
-        return tf.layers.apply(function(inputs) {
-            // Multi-head attention
-            const attentionOutput = attention.apply([inputs, inputs, inputs]);
-            
-            // Add & Norm 1
-            const norm1 = tf.layers.layerNormalization();
-            const add1 = tf.layers.add();
-            const normed1 = norm1.apply(add1.apply([inputs, attentionOutput]));
-            
-            // Feed-forward
-            const ffOutput = feedForward.apply(normed1);
-            
-            // Add & Norm 2
-            const norm2 = tf.layers.layerNormalization();
-            const add2 = tf.layers.add();
-            const output = norm2.apply(add2.apply([normed1, ffOutput]));
-            
-            return output;
-        }, { name: 'encoderLayer' });
+        return createSinusoidalEncoding(seqLen, dModel);
     }
     
     buildModel() {
         try {
-            Logger.info('Building simplified Transformer model...');
+            Logger.info('Building Transformer encoder model...');
+            
+            if (this.sequenceLength > this.maxPositionalEncoding) {
+                throw new Error(`Sequence length ${this.sequenceLength} exceeds maxPositionalEncoding ${this.maxPositionalEncoding}`);
+            }
             
             this.model = tf.sequential();
             
@@ -262,29 +144,24 @@ class TransformerModel {
                 kernelInitializer: 'glorotUniform'
             }));
             
-            // Add positional encoding if enabled (simplified)
+            // Sinusoidal positional encoding, so attention can tell bars apart by position
             if (this.usePositionalEncoding) {
-                this.model.add(tf.layers.dropout({ rate: this.dropout }));
+                this.model.add(new PositionalEncoding({}));
             }
             
-            // Simplified attention mechanism using LSTM layers
+            this.model.add(tf.layers.dropout({ rate: this.dropout }));
+            
+            // Encoder stack: multi-head self-attention + feed-forward, each with residual and layer norm
             for (let i = 0; i < this.numLayers; i++) {
-                this.model.add(tf.layers.lstm({
-                    units: this.dModel / 2,
-                    returnSequences: i < this.numLayers - 1,
-                    dropout: this.dropout,
-                    recurrentDropout: this.dropout
+                this.model.add(new TransformerEncoderLayer({
+                    numHeads: this.numHeads,
+                    dff: this.dff,
+                    dropout: this.dropout
                 }));
             }
             
-            // Dense layers for classification
-            this.model.add(tf.layers.dense({
-                units: 128,
-                activation: 'relu',
-                kernelInitializer: 'heNormal'
-            }));
-            
-            this.model.add(tf.layers.dropout({ rate: this.dropout }));
+            // Pool the encoded sequence into one vector per sample
+            this.model.add(tf.layers.globalAveragePooling1d({}));
             
             this.model.add(tf.layers.dense({
                 units: 64,
@@ -292,18 +169,16 @@ class TransformerModel {
                 kernelInitializer: 'heNormal'
             }));
             
-            this.model.add(tf.layers.dropout({ rate: this.dropout / 2 }));
+            this.model.add(tf.layers.dropout({ rate: this.dropout }));
             
-            // Output layer
-            this.model.add(tf.layers.dense({
-                units: 1,
-                activation: 'sigmoid',
-                kernelInitializer: 'glorotUniform'
-            }));
+            // Output layer - one unit per prediction horizon
+            this.outputHead.addTo(this.model);
             
-            Logger.info('Simplified Transformer model built successfully', {
+            Logger.info('Transformer encoder model built successfully', {
                 totalParams: this.model.countParams(),
                 layers: this.model.layers.length,
+                encoderLayers: this.numLayers,
+                numHeads: this.numHeads,
                 outputShape: this.model.outputShape
             });
             
@@ -328,8 +203,7 @@ class TransformerModel {
             
             this.model.compile({
                 optimizer: optimizer,
-                loss: 'binaryCrossentropy',
-                metrics: ['accuracy']
+                ...this.outputHead.getCompileOptions()
             });
             
             this.isCompiled = true;
@@ -348,6 +222,7 @@ class TransformerModel {
         
         try {
             this.isTraining = true;
+            const accuracyKey = this.outputHead.accuracyKey;
             
             const epochs = config.epochs || 100;
             const batchSize = config.batchSize || 16; // Smaller batch size for transformers
@@ -377,6 +252,11 @@ class TransformerModel {
             
             const callbacks = {
                 onBatchEnd: (batch, logs) => {
+                    // Cooperative cancellation: fit stops after the current batch
+                    if (config.shouldStop && config.shouldStop()) {
+                        this.model.stopTraining = true;
+                    }
+                    
                     step++;
                     
                     // Update learning rate with warm-up
@@ -388,7 +268,7 @@ class TransformerModel {
                     if (config.veryVerbose && batch % 10 === 0) {
                         Logger.debug(`Transformer Batch ${batch}`, {
                             batchLoss: logs.loss.toFixed(4),
-                            batchAcc: logs.acc.toFixed(4),
+                            batchAcc: logs[accuracyKey].toFixed(4),
                             learningRate: this.model.optimizer.learningRate.toFixed(8),
                             step: step
                         });
@@ -396,6 +276,10 @@ class TransformerModel {
                 },
                 
                 onEpochEnd: (epoch, logs) => {
+                    if (config.onEpochEnd) {
+                        config.onEpochEnd(epoch, logs, epochs);
+                    }
+                    
                     // Early stopping logic
                     if (validationX && validationY && logs.val_loss < bestValLoss) {
                         bestValLoss = logs.val_loss;
@@ -408,14 +292,14 @@ class TransformerModel {
                     if (epoch % 5 === 0 || epoch === epochs - 1) {
                         const logData = {
                             loss: logs.loss.toFixed(4),
-                            accuracy: logs.acc.toFixed(4),
+                            accuracy: logs[accuracyKey].toFixed(4),
                             learningRate: this.model.optimizer.learningRate.toFixed(8),
                             step: step
                         };
                         
                         if (validationX && validationY) {
                             logData.valLoss = logs.val_loss?.toFixed(4);
-                            logData.valAccuracy = logs.val_acc?.toFixed(4);
+                            logData.valAccuracy = logs[`val_${accuracyKey}`]?.toFixed(4);
                             logData.patience = `${patienceCounter}/${patience}`;
                         }
                         
@@ -443,10 +327,21 @@ class TransformerModel {
             
             this.isTraining = false;
             
+            // Stopped by shouldStop: the caller decides whether to keep the partial weights
+            if (config.shouldStop && config.shouldStop()) {
+                Logger.warn('Transformer model training cancelled', { epochsCompleted: history.epoch.length });
+                return {
+                    ...history,
+                    finalMetrics: null,
+                    cancelled: true,
+                    modelType: 'Transformer'
+                };
+            }
+            
             // Calculate final metrics
             const finalMetrics = {
                 finalLoss: history.history.loss[history.history.loss.length - 1].toFixed(4),
-                finalAccuracy: history.history.acc[history.history.acc.length - 1].toFixed(4),
+                finalAccuracy: history.history[accuracyKey][history.history[accuracyKey].length - 1].toFixed(4),
                 epochsCompleted: history.epoch.length,
                 totalSteps: step,
                 finalLearningRate: this.model.optimizer.learningRate.toFixed(8)
@@ -454,7 +349,8 @@ class TransformerModel {
             
             if (validationX && validationY) {
                 finalMetrics.finalValLoss = history.history.val_loss[history.history.val_loss.length - 1].toFixed(4);
-                finalMetrics.finalValAccuracy = history.history.val_acc[history.history.val_acc.length - 1].toFixed(4);
+                finalMetrics.finalValAccuracy = history.history[`val_${accuracyKey}`][history.history[`val_${accuracyKey}`].length - 1].toFixed(4);
+                await this.outputHead.calibrate(this.model, validationX, validationY);
                 finalMetrics.bestValLoss = bestValLoss.toFixed(4);
             }
             
@@ -550,38 +446,56 @@ class TransformerModel {
         }
     }
     
-    // Get attention weights for interpretability
-    async getAttentionWeights(inputX, layerIndex = 0) {
+    // Attention matrices of every encoder layer for one input window.
+    // heads[h][i][j] is how much bar i attends to bar j (rows sum to 1, oldest
+    // bar first); barImportance averages the attention each bar receives.
+    async getAttentionWeights(inputX, sampleIndex = 0) {
         if (!this.model) {
             throw new Error('Model must be built for attention analysis');
         }
         
         try {
-            Logger.info('Extracting attention weights', { layerIndex });
-            
-            // This is a simplified version - in practice, you'd need to modify the model
-            // to expose intermediate attention weights
-            const predictions = await this.predict(inputX);
-            
-            // For now, return a mock attention pattern based on predictions
-            const batchSize = inputX.shape[0];
-            const seqLen = this.sequenceLength;
-            const numHeads = this.numHeads;
+            Logger.debug('Extracting attention weights', { inputShape: inputX.shape, sampleIndex });
             
-            // Create mock attention weights (in real implementation, extract from model)
-            const attentionWeights = tf.randomUniform([batchSize, numHeads, seqLen, seqLen]);
-            const normalizedWeights = tf.softmax(attentionWeights, -1);
+            const encoderLayers = this.model.layers.filter(layer => layer instanceof TransformerEncoderLayer);
             
-            const weightsData = await normalizedWeights.data();
+            // Inference forward pass up to the last encoder, reading each layer's attention on the way
+            const attentionTensors = tf.tidy(() => {
+                const collected = [];
+                let x = inputX;
+                
+                for (const layer of this.model.layers) {
+                    if (collected.length === encoderLayers.length) {
+                        break;
+                    }
+                    if (layer instanceof TransformerEncoderLayer) {
+                        collected.push(layer.selfAttention(x).weights.gather([sampleIndex]).squeeze([0]));
+                    }
+                    x = layer.apply(x, { training: false });
+                }
+                
+                return collected;
+            });
             
-            // Clean up
-            attentionWeights.dispose();
-            normalizedWeights.dispose();
+            const layers = [];
+            for (let i = 0; i < attentionTensors.length; i++) {
+                const heads = await attentionTensors[i].array();
+                attentionTensors[i].dispose();
+                
+                const seqLen = heads[0].length;
+                const barImportance = new Array(seqLen).fill(0);
+                heads.forEach(head => head.forEach(row => row.forEach((weight, bar) => {
+                    barImportance[bar] += weight / (heads.length * seqLen);
+                })));
+                
+                layers.push({ layer: i, heads, barImportance });
+            }
             
             return {
-                attentionWeights: weightsData,
-                shape: [batchSize, numHeads, seqLen, seqLen],
-                layerIndex: layerIndex,
+                layers,
+                numLayers: layers.length,
+                numHeads: this.numHeads,
+                sequenceLength: this.sequenceLength,
                 modelType: 'Transformer'
             };
             
@@ -694,6 +608,7 @@ class TransformerModel {
             outputShape: this.model.outputShape,
             isCompiled: this.isCompiled,
             isTraining: this.isTraining,
+            outputHead: this.outputHead.toJSON(),
             config: {
                 sequenceLength: this.sequenceLength,
                 features: this.features,
@@ -718,6 +633,10 @@ class TransformerModel {
     
     dispose() {
         if (this.model) {
+            // Optimizer instances passed to compile() are not owned by the model
+            if (this.model.optimizer) {
+                this.model.optimizer.dispose();
+            }
             this.model.dispose();
             this.model = null;
             this.isCompiled = false;
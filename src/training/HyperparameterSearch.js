@@ -0,0 +1,349 @@
+const { Logger } = require('../utils');
+
+const METHODS = ['random', 'successive_halving'];
+
+// Hyperparameter search for one pair/model type. Trials are sampled at random
+// from the model's search space and run as low-priority training-queue jobs
+// (config.trial), which the server scores with purged walk-forward
+// cross-validation.
+// `random` trains every trial for maxEpochs; `successive_halving` starts all
+// trials at minEpochs and keeps the best 1/reductionFactor of each rung for a
+// reductionFactor-times larger budget. The winner and a leaderboard are
+// persisted per pair/model, and getBestParams feeds the winner to new models.
+class HyperparameterSearch {
+    constructor(options = {}) {
+        this.trainingQueue = options.trainingQueue;
+        this.storage = options.storage;
+        this.settings = options.settings; // ml.performance.optimization.hyperparameterSearch
+        this.enabled = options.enabled === true;
+        // Serving uses one feature window for every model, so sequences cannot be longer
+        this.maxSequenceLength = options.maxSequenceLength;
+        this.searches = new Map();
+        this.searchCount = 0; // Keeps ids unique when searches start in the same millisecond
+
+        Logger.info('HyperparameterSearch initialized', {
+            enabled: this.enabled,
+            method: this.settings.method,
+            applyBest: this.settings.applyBest
+        });
+    }
+
+    // Tuned params to build new pair/model instances with (null when none apply)
+    getBestParams(pair, modelType) {
+        if (!this.enabled || !this.settings.applyBest) {
+            return null;
+        }
+        const results = this.storage.getHyperparameters(pair, modelType);
+        return results && results.best ? results.best.params : null;
+    }
+
+    getResults(pair, modelType) {
+        return this.storage.getHyperparameters(pair, modelType);
+    }
+
+    getActiveSearch(pair, modelType) {
+        return Array.from(this.searches.values()).find(search =>
+            search.pair === pair && search.modelType === modelType && search.status === 'running'
+        ) || null;
+    }
+
+    getSearch(searchId) {
+        return this.searches.get(searchId) || null;
+    }
+
+    listSearches() {
+        return Array.from(this.searches.values()).map(search => this.summarize(search));
+    }
+
+    // options: { method, trials, minEpochs, maxEpochs, reductionFactor, folds }
+    // Returns the search record; trials run in the background
+    startSearch(pair, modelType, options = {}) {
+        const method = options.method || this.settings.method;
+        if (!METHODS.includes(method)) {
+            throw new Error(`Unknown search method: ${method}. Use one of ${METHODS.join(', ')}`);
+        }
+        // Validates the model type before anything is queued
+        this.getSpace(modelType);
+
+        const settings = {
+            trials: options.trials || this.settings.trials,
+            minEpochs: options.minEpochs || this.settings.minEpochs,
+            maxEpochs: options.maxEpochs || this.settings.maxEpochs,
+            reductionFactor: options.reductionFactor || this.settings.reductionFactor,
+            folds: options.folds || this.settings.folds
+        };
+
+        const search = {
+            id: `hpo-${pair}-${modelType}-${Date.now()}-${++this.searchCount}`,
+            pair,
+            modelType,
+            method,
+            status: 'running',
+            settings,
+            rungs: this.planRungs(method, settings),
+            trials: [],
+            best: null,
+            createdAt: Date.now()
+        };
+        this.searches.set(search.id, search);
+
+        Logger.info(`Hyperparameter search started for ${pair}:${modelType}`, {
+            searchId: search.id,
+            method,
+            rungs: search.rungs
+        });
+
+        this.run(search).catch(error => {
+            search.status = 'failed';
+            search.error = error.message;
+            search.completedAt = Date.now();
+            Logger.error(`Hyperparameter search failed for ${pair}:${modelType}`, {
+                searchId: search.id,
+                error: error.message
+            });
+        });
+
+        return search;
+    }
+
+    // Stops the search after cancelling its queued and running trials
+    async cancelSearch(searchId) {
+        const search = this.searches.get(searchId);
+        if (!search || search.status !== 'running') {
+            return false;
+        }
+
+        search.status = 'cancelled';
+        search.completedAt = Date.now();
+
+        const pending = search.trials.flatMap(trial => trial.results)
+            .filter(result => result.jobId && !this.trainingQueue.isFinalStatus(result.status));
+        for (const result of pending) {
+            await this.trainingQueue.cancelTraining(result.jobId, 'Hyperparameter search cancelled', { keepPartial: false });
+        }
+
+        Logger.info(`Hyperparameter search cancelled: ${searchId}`, { trialsCancelled: pending.length });
+        return true;
+    }
+
+    // [{ trials, epochs }] - one rung for random search
+    planRungs(method, settings) {
+        const { trials, minEpochs, maxEpochs, reductionFactor } = settings;
+        if (method === 'random') {
+            return [{ trials, epochs: maxEpochs }];
+        }
+
+        const rungs = [];
+        let count = trials;
+        let epochs = Math.min(minEpochs, maxEpochs);
+        for (;;) {
+            rungs.push({ trials: count, epochs });
+            if (count <= 1 || epochs >= maxEpochs) {
+                return rungs;
+            }
+            count = Math.ceil(count / reductionFactor);
+            epochs = Math.min(maxEpochs, epochs * reductionFactor);
+        }
+    }
+
+    async run(search) {
+        search.trials = Array.from({ length: search.settings.trials }, (_, index) => ({
+            id: index + 1,
+            params: this.sampleParams(search.modelType),
+            results: [],
+            score: null,
+            epochs: null
+        }));
+
+        let candidates = search.trials;
+        for (const [rungIndex, rung] of search.rungs.entries()) {
+            const entrants = candidates.slice(0, rung.trials);
+            rung.startedAt = Date.now();
+
+            await Promise.all(entrants.map(trial => this.runTrial(search, trial, rungIndex, rung.epochs)));
+            rung.completedAt = Date.now();
+
+            if (search.status !== 'running') {
+                return;
+            }
+
+            // Lower validation loss is better; failed trials drop out
+            candidates = entrants
+                .filter(trial => trial.epochs === rung.epochs && trial.score !== null)
+                .sort((a, b) => a.score - b.score);
+            if (candidates.length === 0) {
+                throw new Error(`Every trial failed in rung ${rungIndex + 1}`);
+            }
+
+            Logger.info(`Hyperparameter search rung ${rungIndex + 1}/${search.rungs.length} done`, {
+                searchId: search.id,
+                epochs: rung.epochs,
+                scored: candidates.length,
+                bestScore: candidates[0].score
+            });
+        }
+
+        await this.finish(search);
+    }
+
+    async runTrial(search, trial, rungIndex, epochs) {
+        const result = { rung: rungIndex, epochs, jobId: null, status: 'queued', score: null };
+        trial.results.push(result);
+
+        try {
+            result.jobId = await this.trainingQueue.addTrainingJob(search.pair, search.modelType, {
+                source: 'hpo',
+                priority: this.settings.priority,
+                maxAttempts: 1,
+                cooldown: false,
+                jobKey: `${search.id}-t${trial.id}-r${rungIndex}`,
+                trial: {
+                    searchId: search.id,
+                    trialId: trial.id,
+                    params: trial.params,
+                    epochs,
+                    folds: search.settings.folds
+                }
+            });
+        } catch (error) {
+            result.status = 'failed';
+            result.error = error.message;
+            return;
+        }
+
+        const { job, status } = await this.waitForJob(result.jobId);
+        result.status = status;
+        if (status === 'completed' && job.result) {
+            result.score = job.result.score;
+            result.scoreStd = job.result.scoreStd;
+            result.folds = job.result.folds;
+            result.metrics = job.result.metrics;
+            result.metricsStd = job.result.metricsStd;
+            trial.score = result.score;
+            trial.epochs = epochs;
+        } else {
+            result.error = job.error || job.cancelReason || null;
+        }
+    }
+
+    // Resolves with the job and its final status
+    waitForJob(jobId) {
+        const job = this.trainingQueue.getJob(jobId);
+        if (job && this.trainingQueue.isFinalStatus(job.status)) {
+            return Promise.resolve({ job, status: job.status });
+        }
+
+        return new Promise(resolve => {
+            const listener = event => {
+                if (event.jobId === jobId && event.type === 'status' && this.trainingQueue.isFinalStatus(event.status)) {
+                    this.trainingQueue.off('event', listener);
+                    resolve({ job: this.trainingQueue.getJob(jobId) || job, status: event.status });
+                }
+            };
+            this.trainingQueue.on('event', listener);
+        });
+    }
+
+    // Persist the winner as the pair/model's best config and merge the scored
+    // trials into its leaderboard (longest budget first, then score)
+    async finish(search) {
+        const entries = search.trials
+            .filter(trial => trial.score !== null)
+            .map(trial => {
+                const result = trial.results[trial.results.length - 1];
+                return {
+                    searchId: search.id,
+                    method: search.method,
+                    trialId: trial.id,
+                    params: trial.params,
+                    score: trial.score,
+                    scoreStd: result.scoreStd ?? null,
+                    epochs: trial.epochs,
+                    metrics: result.metrics || null,
+                    metricsStd: result.metricsStd || null,
+                    completedAt: Date.now()
+                };
+            })
+            .sort((a, b) => b.epochs - a.epochs || a.score - b.score);
+
+        const previous = this.storage.getHyperparameters(search.pair, search.modelType) || {};
+        const leaderboard = [...entries, ...(previous.leaderboard || [])]
+            .sort((a, b) => b.epochs - a.epochs || a.score - b.score)
+            .slice(0, this.settings.leaderboardSize);
+
+        search.best = { ...entries[0], selectedAt: Date.now() };
+        search.status = 'completed';
+        search.completedAt = Date.now();
+
+        await this.storage.saveHyperparameters(search.pair, search.modelType, {
+            best: search.best,
+            leaderboard,
+            searches: [...(previous.searches || []), this.summarize(search)].slice(-10)
+        });
+
+        Logger.info(`Hyperparameter search completed for ${search.pair}:${search.modelType}`, {
+            searchId: search.id,
+            bestScore: search.best.score,
+            bestParams: search.best.params
+        });
+    }
+
+    summarize(search) {
+        return {
+            id: search.id,
+            pair: search.pair,
+            modelType: search.modelType,
+            method: search.method,
+            status: search.status,
+            settings: search.settings,
+            trials: search.trials.length,
+            bestScore: search.best ? search.best.score : null,
+            error: search.error || null,
+            createdAt: search.createdAt,
+            completedAt: search.completedAt || null
+        };
+    }
+
+    // The configured space, with sequence lengths limited to the serving window
+    getSpace(modelType) {
+        const space = this.settings.space[modelType];
+        if (!space) {
+            throw new Error(`No hyperparameter search space for model type: ${modelType}`);
+        }
+
+        if (!Array.isArray(space.sequenceLength)) {
+            return space;
+        }
+        const sequenceLengths = space.sequenceLength.filter(length => length <= this.maxSequenceLength);
+        return {
+            ...space,
+            sequenceLength: sequenceLengths.length > 0 ? sequenceLengths : [this.maxSequenceLength]
+        };
+    }
+
+    // Arrays are choices; { min, max } ranges are sampled uniformly, or
+    // log-uniformly with log: true, and rounded with integer: true
+    sampleParams(modelType) {
+        const params = {};
+        Object.entries(this.getSpace(modelType)).forEach(([name, spec]) => {
+            params[name] = this.sampleValue(spec);
+        });
+        return params;
+    }
+
+    sampleValue(spec) {
+        if (Array.isArray(spec)) {
+            return spec[Math.floor(Math.random() * spec.length)];
+        }
+        if (!spec || typeof spec !== 'object') {
+            return spec;
+        }
+
+        const value = spec.log ?
+            Math.exp(Math.log(spec.min) + Math.random() * (Math.log(spec.max) - Math.log(spec.min))) :
+            spec.min + Math.random() * (spec.max - spec.min);
+        return spec.integer ? Math.round(value) : Number(value.toPrecision(4));
+    }
+}
+
+module.exports = HyperparameterSearch;
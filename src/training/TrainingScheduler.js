@@ -0,0 +1,195 @@
+const { Logger } = require('../utils');
+
+const QUIET_ACTIONS = ['defer', 'pause'];
+const MINUTES_PER_DAY = 24 * 60;
+
+// When queued training may start, and the order periodic cycles visit pairs in:
+//  - trainingWindow: heavy jobs (config.source in heavySources) only start
+//    inside it; light periodic updates can start at any time
+//  - quietHours: no job starts. With action 'pause', running jobs are also
+//    stopped and requeued, restarting from scratch once quiet hours end
+//  - priorityPairs: visited first, in the listed order; the other pairs
+//    follow, least recently trained first
+// Windows are 'HH:MM' times of day in their timezone and may wrap past
+// midnight (start > end). Times of day ignore DST shifts inside a day.
+class TrainingScheduler {
+    constructor(config = {}) {
+        this.enabled = config.enabled !== false;
+        this.trainingWindow = this.parseWindow(config.trainingWindow, 'trainingWindow');
+        this.quietHours = this.parseWindow(config.quietHours, 'quietHours');
+        this.quietAction = (config.quietHours && config.quietHours.action) || 'defer';
+        this.priorityPairs = (config.priorityPairs || []).map(pair => pair.toUpperCase());
+        this.heavySources = config.heavySources || ['manual', 'hpo'];
+
+        if (!QUIET_ACTIONS.includes(this.quietAction)) {
+            throw new Error(`Unknown quietHours action: ${this.quietAction}. Use one of ${QUIET_ACTIONS.join(', ')}`);
+        }
+
+        Logger.info('TrainingScheduler initialized', {
+            enabled: this.enabled,
+            trainingWindow: config.trainingWindow || null,
+            quietHours: config.quietHours || null,
+            priorityPairs: this.priorityPairs
+        });
+    }
+
+    // { start, end, timezone } -> { start, end, timezone, startMinute, endMinute } or null
+    parseWindow(window, name) {
+        if (!window) {
+            return null;
+        }
+
+        const timezone = window.timezone || 'UTC';
+        // Throws a RangeError for unknown zones
+        new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+
+        const toMinute = (time) => {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+            if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+                throw new Error(`Invalid ${name} time: ${time} (expected HH:MM)`);
+            }
+            return Number(match[1]) * 60 + Number(match[2]);
+        };
+
+        return {
+            start: window.start,
+            end: window.end,
+            timezone,
+            startMinute: toMinute(window.start),
+            endMinute: toMinute(window.end)
+        };
+    }
+
+    // Minute of the day at `time` in the timezone
+    minuteOfDay(time, timezone) {
+        const parts = new Intl.DateTimeFormat('en-GB', {
+            timeZone: timezone,
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(time));
+        const value = type => Number(parts.find(part => part.type === type).value);
+
+        return value('hour') * 60 + value('minute');
+    }
+
+    isInside(window, time) {
+        const minute = this.minuteOfDay(time, window.timezone);
+        if (window.startMinute <= window.endMinute) {
+            return minute >= window.startMinute && minute < window.endMinute;
+        }
+        return minute >= window.startMinute || minute < window.endMinute;
+    }
+
+    // Next time (ms) at or after `time` the window's clock reads `minute`
+    nextMinute(window, minute, time) {
+        const delta = (minute - this.minuteOfDay(time, window.timezone) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+        return time - (time % 60000) + delta * 60000;
+    }
+
+    isQuiet(time = Date.now()) {
+        return this.enabled && !!this.quietHours && this.isInside(this.quietHours, time);
+    }
+
+    isWindowOpen(time = Date.now()) {
+        return !this.trainingWindow || this.isInside(this.trainingWindow, time);
+    }
+
+    isHeavy(job) {
+        return this.heavySources.includes(job.config && job.config.source);
+    }
+
+    // Whether a queued job may start now -> { allowed } or { allowed: false, reason, until }
+    canStart(job, time = Date.now()) {
+        if (!this.enabled) {
+            return { allowed: true };
+        }
+
+        if (this.isQuiet(time)) {
+            return {
+                allowed: false,
+                reason: 'quiet_hours',
+                until: this.nextMinute(this.quietHours, this.quietHours.endMinute, time)
+            };
+        }
+
+        if (this.isHeavy(job) && !this.isWindowOpen(time)) {
+            const opensAt = this.nextMinute(this.trainingWindow, this.trainingWindow.startMinute, time);
+            // Quiet hours covering the opening push the start back
+            return {
+                allowed: false,
+                reason: 'outside_training_window',
+                until: this.isQuiet(opensAt) ?
+                    this.nextMinute(this.quietHours, this.quietHours.endMinute, opensAt) :
+                    opensAt
+            };
+        }
+
+        return { allowed: true };
+    }
+
+    // True while running jobs should be stopped and requeued
+    shouldPause(time = Date.now()) {
+        return this.quietAction === 'pause' && this.isQuiet(time);
+    }
+
+    // Priority pairs first (config order), then the rest least recently trained
+    // first. getLastTrainedAt(pair) returns a timestamp or 0 when never trained.
+    orderPairs(pairs, getLastTrainedAt = () => 0) {
+        const rank = pair => {
+            const index = this.priorityPairs.indexOf(pair.toUpperCase());
+            return index === -1 ? this.priorityPairs.length : index;
+        };
+
+        return [...pairs].sort((a, b) =>
+            rank(a) - rank(b) ||
+            getLastTrainedAt(a) - getLastTrainedAt(b) ||
+            a.localeCompare(b)
+        );
+    }
+
+    // The next `count` periodic ticks from firstTick, each marked with whether
+    // the cycle runs or is skipped for quiet hours
+    planPeriodicRuns(firstTick, interval, count = 3) {
+        return Array.from({ length: count }, (_, index) => {
+            const at = firstTick + index * interval;
+            const quiet = this.isQuiet(at);
+            return {
+                at: new Date(at).toISOString(),
+                runs: !quiet,
+                reason: quiet ? 'quiet_hours' : null
+            };
+        });
+    }
+
+    describeWindow(window, time) {
+        if (!window) {
+            return null;
+        }
+
+        const active = this.isInside(window, time);
+        return {
+            start: window.start,
+            end: window.end,
+            timezone: window.timezone,
+            active,
+            nextChange: new Date(
+                this.nextMinute(window, active ? window.endMinute : window.startMinute, time)
+            ).toISOString()
+        };
+    }
+
+    getStatus(time = Date.now()) {
+        return {
+            enabled: this.enabled,
+            heavySources: this.heavySources,
+            priorityPairs: this.priorityPairs,
+            trainingWindow: this.describeWindow(this.trainingWindow, time),
+            quietHours: this.quietHours ?
+                { ...this.describeWindow(this.quietHours, time), action: this.quietAction } :
+                null
+        };
+    }
+}
+
+module.exports = TrainingScheduler;
@@ -0,0 +1,214 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { Logger } = require('../utils');
+
+const WORKER_SCRIPT = path.join(__dirname, 'trainingWorker.js');
+
+// Runs model.fit in worker_threads so training never blocks the event loop
+// that serves predictions. Workers start on demand up to `size`, each with its
+// own TF.js backend, and are reused across tasks. Tensors and weights cross
+// the thread boundary as transferred typed arrays.
+class TrainingWorkerPool {
+    constructor(config = {}) {
+        this.size = Math.max(1, config.size || 1);
+        this.workers = []; // { worker, id, busy, task }
+        this.pending = []; // Tasks waiting for a free worker
+        this.nextTaskId = 1;
+        this.completedTasks = 0;
+        this.failedTasks = 0;
+        this.cancelledTasks = 0;
+        this.isShutdown = false;
+
+        Logger.info('TrainingWorkerPool initialized', { size: this.size });
+    }
+
+    // task: { modelType, modelConfig, trainingConfig, initialWeights, outputHead,
+    //         data: { trainX, trainY, validationX, validationY } } with tensors
+    //         and weights as { values, shape, dtype }
+    // options: { onProgress(progress), signal } - aborting the signal drops a
+    // waiting task, or stops a running one after its current batch
+    // Resolves to { weights, history, outputHead, backend, threadId, durationMs };
+    // history.cancelled is set when the run was stopped early
+    train(task, options = {}) {
+        if (this.isShutdown) {
+            return Promise.reject(new Error('Training worker pool is shut down'));
+        }
+        const signal = options.signal || null;
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => this.cancel(pendingTask, signal.reason);
+            const settle = callback => value => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                callback(value);
+            };
+
+            const pendingTask = {
+                ...task,
+                taskId: this.nextTaskId++,
+                // Shared with the worker, which polls it after every batch
+                cancelFlag: new Int32Array(new SharedArrayBuffer(4)),
+                onProgress: options.onProgress || null,
+                resolve: settle(resolve),
+                reject: settle(reject)
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            this.pending.push(pendingTask);
+            this.dispatch();
+        });
+    }
+
+    // Waiting tasks are rejected with `reason`; a running task is flagged and
+    // resolves with the partially trained weights once the worker stops
+    cancel(task, reason) {
+        const index = this.pending.indexOf(task);
+        if (index !== -1) {
+            this.pending.splice(index, 1);
+            task.reject(reason);
+            return;
+        }
+        Atomics.store(task.cancelFlag, 0, 1);
+    }
+
+    dispatch() {
+        while (this.pending.length > 0) {
+            let entry = this.workers.find(candidate => !candidate.busy);
+            if (!entry && this.workers.length < this.size) {
+                entry = this.spawnWorker();
+            }
+            if (!entry) {
+                return; // Every worker is busy
+            }
+
+            const task = this.pending.shift();
+            const { onProgress, resolve, reject, ...message } = task;
+            entry.busy = true;
+            entry.task = task;
+            entry.worker.ref();
+            entry.worker.postMessage({ type: 'train', ...message }, this.getTransferList(message));
+        }
+    }
+
+    spawnWorker() {
+        const worker = new Worker(WORKER_SCRIPT);
+        const entry = { worker, id: worker.threadId, busy: false, task: null };
+
+        worker.on('message', message => this.handleMessage(entry, message));
+        worker.on('error', error => this.handleWorkerFailure(entry, error));
+        worker.on('exit', code => {
+            if (!this.isShutdown && code !== 0) {
+                this.handleWorkerFailure(entry, new Error(`Training worker exited with code ${code}`));
+            }
+        });
+
+        this.workers.push(entry);
+        Logger.info('Training worker started', { threadId: entry.id, workers: this.workers.length });
+        return entry;
+    }
+
+    handleMessage(entry, message) {
+        const task = entry.task;
+        if (!task || message.taskId !== task.taskId) {
+            return;
+        }
+
+        if (message.type === 'progress') {
+            if (task.onProgress) {
+                task.onProgress(message.progress);
+            }
+            return;
+        }
+
+        this.releaseWorker(entry);
+        if (message.type === 'result') {
+            if (message.result.history.cancelled) {
+                this.cancelledTasks++;
+            } else {
+                this.completedTasks++;
+            }
+            task.resolve(message.result);
+        } else {
+            this.failedTasks++;
+            const error = new Error(message.error.message);
+            error.workerStack = message.error.stack;
+            task.reject(error);
+        }
+        this.dispatch();
+    }
+
+    // A crashed worker is dropped; its task fails and the next task gets a fresh worker
+    handleWorkerFailure(entry, error) {
+        const index = this.workers.indexOf(entry);
+        if (index === -1) {
+            return;
+        }
+        this.workers.splice(index, 1);
+
+        Logger.error('Training worker failed', { threadId: entry.id, error: error.message });
+
+        if (entry.task) {
+            this.failedTasks++;
+            entry.task.reject(error);
+            entry.task = null;
+        }
+        entry.worker.terminate().catch(() => {});
+        this.dispatch();
+    }
+
+    releaseWorker(entry) {
+        entry.busy = false;
+        entry.task = null;
+        // Idle workers do not keep the process alive
+        entry.worker.unref();
+    }
+
+    getTransferList(message) {
+        const arrays = [
+            ...Object.values(message.data || {}),
+            ...(message.initialWeights || [])
+        ];
+        return arrays.filter(Boolean).map(array => array.values.buffer);
+    }
+
+    getStatus() {
+        return {
+            size: this.size,
+            workers: this.workers.map(entry => ({
+                threadId: entry.id,
+                busy: entry.busy,
+                modelType: entry.task ? entry.task.modelType : null
+            })),
+            busy: this.workers.filter(entry => entry.busy).length,
+            pending: this.pending.length,
+            completedTasks: this.completedTasks,
+            failedTasks: this.failedTasks,
+            cancelledTasks: this.cancelledTasks
+        };
+    }
+
+    async shutdown() {
+        this.isShutdown = true;
+
+        this.pending.forEach(task => task.reject(new Error('Training worker pool shut down')));
+        this.pending = [];
+
+        await Promise.all(this.workers.map(entry => {
+            if (entry.task) {
+                entry.task.reject(new Error('Training worker pool shut down'));
+            }
+            return entry.worker.terminate();
+        }));
+        this.workers = [];
+
+        Logger.info('TrainingWorkerPool shut down');
+    }
+}
+
+module.exports = TrainingWorkerPool;
@@ -0,0 +1,130 @@
+// Worker thread entry for TrainingWorkerPool. Each worker has its own TF.js
+// engine and backend; it rebuilds the model from its config and starting
+// weights, trains on the transferred tensors and posts progress per epoch,
+// then the trained weights and history. Training stops after the current batch
+// once the main thread sets the task's shared cancel flag.
+
+const { parentPort, threadId } = require('worker_threads');
+const tf = require('@tensorflow/tfjs');
+const LSTMModel = require('../models/LSTMModel');
+const GRUModel = require('../models/GRUModel');
+const CNNModel = require('../models/CNNModel');
+const TransformerModel = require('../models/TransformerModel');
+const { freezeLowerLayers, unfreezeLayers, recompile } = require('../utils/LayerFreezing');
+
+const MODEL_CLASSES = {
+    lstm: LSTMModel,
+    gru: GRUModel,
+    cnn: CNNModel,
+    transformer: TransformerModel
+};
+
+// { values, shape } -> tf.Tensor (null stays null)
+function toTensor(data) {
+    return data ? tf.tensor(data.values, data.shape, data.dtype || 'float32') : null;
+}
+
+async function train(task) {
+    const startTime = Date.now();
+    const ModelClass = MODEL_CLASSES[task.modelType];
+    if (!ModelClass) {
+        throw new Error(`Unknown model type: ${task.modelType}`);
+    }
+
+    const modelWrapper = new ModelClass(task.modelConfig);
+    await modelWrapper.initializeTensorFlow();
+
+    if (task.outputHead && modelWrapper.outputHead) {
+        modelWrapper.outputHead.restore(task.outputHead);
+    }
+    modelWrapper.buildModel();
+    modelWrapper.compileModel();
+
+    // Continue from the main thread's current weights (fine-tuning)
+    if (task.initialWeights) {
+        const initialTensors = task.initialWeights.map(toTensor);
+        modelWrapper.model.setWeights(initialTensors);
+        initialTensors.forEach(tensor => tensor.dispose());
+    }
+
+    // trainingConfig.freezeLayers keeps the lowest layers at their starting weights
+    const frozenLayers = freezeLowerLayers(modelWrapper.model, task.trainingConfig.freezeLayers);
+    if (frozenLayers.length > 0) {
+        recompile(modelWrapper);
+    }
+
+    const tensors = {
+        trainX: toTensor(task.data.trainX),
+        trainY: toTensor(task.data.trainY),
+        validationX: toTensor(task.data.validationX),
+        validationY: toTensor(task.data.validationY)
+    };
+
+    try {
+        const history = await modelWrapper.train(
+            tensors.trainX,
+            tensors.trainY,
+            tensors.validationX,
+            tensors.validationY,
+            {
+                ...task.trainingConfig,
+                shouldStop: () => Atomics.load(task.cancelFlag, 0) === 1,
+                onEpochEnd: (epoch, logs, epochs) => {
+                    parentPort.postMessage({
+                        type: 'progress',
+                        taskId: task.taskId,
+                        progress: { epoch: epoch + 1, epochs, logs: { ...logs } }
+                    });
+                }
+            }
+        );
+
+        // Back in the main thread's weight order
+        unfreezeLayers(frozenLayers);
+
+        // Copies: the buffers are transferred to the main thread
+        const weights = modelWrapper.model.getWeights().map(tensor => ({
+            values: tensor.dataSync().slice(),
+            shape: tensor.shape,
+            dtype: tensor.dtype
+        }));
+
+        return {
+            weights,
+            history: {
+                epoch: history.epoch,
+                history: history.history,
+                finalMetrics: history.finalMetrics,
+                modelType: history.modelType,
+                cancelled: !!history.cancelled
+            },
+            outputHead: modelWrapper.outputHead ? modelWrapper.outputHead.toJSON() : null,
+            backend: tf.getBackend(),
+            threadId,
+            durationMs: Date.now() - startTime
+        };
+    } finally {
+        Object.values(tensors).forEach(tensor => tensor && tensor.dispose());
+        modelWrapper.dispose();
+    }
+}
+
+parentPort.on('message', async (task) => {
+    if (task.type !== 'train') {
+        return;
+    }
+
+    try {
+        const result = await train(task);
+        parentPort.postMessage(
+            { type: 'result', taskId: task.taskId, result },
+            result.weights.map(weight => weight.values.buffer)
+        );
+    } catch (error) {
+        parentPort.postMessage({
+            type: 'error',
+            taskId: task.taskId,
+            error: { message: error.message, stack: error.stack }
+        });
+    }
+});
@@ -0,0 +1,322 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const Logger = require('./Logger');
+const { packTar, unpackTar } = require('./TarArchive');
+
+const BACKUP_NAME_PATTERN = /^backup-[0-9TZ-]+(-[a-z0-9_]+)?$/;
+
+// Timestamped snapshots of the consolidated storage directory (and the weight
+// blobs it references) as .tar.gz archives, written on an interval and pruned
+// to a fixed number of archives. Each archive has a .manifest.json sidecar so
+// listing does not need to unpack anything.
+class BackupManager {
+    constructor(config = {}) {
+        this.mlStorage = config.mlStorage;
+
+        this.enabled = config.enabled !== false;
+        this.interval = config.interval || 86400000; // Daily
+        this.retention = config.retention || 7; // Archives kept
+        this.location = path.resolve(config.location || path.join('data', 'backups'));
+        this.includeWeights = config.includeWeights !== false;
+
+        this.timer = null;
+        this.isRunning = false;
+        this.lastBackup = null;
+        this.lastError = null;
+
+        if (!this.mlStorage) {
+            throw new Error('BackupManager requires mlStorage');
+        }
+
+        if (!fs.existsSync(this.location)) {
+            fs.mkdirSync(this.location, { recursive: true });
+        }
+
+        Logger.info('BackupManager initialized', {
+            enabled: this.enabled,
+            interval: this.interval / 1000 + ' seconds',
+            retention: this.retention,
+            location: this.location,
+            includeWeights: this.includeWeights
+        });
+    }
+
+    start() {
+        if (this.timer || !this.enabled) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.createBackup({ reason: 'scheduled' }).catch(error => {
+                Logger.error('Scheduled backup failed', { error: error.message });
+            });
+        }, this.interval);
+
+        Logger.info('Scheduled backups started');
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            Logger.info('Scheduled backups stopped');
+        }
+    }
+
+    // Snapshot every stored pair; returns the backup's manifest
+    async createBackup(options = {}) {
+        if (this.isRunning) {
+            throw new Error('A backup or restore is already running');
+        }
+
+        this.isRunning = true;
+        try {
+            // Flush cached asset data so the snapshot matches what the server holds
+            await this.mlStorage.forceSave();
+
+            const createdAt = new Date();
+            const reason = options.reason || 'manual';
+            const name = `backup-${createdAt.toISOString().replace(/[:.]/g, '-')}-${reason}`;
+            const pairs = this.mlStorage.getStoredPairs();
+
+            const entries = [];
+            pairs.forEach(pair => {
+                entries.push({
+                    name: `consolidated/${path.basename(this.mlStorage.getAssetFilePath(pair))}`,
+                    data: fs.readFileSync(this.mlStorage.getAssetFilePath(pair))
+                });
+
+                if (this.includeWeights) {
+                    this.getReferencedBlobs(pair).forEach(blob => {
+                        const blobPath = path.join(this.mlStorage.getPairBlobDir(pair), blob);
+                        if (fs.existsSync(blobPath)) {
+                            entries.push({
+                                name: `blobs/${pair.toLowerCase()}/${blob}`,
+                                data: fs.readFileSync(blobPath)
+                            });
+                        }
+                    });
+                }
+            });
+
+            const manifest = {
+                name,
+                createdAt: createdAt.getTime(),
+                reason,
+                pairs,
+                includeWeights: this.includeWeights,
+                files: entries.map(entry => ({
+                    name: entry.name,
+                    size: entry.data.length,
+                    sha256: crypto.createHash('sha256').update(entry.data).digest('hex')
+                }))
+            };
+            entries.unshift({ name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest, null, 2)) });
+
+            const archive = zlib.gzipSync(packTar(entries));
+            const archivePath = this.getArchivePath(name);
+            fs.writeFileSync(`${archivePath}.tmp`, archive);
+            fs.renameSync(`${archivePath}.tmp`, archivePath);
+
+            manifest.sizeBytes = archive.length;
+            fs.writeFileSync(this.getManifestPath(name), JSON.stringify(manifest, null, 2));
+
+            this.lastBackup = { name, createdAt: manifest.createdAt, reason, sizeBytes: archive.length };
+            this.lastError = null;
+
+            Logger.info('Backup created', {
+                name,
+                pairs: pairs.length,
+                files: manifest.files.length,
+                sizeBytes: archive.length
+            });
+
+            this.pruneBackups();
+
+            return manifest;
+        } catch (error) {
+            this.lastError = { message: error.message, at: Date.now() };
+            throw error;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    // Restore one pair (options.pair) or every pair in the backup. The current
+    // state is snapshotted first so a restore can itself be undone. A backup
+    // taken without weights is only restored while every blob its asset files
+    // reference is still on disk; otherwise nothing is written and the result
+    // lists the missing blobs (restored: false).
+    async restoreBackup(name, options = {}) {
+        const manifest = this.getBackup(name);
+        if (!manifest) {
+            return null;
+        }
+
+        const pairs = options.pair ? [options.pair.toUpperCase()] : manifest.pairs;
+        const missing = pairs.filter(pair => !manifest.pairs.includes(pair));
+        if (missing.length > 0) {
+            throw new Error(`Backup ${name} does not contain ${missing.join(', ')}`);
+        }
+
+        // Read and verify before touching live storage (the safety backup below may
+        // prune this archive when it is the oldest one kept)
+        const entries = unpackTar(zlib.gunzipSync(fs.readFileSync(this.getArchivePath(name))));
+        const files = new Map(entries.map(entry => [entry.name, entry.data]));
+        manifest.files.forEach(file => {
+            const data = files.get(file.name);
+            if (!data || crypto.createHash('sha256').update(data).digest('hex') !== file.sha256) {
+                throw new Error(`Backup ${name} is corrupt: ${file.name} failed verification`);
+            }
+        });
+
+        const missingBlobs = this.findMissingBlobs(pairs, files);
+        if (missingBlobs.length > 0) {
+            Logger.warn('Backup restore refused: weight blobs missing', { name, missingBlobs });
+            return {
+                name,
+                pairs,
+                restored: false,
+                missingBlobs,
+                includeWeights: manifest.includeWeights
+            };
+        }
+
+        const safetyBackup = await this.createBackup({ reason: 'pre_restore' });
+
+        this.isRunning = true;
+        try {
+            let restoredFiles = 0;
+            pairs.forEach(pair => {
+                const prefix = pair.toLowerCase();
+
+                // Blobs first, so the restored asset file never references a missing blob
+                for (const [entryName, data] of files.entries()) {
+                    if (entryName.startsWith(`blobs/${prefix}/`)) {
+                        const pairBlobDir = this.mlStorage.getPairBlobDir(pair);
+                        if (!fs.existsSync(pairBlobDir)) {
+                            fs.mkdirSync(pairBlobDir, { recursive: true });
+                        }
+                        this.writeFileAtomic(path.join(pairBlobDir, path.basename(entryName)), data);
+                        restoredFiles++;
+                    }
+                }
+
+                const assetFile = path.basename(this.mlStorage.getAssetFilePath(pair));
+                this.writeFileAtomic(this.mlStorage.getAssetFilePath(pair), files.get(`consolidated/${assetFile}`));
+                this.mlStorage.assetDataCache.delete(pair);
+                restoredFiles++;
+            });
+
+            Logger.info('Backup restored', { name, pairs, restoredFiles, safetyBackup: safetyBackup.name });
+
+            return {
+                name,
+                pairs,
+                restored: true,
+                restoredFiles,
+                includeWeights: manifest.includeWeights,
+                safetyBackup: safetyBackup.name,
+                restoredAt: Date.now()
+            };
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    // Newest first
+    listBackups() {
+        return fs.readdirSync(this.location)
+            .filter(file => file.endsWith('.tar.gz'))
+            .map(file => this.getBackup(file.replace(/\.tar\.gz$/, '')))
+            .filter(Boolean)
+            .map(({ files, ...summary }) => ({ ...summary, fileCount: files.length }))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    getBackup(name) {
+        if (!BACKUP_NAME_PATTERN.test(name) || !fs.existsSync(this.getArchivePath(name))) {
+            return null;
+        }
+
+        const manifestPath = this.getManifestPath(name);
+        if (fs.existsSync(manifestPath)) {
+            return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        }
+
+        // Sidecar lost: read the manifest from the archive itself
+        const entries = unpackTar(zlib.gunzipSync(fs.readFileSync(this.getArchivePath(name))));
+        const manifestEntry = entries.find(entry => entry.name === 'manifest.json');
+        return manifestEntry ? JSON.parse(manifestEntry.data.toString('utf8')) : null;
+    }
+
+    pruneBackups() {
+        const backups = this.listBackups();
+        const removed = backups.slice(this.retention);
+
+        removed.forEach(backup => {
+            fs.unlinkSync(this.getArchivePath(backup.name));
+            if (fs.existsSync(this.getManifestPath(backup.name))) {
+                fs.unlinkSync(this.getManifestPath(backup.name));
+            }
+        });
+
+        if (removed.length > 0) {
+            Logger.info('Old backups pruned', { removed: removed.map(backup => backup.name) });
+        }
+        return removed.length;
+    }
+
+    // Blobs the backed-up asset files reference that are neither in the archive
+    // nor on disk -> [{ pair, blob }]
+    findMissingBlobs(pairs, files) {
+        return pairs.flatMap(pair => {
+            const assetFile = path.basename(this.mlStorage.getAssetFilePath(pair));
+            const assetData = JSON.parse(files.get(`consolidated/${assetFile}`).toString('utf8'));
+
+            return this.getReferencedBlobs(pair, assetData)
+                .filter(blob =>
+                    !files.has(`blobs/${pair.toLowerCase()}/${blob}`) &&
+                    !fs.existsSync(path.join(this.mlStorage.getPairBlobDir(pair), blob))
+                )
+                .map(blob => ({ pair, blob }));
+        });
+    }
+
+    getReferencedBlobs(pair, assetData = this.mlStorage.loadAssetData(pair)) {
+        return [...new Set(this.mlStorage.getWeightRecords(assetData)
+            .filter(record => record.weights.format === 'binary')
+            .map(record => record.weights.blob))];
+    }
+
+    getArchivePath(name) {
+        return path.join(this.location, `${name}.tar.gz`);
+    }
+
+    getManifestPath(name) {
+        return path.join(this.location, `${name}.manifest.json`);
+    }
+
+    writeFileAtomic(filePath, data) {
+        fs.writeFileSync(`${filePath}.tmp`, data);
+        fs.renameSync(`${filePath}.tmp`, filePath);
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            running: !!this.timer,
+            isRunning: this.isRunning,
+            interval: this.interval,
+            retention: this.retention,
+            location: this.location,
+            includeWeights: this.includeWeights,
+            lastBackup: this.lastBackup,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = BackupManager;
@@ -0,0 +1,44 @@
+// Freezing the lower layers of a TF.js LayersModel for fine-tuning.
+//
+// Changing `trainable` only takes effect when the model is compiled again.
+// It also reorders getWeights() (trainable weights come first), so layers
+// must be unfrozen before weights are read back or copied to another model.
+
+// Freeze the lowest `count` layers that have weights. The last of them (the
+// output layer) always stays trainable. Returns the frozen layers.
+function freezeLowerLayers(model, count) {
+    if (!count || count <= 0) {
+        return [];
+    }
+
+    const weightedLayers = model.layers.filter(layer => layer.trainable && layer.weights.length > 0);
+    const frozen = weightedLayers.slice(0, Math.min(count, weightedLayers.length - 1));
+    frozen.forEach(layer => {
+        layer.trainable = false;
+    });
+
+    return frozen;
+}
+
+function unfreezeLayers(layers) {
+    layers.forEach(layer => {
+        layer.trainable = true;
+    });
+}
+
+// Compile a model wrapper again (picking up trainable changes and its current
+// learning rate) and dispose the optimizer the previous compile created: a
+// model does not own the optimizer passed to compile(), so it would leak.
+function recompile(modelWrapper) {
+    const previousOptimizer = modelWrapper.model.optimizer;
+    modelWrapper.compileModel();
+    if (previousOptimizer && previousOptimizer !== modelWrapper.model.optimizer) {
+        previousOptimizer.dispose();
+    }
+}
+
+module.exports = {
+    freezeLowerLayers,
+    unfreezeLayers,
+    recompile
+};
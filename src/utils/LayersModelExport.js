@@ -0,0 +1,46 @@
+// Serializes a built tf.LayersModel to the standard TF.js layers format, so
+// the browser dashboard or another service can load it with tf.loadLayersModel:
+// model.json (topology, weights manifest, userDefinedMetadata) + one weights.bin
+
+const tf = require('@tensorflow/tfjs');
+
+const WEIGHTS_FILE = 'weights.bin';
+
+// -> { modelJson, weightData: Buffer }
+async function toLayersModelArtifacts(model, userDefinedMetadata = {}) {
+    let artifacts = null;
+
+    await model.save(tf.io.withSaveHandler(async saved => {
+        artifacts = saved;
+        return {
+            modelArtifactsInfo: {
+                dateSaved: new Date(),
+                modelTopologyType: 'JSON'
+            }
+        };
+    }), { includeOptimizer: false });
+
+    const weightData = Array.isArray(artifacts.weightData) ?
+        tf.io.CompositeArrayBuffer.join(artifacts.weightData) :
+        artifacts.weightData;
+
+    const modelJson = {
+        format: artifacts.format,
+        generatedBy: artifacts.generatedBy,
+        convertedBy: artifacts.convertedBy,
+        modelTopology: artifacts.modelTopology,
+        // Relative path: loaders resolve it against model.json's URL
+        weightsManifest: [{
+            paths: [WEIGHTS_FILE],
+            weights: artifacts.weightSpecs
+        }],
+        userDefinedMetadata
+    };
+
+    return { modelJson, weightData: Buffer.from(weightData) };
+}
+
+module.exports = {
+    WEIGHTS_FILE,
+    toLayersModelArtifacts
+};
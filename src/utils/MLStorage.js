@@ -1,14 +1,39 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// Typed array per stored tensor dtype
+const WEIGHT_ARRAY_TYPES = {
+    float32: Float32Array,
+    int32: Int32Array
+};
+
+// Unreferenced blobs younger than this are kept - they may belong to a record
+// that is being built and not saved yet
+const BLOB_GC_GRACE_MS = 10 * 60 * 1000;
 
 class MLStorage {
     constructor(config = {}) {
         this.baseDir = config.baseDir || path.join(process.cwd(), 'data', 'ml');
         this.consolidatedDir = path.join(this.baseDir, 'consolidated');
+        this.blobDir = path.join(this.baseDir, 'blobs'); // Binary weight blobs, one directory per pair
         
         this.saveInterval = config.saveInterval || 300000;
         this.maxAgeHours = config.maxAgeHours || 168;
         this.enableCache = config.enableCache !== false;
+        this.maxPreviousChampions = config.maxPreviousChampions || 3; // Champions kept for rollback
+        this.maxRegistryVersions = config.maxRegistryVersions || 10; // Untagged versions kept per model type
+        
+        // Weight blob compression ({ enabled, algorithm, level }); gzip is the only algorithm
+        const compression = config.compression || {};
+        if (compression.enabled && compression.algorithm && compression.algorithm !== 'gzip') {
+            console.warn(`⚠️ Unsupported weight compression "${compression.algorithm}" - storing blobs uncompressed`);
+        }
+        this.compression = compression.enabled && (compression.algorithm || 'gzip') === 'gzip' ? {
+            algorithm: 'gzip',
+            level: compression.level ?? 6
+        } : null;
         
         this.assetDataCache = new Map();
         
@@ -29,7 +54,7 @@ class MLStorage {
     
     initializeDirectories() {
         // ONLY create consolidated directory - no legacy dirs
-        const dirs = [this.baseDir, this.consolidatedDir];
+        const dirs = [this.baseDir, this.consolidatedDir, this.blobDir];
         
         dirs.forEach(dir => {
             if (!fs.existsSync(dir)) {
@@ -57,6 +82,17 @@ class MLStorage {
         return path.join(this.consolidatedDir, `${pair.toLowerCase()}_complete.json`);
     }
     
+    // Pairs that have a consolidated asset file
+    getStoredPairs() {
+        if (!fs.existsSync(this.consolidatedDir)) {
+            return [];
+        }
+        
+        return fs.readdirSync(this.consolidatedDir)
+            .filter(file => file.endsWith('_complete.json'))
+            .map(file => file.replace('_complete.json', '').toUpperCase());
+    }
+    
     async writeFileAtomic(filePath, data) {
         const tempPath = `${filePath}.tmp`;
         const backupPath = `${filePath}.backup`;
@@ -134,6 +170,14 @@ class MLStorage {
                 return this.createEmptyAssetData(pair);
             }
             
+            // Files written before binary weight storage carry weights inline
+            if (this.externalizeWeights(pair, parsed) > 0) {
+                console.log(`🔄 Migrating inline weights for ${pair} to binary blobs`);
+                this.saveAssetData(pair, parsed).catch(error => {
+                    console.error(`❌ Failed to save migrated weights for ${pair}:`, error.message);
+                });
+            }
+            
             if (this.enableCache) {
                 this.assetDataCache.set(cacheKey, {
                     data: parsed,
@@ -188,6 +232,15 @@ class MLStorage {
                 lastExtraction: null,
                 featureCount: 0
             },
+            backtests: {
+                history: [],
+                lastBacktest: null,
+                totalBacktests: 0
+            },
+            challengers: {},
+            previousChampions: {},
+            promotions: {},
+            registry: {},
             metadata: {
                 createdAt: Date.now(),
                 totalModelsSaved: 0,
@@ -208,6 +261,9 @@ class MLStorage {
         assetData.metadata.consolidatedStorage = true;
         assetData.metadata.legacyMode = false;
         
+        // Weights never go into the asset JSON, only their manifest
+        this.externalizeWeights(pair, assetData);
+        
         await this.writeFileAtomic(filePath, assetData);
         
         if (this.enableCache) {
@@ -220,83 +276,279 @@ class MLStorage {
         console.log(`💾 Saved PURE consolidated data for ${pair}`);
     }
     
-    // CONSOLIDATED weight management - NO separate files
-    async saveModelWeights(pair, modelType, modelWrapper) {
-        try {
-            console.log(`🔧 STARTING consolidated weight save for ${pair}:${modelType}`);
+    // ---- Binary weight blobs ----
+    // A record's weights live in one blob under blobs/<pair>/, named by the
+    // SHA-256 of the raw bytes (so identical weights are stored once), and
+    // optionally gzipped. The record keeps only the manifest: byte range, shape,
+    // dtype and checksum of every tensor.
+    
+    getPairBlobDir(pair) {
+        return path.join(this.blobDir, pair.toLowerCase());
+    }
+    
+    // tensors: [{ values: TypedArray | number[], shape, dtype }]
+    writeWeightBlob(pair, tensors) {
+        const manifest = [];
+        const buffers = [];
+        let byteOffset = 0;
+        
+        tensors.forEach((tensor, index) => {
+            const ArrayType = WEIGHT_ARRAY_TYPES[tensor.dtype];
+            if (!ArrayType) {
+                throw new Error(`Unsupported weight dtype ${tensor.dtype} for tensor ${index}`);
+            }
             
-            const assetData = this.loadAssetData(pair);
+            const typed = tensor.values instanceof ArrayType ? tensor.values : ArrayType.from(tensor.values);
+            const buffer = Buffer.from(typed.buffer, typed.byteOffset, typed.byteLength);
             
-            const model = modelWrapper.model;
-            if (!model || !model.getWeights) {
-                throw new Error(`Invalid model object for ${pair}:${modelType}`);
+            manifest.push({
+                index: index,
+                shape: tensor.shape,
+                dtype: tensor.dtype,
+                byteOffset: byteOffset,
+                byteLength: buffer.length,
+                checksum: this.checksum(buffer)
+            });
+            buffers.push(buffer);
+            byteOffset += buffer.length;
+        });
+        
+        const raw = Buffer.concat(buffers);
+        const checksum = this.checksum(raw);
+        const stored = this.compression ? zlib.gzipSync(raw, { level: this.compression.level }) : raw;
+        const blob = `${checksum}${this.compression ? '.bin.gz' : '.bin'}`;
+        
+        const pairBlobDir = this.getPairBlobDir(pair);
+        if (!fs.existsSync(pairBlobDir)) {
+            fs.mkdirSync(pairBlobDir, { recursive: true });
+        }
+        
+        const blobPath = path.join(pairBlobDir, blob);
+        if (fs.existsSync(blobPath)) {
+            const now = new Date();
+            fs.utimesSync(blobPath, now, now); // Shared blob is in use again
+        } else {
+            const tempPath = `${blobPath}.tmp`;
+            fs.writeFileSync(tempPath, stored);
+            fs.renameSync(tempPath, blobPath);
+        }
+        
+        console.log(`💾 Weight blob written for ${pair}: ${blob} (${raw.length} bytes raw, ${stored.length} stored)`);
+        
+        return {
+            format: 'binary',
+            blob: blob,
+            compression: this.compression ? this.compression.algorithm : null,
+            byteLength: raw.length,
+            storedBytes: stored.length,
+            checksum: checksum,
+            tensors: manifest,
+            count: manifest.length,
+            savedAt: Date.now(),
+            version: '3.0.0',
+            storageType: 'BINARY_BLOB'
+        };
+    }
+    
+    // Tensor values of a weights record (blob or legacy inline arrays) as
+    // [{ values, shape, dtype }], verifying blob and tensor checksums
+    readWeightArrays(pair, weights) {
+        if (!weights) {
+            return [];
+        }
+        
+        if (weights.format !== 'binary') {
+            return (weights.data || []).map(tensor => ({
+                values: tensor.data,
+                shape: tensor.shape,
+                dtype: tensor.dtype
+            }));
+        }
+        
+        const blobPath = path.join(this.getPairBlobDir(pair), weights.blob);
+        if (!fs.existsSync(blobPath)) {
+            throw new Error(`Weight blob missing: ${weights.blob}`);
+        }
+        
+        const stored = fs.readFileSync(blobPath);
+        const raw = weights.compression === 'gzip' ? zlib.gunzipSync(stored) : stored;
+        
+        if (this.checksum(raw) !== weights.checksum) {
+            throw new Error(`Weight blob checksum mismatch: ${weights.blob}`);
+        }
+        
+        return weights.tensors.map(entry => {
+            const bytes = raw.subarray(entry.byteOffset, entry.byteOffset + entry.byteLength);
+            if (this.checksum(bytes) !== entry.checksum) {
+                throw new Error(`Checksum mismatch for weight tensor ${entry.index}`);
             }
             
-            console.log(`🔧 Extracting weights from ${pair}:${modelType}...`);
-            const weights = model.getWeights();
-            console.log(`📊 Found ${weights.length} weight tensors`);
-            
-            const weightsData = [];
+            // Copy into an aligned buffer for the typed array view
+            const aligned = new Uint8Array(bytes).buffer;
+            return {
+                values: new WEIGHT_ARRAY_TYPES[entry.dtype](aligned),
+                shape: entry.shape,
+                dtype: entry.dtype
+            };
+        });
+    }
+    
+    hasWeightData(weights) {
+        return !!(weights && (weights.format === 'binary' ?
+            weights.blob && weights.count > 0 :
+            weights.data && weights.data.length > 0));
+    }
+    
+    checksum(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+    
+    // Every stored record that carries weights: champions, challengers,
+    // previous champions and registry versions
+    getWeightRecords(assetData) {
+        const records = [
+            ...Object.values(assetData.models || {}),
+            ...Object.values(assetData.challengers || {}),
+            ...Object.values(assetData.previousChampions || {}).flat(),
+            ...Object.values(assetData.registry || {}).flatMap(registry =>
+                (registry.versions || []).map(entry => entry.record)
+            )
+        ];
+        return records.filter(record => record && record.weights);
+    }
+    
+    // Move inline weight arrays into blobs; returns how many records changed
+    externalizeWeights(pair, assetData) {
+        let migrated = 0;
+        
+        this.getWeightRecords(assetData).forEach(record => {
+            if (record.weights.format !== 'binary' && this.hasWeightData(record.weights)) {
+                const savedAt = record.weights.savedAt;
+                record.weights = {
+                    ...this.writeWeightBlob(pair, this.readWeightArrays(pair, record.weights)),
+                    savedAt: savedAt || Date.now(),
+                    migratedAt: Date.now()
+                };
+                migrated++;
+            }
+        });
+        
+        return migrated;
+    }
+    
+    // Delete blobs no stored record references any more
+    pruneWeightBlobs(pair, assetData) {
+        const pairBlobDir = this.getPairBlobDir(pair);
+        if (!fs.existsSync(pairBlobDir)) {
+            return 0;
+        }
+        
+        const referenced = new Set(this.getWeightRecords(assetData)
+            .filter(record => record.weights.format === 'binary')
+            .map(record => record.weights.blob));
+        let removed = 0;
+        
+        fs.readdirSync(pairBlobDir).forEach(file => {
+            const filePath = path.join(pairBlobDir, file);
+            if (referenced.has(file) || Date.now() - fs.statSync(filePath).mtimeMs < BLOB_GC_GRACE_MS) {
+                return;
+            }
+            fs.unlinkSync(filePath);
+            removed++;
+        });
+        
+        if (removed > 0) {
+            console.log(`🧹 Removed ${removed} unreferenced weight blob(s) for ${pair}`);
+        }
+        return removed;
+    }
+    
+    // Serialisable record of a model: weight blob manifest, output head, scaler and metadata
+    async buildModelRecord(pair, modelType, modelWrapper) {
+        const model = modelWrapper.model;
+        if (!model || !model.getWeights) {
+            throw new Error(`Invalid model object for ${pair}:${modelType}`);
+        }
+        
+        console.log(`🔧 Extracting weights from ${pair}:${modelType}...`);
+        const weights = model.getWeights();
+        console.log(`📊 Found ${weights.length} weight tensors`);
+        
+        const tensors = [];
+        
+        for (let i = 0; i < weights.length; i++) {
+            const weightTensor = weights[i];
+            console.log(`🔧 Processing tensor ${i + 1}/${weights.length}`);
             
-            for (let i = 0; i < weights.length; i++) {
-                const weightTensor = weights[i];
-                console.log(`🔧 Processing tensor ${i + 1}/${weights.length}`);
+            try {
+                const weightArray = await weightTensor.data();
                 
-                try {
-                    const weightArray = await weightTensor.data();
-                    const shape = weightTensor.shape;
-                    
-                    weightsData.push({
-                        data: Array.from(weightArray),
-                        shape: shape,
-                        dtype: weightTensor.dtype,
-                        index: i
-                    });
-                    
-                    console.log(`✅ Tensor ${i + 1} extracted: ${weightArray.length} values`);
-                } catch (tensorError) {
-                    console.error(`❌ Failed to extract tensor ${i + 1}:`, tensorError.message);
-                    throw new Error(`Failed to extract tensor ${i}: ${tensorError.message}`);
-                }
+                tensors.push({
+                    values: weightArray,
+                    shape: weightTensor.shape,
+                    dtype: weightTensor.dtype
+                });
+                
+                console.log(`✅ Tensor ${i + 1} extracted: ${weightArray.length} values`);
+            } catch (tensorError) {
+                console.error(`❌ Failed to extract tensor ${i + 1}:`, tensorError.message);
+                throw new Error(`Failed to extract tensor ${i}: ${tensorError.message}`);
+            }
+        }
+        
+        return {
+            weights: this.writeWeightBlob(pair, tensors),
+            config: modelWrapper.getModelSummary ? modelWrapper.getModelSummary().config : {},
+            architecture: modelWrapper.getModelSummary ? modelWrapper.getModelSummary().architecture : {},
+            outputHead: modelWrapper.outputHead ? modelWrapper.outputHead.toJSON() : null,
+            scaler: modelWrapper.scaler ? {
+                mean: modelWrapper.scaler.mean,
+                std: modelWrapper.scaler.std,
+                featureNames: modelWrapper.scaler.featureNames || [],
+                featureSchemaHash: modelWrapper.scaler.featureSchemaHash || null,
+                fittedAt: modelWrapper.scaler.fittedAt || Date.now(),
+                samples: modelWrapper.scaler.samples || 0,
+                version: 1
+            } : null,
+            metadata: {
+                modelType: modelType,
+                pair: pair.toUpperCase(),
+                totalParams: modelWrapper.model?.countParams?.() || 0,
+                isCompiled: modelWrapper.isCompiled || false,
+                savedAt: Date.now(),
+                storageFormat: 'PURE_CONSOLIDATED_SINGLE_FILE',
+                noSeparateFiles: true
             }
+        };
+    }
+    
+    // Write a model straight in as the champion (bypasses challenger evaluation)
+    async saveModelWeights(pair, modelType, modelWrapper) {
+        try {
+            console.log(`🔧 STARTING consolidated weight save for ${pair}:${modelType}`);
+            
+            const assetData = this.loadAssetData(pair);
+            const record = await this.buildModelRecord(pair, modelType, modelWrapper);
             
             if (!assetData.models) {
                 assetData.models = {};
             }
             
-            assetData.models[modelType] = {
-                weights: {
-                    data: weightsData,
-                    count: weightsData.length,
-                    savedAt: Date.now(),
-                    version: '2.0.0',
-                    storageType: 'PURE_CONSOLIDATED'
-                },
-                config: modelWrapper.getModelSummary ? modelWrapper.getModelSummary().config : {},
-                architecture: modelWrapper.getModelSummary ? modelWrapper.getModelSummary().architecture : {},
-                metadata: {
-                    modelType: modelType,
-                    pair: pair.toUpperCase(),
-                    totalParams: modelWrapper.model?.countParams?.() || 0,
-                    isCompiled: modelWrapper.isCompiled || false,
-                    savedAt: Date.now(),
-                    storageFormat: 'PURE_CONSOLIDATED_SINGLE_FILE',
-                    noSeparateFiles: true
-                }
-            };
+            assetData.models[modelType] = record;
             
             assetData.metadata.totalModelsSaved++;
             assetData.metadata.lastModelSaved = {
                 modelType: modelType,
                 savedAt: Date.now(),
-                weightsCount: weightsData.length
+                weightsCount: record.weights.count
             };
             
             // SAVE ONLY TO CONSOLIDATED FILE - NO SEPARATE FILES
             await this.saveAssetData(pair, assetData);
+            this.pruneWeightBlobs(pair, assetData);
             
             console.log(`✅ PURE consolidated weight save completed for ${pair}:${modelType}`, {
-                weightsCount: weightsData.length,
+                weightsCount: record.weights.count,
                 storageType: 'PURE_CONSOLIDATED'
             });
             
@@ -310,24 +562,610 @@ class MLStorage {
         }
     }
     
-    async loadModelWeights(pair, modelType, ModelClass, config) {
+    // Store a freshly trained model as the challenger for modelType and register
+    // it as a new registry version. The champion in assetData.models is untouched
+    // until promoteChallenger. Returns the registered version number.
+    async saveChallenger(pair, modelType, modelWrapper, details = {}) {
+        const assetData = this.loadAssetData(pair);
+        const record = await this.buildModelRecord(pair, modelType, modelWrapper);
+        
+        if (!assetData.challengers) {
+            assetData.challengers = {};
+        }
+        
+        const version = this.registerVersion(assetData, modelType, record, {
+            ...details,
+            status: 'challenger'
+        });
+        
+        assetData.challengers[modelType] = {
+            ...record,
+            version: version,
+            evaluation: details.evaluation || null,
+            status: 'pending',
+            trainedAt: Date.now()
+        };
+        
+        await this.saveAssetData(pair, assetData);
+        this.pruneWeightBlobs(pair, assetData);
+        console.log(`🥊 Challenger stored for ${pair}:${modelType} as v${version}`);
+        
+        return version;
+    }
+    
+    // Keep an outgoing champion record for rollback, up to maxPreviousChampions
+    // per model type. Records without weights cannot be restored and are dropped.
+    retireChampion(assetData, modelType, record) {
+        if (!record || !record.weights) {
+            return;
+        }
+        if (!assetData.previousChampions) {
+            assetData.previousChampions = {};
+        }
+        const previous = assetData.previousChampions[modelType] || [];
+        previous.push({ ...record, retiredAt: Date.now() });
+        assetData.previousChampions[modelType] = previous.slice(-this.maxPreviousChampions);
+    }
+    
+    // Challenger becomes champion; the outgoing champion is kept for rollback
+    async promoteChallenger(pair, modelType, details = {}) {
+        const assetData = this.loadAssetData(pair);
+        const challenger = assetData.challengers?.[modelType];
+        
+        if (!challenger) {
+            throw new Error(`No challenger stored for ${pair}:${modelType}`);
+        }
+        
+        if (!assetData.models) {
+            assetData.models = {};
+        }
+        
+        const outgoing = assetData.models[modelType];
+        this.retireChampion(assetData, modelType, outgoing);
+        
+        const { status, ...championRecord } = challenger;
+        assetData.models[modelType] = {
+            ...championRecord,
+            promotedAt: Date.now()
+        };
+        delete assetData.challengers[modelType];
+        
+        assetData.metadata.totalModelsSaved++;
+        assetData.metadata.lastModelSaved = {
+            modelType: modelType,
+            savedAt: Date.now(),
+            weightsCount: championRecord.weights.count
+        };
+        
+        this.setVersionStatus(assetData, modelType, outgoing?.version, 'retired');
+        this.setVersionStatus(assetData, modelType, challenger.version, 'champion');
+        
+        this.recordPromotionEvent(assetData, modelType, {
+            type: 'promoted',
+            version: challenger.version || null,
+            replacedVersion: outgoing?.version || null,
+            replacedSavedAt: outgoing?.weights?.savedAt || null,
+            ...details
+        });
+        
+        await this.saveAssetData(pair, assetData);
+        this.pruneWeightBlobs(pair, assetData);
+        console.log(`🏆 Challenger promoted to champion for ${pair}:${modelType}`);
+        
+        return true;
+    }
+    
+    // Install a model record brought in from elsewhere (a bundle) as the champion.
+    // Its weight blob must already be in this pair's blob directory. The record
+    // is registered as a new version and the outgoing champion is kept for rollback.
+    async installModelRecord(pair, modelType, record, details = {}) {
+        const assetData = this.loadAssetData(pair);
+
+        if (!this.hasWeightData(record.weights)) {
+            throw new Error(`Record for ${pair}:${modelType} has no weights`);
+        }
+        this.readWeightArrays(pair, record.weights); // Blob present and checksums intact
+
+        const { version: sourceVersion, evaluation, promotedAt, restoredAt, pinnedAt, ...modelRecord } = record;
+        const version = this.registerVersion(assetData, modelType, modelRecord, {
+            evaluation: evaluation || null,
+            trainingConfig: details.trainingConfig || null,
+            dataRange: details.dataRange || null,
+            status: 'champion'
+        });
+
+        if (!assetData.models) {
+            assetData.models = {};
+        }
+        const outgoing = assetData.models[modelType];
+        this.retireChampion(assetData, modelType, outgoing);
+
+        assetData.models[modelType] = {
+            ...modelRecord,
+            version: version,
+            evaluation: evaluation || null,
+            importedAt: Date.now(),
+            importedFrom: details.importedFrom || null
+        };
+        this.setVersionStatus(assetData, modelType, outgoing?.version, 'retired');
+
+        this.recordPromotionEvent(assetData, modelType, {
+            type: 'imported',
+            version: version,
+            sourceVersion: sourceVersion || null,
+            replacedVersion: outgoing?.version || null,
+            importedFrom: details.importedFrom || null
+        });
+
+        await this.saveAssetData(pair, assetData);
+        this.pruneWeightBlobs(pair, assetData);
+        console.log(`📦 Imported ${pair}:${modelType} installed as champion v${version}`);
+
+        return version;
+    }
+
+    // Ensemble weights persisted for a pair (set by bundle import), or null
+    getEnsembleWeights(pair) {
+        return this.loadAssetData(pair).ensemble?.weights || null;
+    }
+
+    async saveEnsembleWeights(pair, weights, details = {}) {
+        const assetData = this.loadAssetData(pair);
+        assetData.ensemble = {
+            weights: { ...weights },
+            ...details,
+            savedAt: Date.now()
+        };
+        await this.saveAssetData(pair, assetData);
+    }
+
+    // Hyperparameter search results for one model type:
+    // { best, leaderboard, searches } (null before the first search)
+    getHyperparameters(pair, modelType) {
+        return this.loadAssetData(pair).hyperparameters?.[modelType] || null;
+    }
+    
+    async saveHyperparameters(pair, modelType, results) {
+        const assetData = this.loadAssetData(pair);
+        assetData.hyperparameters = assetData.hyperparameters || {};
+        assetData.hyperparameters[modelType] = {
+            ...results,
+            savedAt: Date.now()
+        };
+        await this.saveAssetData(pair, assetData);
+    }
+    
+    // Keep the champion; the challenger record stays for inspection
+    async rejectChallenger(pair, modelType, details = {}) {
+        const assetData = this.loadAssetData(pair);
+        
+        const challenger = assetData.challengers?.[modelType];
+        if (challenger) {
+            challenger.status = 'rejected';
+            challenger.rejectedAt = Date.now();
+            this.setVersionStatus(assetData, modelType, challenger.version, 'rejected');
+        }
+        
+        this.recordPromotionEvent(assetData, modelType, {
+            type: 'rejected',
+            version: challenger?.version || null,
+            ...details
+        });
+        
+        await this.saveAssetData(pair, assetData);
+        console.log(`🛡️ Champion retained for ${pair}:${modelType}, challenger rejected`);
+        
+        return true;
+    }
+    
+    // Restore the most recent previous champion; the current champion is discarded
+    async rollbackChampion(pair, modelType, details = {}) {
+        const assetData = this.loadAssetData(pair);
+        const previous = assetData.previousChampions?.[modelType] || [];
+        
+        if (previous.length === 0) {
+            return null;
+        }
+        
+        const restored = previous.pop();
+        const discarded = assetData.models?.[modelType];
+        const { retiredAt, ...championRecord } = restored;
+        
+        if (!assetData.models) {
+            assetData.models = {};
+        }
+        assetData.models[modelType] = {
+            ...championRecord,
+            restoredAt: Date.now()
+        };
+        assetData.previousChampions[modelType] = previous;
+        
+        this.setVersionStatus(assetData, modelType, discarded?.version, 'rolled_back');
+        this.setVersionStatus(assetData, modelType, championRecord.version, 'champion');
+        
+        const event = this.recordPromotionEvent(assetData, modelType, {
+            type: 'rollback',
+            restoredVersion: championRecord.version || null,
+            discardedVersion: discarded?.version || null,
+            restoredSavedAt: championRecord.weights?.savedAt || null,
+            discardedSavedAt: discarded?.weights?.savedAt || null,
+            ...details
+        });
+        
+        await this.saveAssetData(pair, assetData);
+        this.pruneWeightBlobs(pair, assetData);
+        console.log(`⏪ Rolled back ${pair}:${modelType} to previous champion`);
+        
+        return {
+            ...event,
+            remainingPreviousChampions: previous.length
+        };
+    }
+    
+    recordPromotionEvent(assetData, modelType, event) {
+        if (!assetData.promotions) {
+            assetData.promotions = {};
+        }
+        
+        const entry = { ...event, modelType, timestamp: Date.now() };
+        const events = assetData.promotions[modelType] || [];
+        events.push(entry);
+        assetData.promotions[modelType] = events.slice(-50);
+        
+        return entry;
+    }
+    
+    // Champion, pending/rejected challenger and rollback depth for one model type
+    getPromotionInfo(pair, modelType) {
+        const assetData = this.loadAssetData(pair);
+        const summarize = (record) => record ? {
+            version: record.version || null,
+            savedAt: record.weights?.savedAt || null,
+            promotedAt: record.promotedAt || null,
+            restoredAt: record.restoredAt || null,
+            testMetrics: record.evaluation?.testMetrics || null,
+            status: record.status || null
+        } : null;
+        
+        return {
+            champion: summarize(assetData.models?.[modelType]),
+            challenger: summarize(assetData.challengers?.[modelType]),
+            previousChampions: (assetData.previousChampions?.[modelType] || []).map(summarize),
+            events: (assetData.promotions?.[modelType] || []).slice(-10)
+        };
+    }
+    
+    // ---- Versioned model registry ----
+    // assetData.registry[modelType] = { nextVersion, versions: [...], tags: { production, staging } }
+    // Every trained model is registered with its full weight record, so any
+    // version can be inspected, compared or pinned as the served champion.
+    
+    getRegistry(assetData, modelType) {
+        if (!assetData.registry) {
+            assetData.registry = {};
+        }
+        if (!assetData.registry[modelType]) {
+            assetData.registry[modelType] = {
+                nextVersion: 1,
+                versions: [],
+                tags: {}
+            };
+        }
+        return assetData.registry[modelType];
+    }
+    
+    registerVersion(assetData, modelType, record, details = {}) {
+        const registry = this.getRegistry(assetData, modelType);
+        const version = registry.nextVersion++;
+        
+        registry.versions.push({
+            version: version,
+            modelType: modelType,
+            createdAt: Date.now(),
+            parentVersion: details.parentVersion || null,
+            status: details.status || 'registered',
+            trainingConfig: details.trainingConfig || null,
+            dataRange: details.dataRange || null,
+            featureSchemaHash: record.scaler?.featureSchemaHash || null,
+            outputHead: record.outputHead?.signature || null,
+            metrics: {
+                training: details.trainingMetrics || null,
+                test: details.evaluation?.testMetrics || null,
+                baseline: details.evaluation?.baseline || null
+            },
+            record: record
+        });
+        
+        this.pruneRegistry(assetData, modelType);
+        
+        return version;
+    }
+    
+    // Drop the oldest versions beyond maxRegistryVersions; tagged versions and
+    // the ones currently serving or pending are always kept
+    pruneRegistry(assetData, modelType) {
+        const registry = this.getRegistry(assetData, modelType);
+        const protectedVersions = new Set([
+            ...Object.values(registry.tags),
+            assetData.models?.[modelType]?.version,
+            assetData.challengers?.[modelType]?.version
+        ].filter(Boolean));
+        
+        let excess = registry.versions.length - this.maxRegistryVersions;
+        registry.versions = registry.versions.filter(entry => {
+            if (excess > 0 && !protectedVersions.has(entry.version)) {
+                excess--;
+                return false;
+            }
+            return true;
+        });
+    }
+    
+    setVersionStatus(assetData, modelType, version, status) {
+        if (!version) {
+            return;
+        }
+        const entry = this.getRegistry(assetData, modelType).versions.find(v => v.version === version);
+        if (entry) {
+            entry.status = status;
+            entry.statusChangedAt = Date.now();
+        }
+    }
+    
+    // Registry entry without its weight arrays
+    summarizeVersion(entry, registry) {
+        const { record, ...summary } = entry;
+        return {
+            ...summary,
+            tags: Object.keys(registry.tags).filter(tag => registry.tags[tag] === entry.version),
+            weights: {
+                count: record.weights?.count || 0,
+                totalParams: record.metadata?.totalParams || 0,
+                savedAt: record.weights?.savedAt || null
+            },
+            modelConfig: record.config || {}
+        };
+    }
+    
+    listVersions(pair, modelType) {
+        const assetData = this.loadAssetData(pair);
+        const registry = this.getRegistry(assetData, modelType);
+        
+        return {
+            versions: registry.versions.map(entry => this.summarizeVersion(entry, registry)).reverse(),
+            tags: { ...registry.tags },
+            champion: assetData.models?.[modelType]?.version || null
+        };
+    }
+    
+    getVersion(pair, modelType, version) {
+        const assetData = this.loadAssetData(pair);
+        const registry = this.getRegistry(assetData, modelType);
+        const entry = registry.versions.find(v => v.version === version);
+        
+        return entry ? this.summarizeVersion(entry, registry) : null;
+    }
+    
+    getTaggedVersion(pair, modelType, tag) {
+        const assetData = this.loadAssetData(pair);
+        return this.getRegistry(assetData, modelType).tags[tag] || null;
+    }
+    
+    // What changed between two versions: configs, metrics, data, lineage and weights
+    diffVersions(pair, modelType, fromVersion, toVersion) {
+        const assetData = this.loadAssetData(pair);
+        const registry = this.getRegistry(assetData, modelType);
+        const from = registry.versions.find(v => v.version === fromVersion);
+        const to = registry.versions.find(v => v.version === toVersion);
+        
+        if (!from || !to) {
+            return null;
+        }
+        
+        const changedKeys = (a = {}, b = {}) => {
+            const changes = {};
+            new Set([...Object.keys(a || {}), ...Object.keys(b || {})]).forEach(key => {
+                if (JSON.stringify(a?.[key]) !== JSON.stringify(b?.[key])) {
+                    changes[key] = { from: a?.[key] ?? null, to: b?.[key] ?? null };
+                }
+            });
+            return changes;
+        };
+        
+        const metrics = {};
+        const fromTest = from.metrics?.test || {};
+        const toTest = to.metrics?.test || {};
+        new Set([...Object.keys(fromTest), ...Object.keys(toTest)]).forEach(metric => {
+            const a = fromTest[metric];
+            const b = toTest[metric];
+            metrics[metric] = {
+                from: a ?? null,
+                to: b ?? null,
+                change: typeof a === 'number' && typeof b === 'number' ? b - a : null
+            };
+        });
+        
+        return {
+            from: this.summarizeVersion(from, registry),
+            to: this.summarizeVersion(to, registry),
+            sameFeatureSchema: from.featureSchemaHash === to.featureSchemaHash,
+            sameOutputHead: from.outputHead === to.outputHead,
+            lineage: {
+                toDescendsFromFrom: this.isAncestor(registry, fromVersion, toVersion),
+                fromDescendsFromTo: this.isAncestor(registry, toVersion, fromVersion)
+            },
+            modelConfig: changedKeys(from.record.config, to.record.config),
+            trainingConfig: changedKeys(from.trainingConfig, to.trainingConfig),
+            dataRange: changedKeys(from.dataRange, to.dataRange),
+            metrics: metrics,
+            weights: this.compareWeights(
+                this.readWeightArrays(pair, from.record.weights),
+                this.readWeightArrays(pair, to.record.weights)
+            )
+        };
+    }
+    
+    isAncestor(registry, ancestorVersion, version) {
+        const seen = new Set();
+        let current = registry.versions.find(v => v.version === version);
+        
+        while (current && current.parentVersion && !seen.has(current.version)) {
+            if (current.parentVersion === ancestorVersion) {
+                return true;
+            }
+            seen.add(current.version);
+            current = registry.versions.find(v => v.version === current.parentVersion);
+        }
+        return false;
+    }
+    
+    // Mean absolute and relative L2 difference across all weights (same architecture only)
+    compareWeights(a, b) {
+        const comparable = a.length === b.length &&
+            a.every((tensor, i) => JSON.stringify(tensor.shape) === JSON.stringify(b[i].shape));
+        
+        if (!comparable) {
+            return { comparable: false, fromTensors: a.length, toTensors: b.length };
+        }
+        
+        let absSum = 0;
+        let diffSquares = 0;
+        let fromSquares = 0;
+        let values = 0;
+        a.forEach((tensor, i) => {
+            tensor.values.forEach((value, j) => {
+                const diff = b[i].values[j] - value;
+                absSum += Math.abs(diff);
+                diffSquares += diff * diff;
+                fromSquares += value * value;
+                values++;
+            });
+        });
+        
+        return {
+            comparable: true,
+            tensors: a.length,
+            values: values,
+            meanAbsDiff: values > 0 ? absSum / values : 0,
+            relativeL2: fromSquares > 0 ? Math.sqrt(diffSquares / fromSquares) : 0
+        };
+    }
+    
+    // Point a tag at a version. Tagging `production` pins it: the version becomes
+    // the served champion (the outgoing champion is kept for rollback) and
+    // automatic promotion is paused until the tag is removed.
+    async tagVersion(pair, modelType, version, tag) {
+        const assetData = this.loadAssetData(pair);
+        const registry = this.getRegistry(assetData, modelType);
+        const entry = registry.versions.find(v => v.version === version);
+        
+        if (!entry) {
+            return null;
+        }
+        
+        const previousVersion = registry.tags[tag] || null;
+        registry.tags[tag] = version;
+        
+        let pinned = false;
+        if (tag === 'production' && assetData.models?.[modelType]?.version !== version) {
+            if (!assetData.models) {
+                assetData.models = {};
+            }
+            const outgoing = assetData.models[modelType];
+            this.retireChampion(assetData, modelType, outgoing);
+            
+            assetData.models[modelType] = {
+                ...entry.record,
+                version: version,
+                pinnedAt: Date.now()
+            };
+            this.setVersionStatus(assetData, modelType, outgoing?.version, 'retired');
+            this.setVersionStatus(assetData, modelType, version, 'champion');
+            
+            this.recordPromotionEvent(assetData, modelType, {
+                type: 'pinned',
+                version: version,
+                replacedVersion: outgoing?.version || null
+            });
+            pinned = true;
+        }
+        
+        await this.saveAssetData(pair, assetData);
+        this.pruneWeightBlobs(pair, assetData);
+        console.log(`🏷️ Tagged ${pair}:${modelType} v${version} as ${tag}`);
+        
+        return { tag, version, previousVersion, pinned };
+    }
+    
+    async removeTag(pair, modelType, tag) {
+        const assetData = this.loadAssetData(pair);
+        const registry = this.getRegistry(assetData, modelType);
+        const version = registry.tags[tag];
+        
+        if (!version) {
+            return null;
+        }
+        
+        delete registry.tags[tag];
+        await this.saveAssetData(pair, assetData);
+        console.log(`🏷️ Removed ${tag} tag from ${pair}:${modelType} v${version}`);
+        
+        return { tag, version };
+    }
+    
+    // Delete a version; tagged, serving and pending versions are refused
+    async deleteVersion(pair, modelType, version) {
+        const assetData = this.loadAssetData(pair);
+        const registry = this.getRegistry(assetData, modelType);
+        const index = registry.versions.findIndex(v => v.version === version);
+        
+        if (index === -1) {
+            return null;
+        }
+        
+        const tags = Object.keys(registry.tags).filter(tag => registry.tags[tag] === version);
+        if (tags.length > 0) {
+            return { deleted: false, version, reason: `Version is tagged ${tags.join(', ')}` };
+        }
+        if (assetData.models?.[modelType]?.version === version) {
+            return { deleted: false, version, reason: 'Version is the current champion' };
+        }
+        if (assetData.challengers?.[modelType]?.version === version &&
+            assetData.challengers[modelType].status === 'pending') {
+            return { deleted: false, version, reason: 'Version is a pending challenger' };
+        }
+        
+        registry.versions.splice(index, 1);
+        await this.saveAssetData(pair, assetData);
+        this.pruneWeightBlobs(pair, assetData);
+        console.log(`🗑️ Deleted ${pair}:${modelType} v${version} from registry`);
+        
+        return { deleted: true, version };
+    }
+    
+    async loadModelWeights(pair, modelType, ModelClass, config, options = {}) {
         try {
             console.log(`🔧 STARTING consolidated weight load for ${pair}:${modelType}`);
             
             const assetData = this.loadAssetData(pair);
             
-            if (!assetData.models || !assetData.models[modelType] || !assetData.models[modelType].weights) {
-                console.log(`❌ No consolidated weights found for ${pair}:${modelType}`);
+            // options.version loads a registered version instead of the champion
+            const modelData = options.version ?
+                this.getRegistry(assetData, modelType).versions.find(entry => entry.version === options.version)?.record :
+                assetData.models?.[modelType];
+            
+            if (!modelData || !modelData.weights) {
+                console.log(`❌ No consolidated weights found for ${pair}:${modelType}${options.version ? ` v${options.version}` : ''}`);
                 return null;
             }
             
-            const modelData = assetData.models[modelType];
             const weightsInfo = modelData.weights;
             
             console.log(`📊 Found consolidated weights for ${pair}:${modelType}:`, {
                 weightsCount: weightsInfo.count,
                 savedAt: new Date(weightsInfo.savedAt).toLocaleString(),
-                storageType: weightsInfo.storageType || 'PURE_CONSOLIDATED'
+                storageType: weightsInfo.storageType || 'PURE_CONSOLIDATED',
+                compression: weightsInfo.compression || null
             });
             
             if (modelData.config && config) {
@@ -340,24 +1178,51 @@ class MLStorage {
                 }
             }
             
+            // Refuse weights whose scaler was fitted on a different feature schema
+            if (options.featureSchemaHash) {
+                const savedSchemaHash = modelData.scaler?.featureSchemaHash;
+                
+                if (savedSchemaHash !== options.featureSchemaHash) {
+                    console.warn(`❌ Feature schema mismatch for ${pair}:${modelType}. Saved: ${savedSchemaHash || 'none'}, Current: ${options.featureSchemaHash}`);
+                    return null;
+                }
+            }
+            
             console.log(`🔧 Creating new ${modelType} model for ${pair}...`);
-            const modelWrapper = new ModelClass(config);
+            // Rebuild the architecture the weights were saved with; it can differ
+            // from the current build config once a tuned config has been applied
+            const modelWrapper = new ModelClass({ ...config, ...(modelData.config || {}) });
+            
+            // Weights saved before output heads were versioned are single-unit direction_5
+            if (modelWrapper.outputHead) {
+                const savedSignature = modelData.outputHead?.signature || 'direction:5';
+                const currentSignature = modelWrapper.outputHead.getSignature();
+                
+                if (savedSignature !== currentSignature) {
+                    console.warn(`❌ Output head mismatch for ${pair}:${modelType}. Saved: ${savedSignature}, Current: ${currentSignature}`);
+                    return null;
+                }
+
+                // Regression uncertainty calibrated when the weights were trained
+                modelWrapper.outputHead.restore(modelData.outputHead);
+            }
             modelWrapper.buildModel();
             modelWrapper.compileModel();
             
             console.log(`✅ New model created and compiled`);
             
             const tf = require('@tensorflow/tfjs');
+            const weightArrays = this.readWeightArrays(pair, weightsInfo);
             const weightTensors = [];
             
-            console.log(`🔧 Reconstructing ${weightsInfo.data.length} tensors...`);
+            console.log(`🔧 Reconstructing ${weightArrays.length} tensors...`);
             
-            for (let i = 0; i < weightsInfo.data.length; i++) {
-                const weightInfo = weightsInfo.data[i];
-                console.log(`🔧 Reconstructing tensor ${i + 1}/${weightsInfo.data.length}`);
+            for (let i = 0; i < weightArrays.length; i++) {
+                const weightInfo = weightArrays[i];
+                console.log(`🔧 Reconstructing tensor ${i + 1}/${weightArrays.length}`);
                 
                 try {
-                    const tensor = tf.tensor(weightInfo.data, weightInfo.shape, weightInfo.dtype);
+                    const tensor = tf.tensor(weightInfo.values, weightInfo.shape, weightInfo.dtype);
                     weightTensors.push(tensor);
                     console.log(`✅ Tensor ${i + 1} reconstructed`);
                 } catch (tensorError) {
@@ -382,6 +1247,9 @@ class MLStorage {
             weightTensors.forEach(tensor => tensor.dispose());
             console.log(`🧹 Cleaned up temporary tensors`);
             
+            modelWrapper.scaler = modelData.scaler || null;
+            modelWrapper.version = modelData.version || options.version || null;
+            
             console.log(`✅ PURE consolidated weight load completed for ${pair}:${modelType}`);
             
             return modelWrapper;
@@ -397,11 +1265,7 @@ class MLStorage {
     hasTrainedWeights(pair, modelType) {
         try {
             const assetData = this.loadAssetData(pair);
-            const hasWeights = !!(assetData.models && 
-                                 assetData.models[modelType] && 
-                                 assetData.models[modelType].weights &&
-                                 assetData.models[modelType].weights.data &&
-                                 assetData.models[modelType].weights.data.length > 0);
+            const hasWeights = this.hasWeightData(assetData.models?.[modelType]?.weights);
             
             console.log(`🔍 Consolidated weight check for ${pair}:${modelType}: ${hasWeights ? 'EXISTS' : 'NOT FOUND'}`);
             return hasWeights;
@@ -514,6 +1378,104 @@ class MLStorage {
         }
     }
     
+    // Attach resolved outcomes ({ predictionId: outcome }) to stored predictions
+    async updatePredictionOutcomes(pair, outcomesById) {
+        try {
+            const assetData = this.loadAssetData(pair);
+            const history = assetData.predictions?.history || [];
+            let updated = 0;
+            
+            history.forEach(entry => {
+                const outcome = outcomesById[entry.predictionId];
+                if (outcome) {
+                    entry.outcome = outcome;
+                    updated++;
+                }
+            });
+            
+            if (updated > 0) {
+                assetData.predictions.lastResolution = Date.now();
+                await this.saveAssetData(pair, assetData);
+                console.log(`💾 Resolved ${updated} prediction outcomes for ${pair}`);
+            }
+            
+            return updated;
+            
+        } catch (error) {
+            console.error(`❌ Failed to save prediction outcomes for ${pair}:`, error.message);
+            throw error;
+        }
+    }
+    
+    async saveBacktestResult(pair, result) {
+        try {
+            const assetData = this.loadAssetData(pair);
+            
+            if (!assetData.backtests) {
+                assetData.backtests = {
+                    history: [],
+                    lastBacktest: null,
+                    totalBacktests: 0
+                };
+            }
+            
+            // Downsample the equity curve so a long backtest doesn't bloat the asset file
+            const equityCurve = result.equityCurve || [];
+            const step = Math.max(1, Math.ceil(equityCurve.length / 500));
+            
+            const backtestEntry = {
+                ...result,
+                equityCurve: equityCurve.filter((point, i) => i % step === 0 || i === equityCurve.length - 1),
+                trades: (result.trades || []).slice(-500),
+                backtestId: result.backtestId || `${pair.toUpperCase()}_backtest_${Date.now()}`,
+                pair: pair.toUpperCase(),
+                timestamp: Date.now(),
+                storageType: 'PURE_CONSOLIDATED'
+            };
+            
+            assetData.backtests.history.push(backtestEntry);
+            assetData.backtests.lastBacktest = {
+                backtestId: backtestEntry.backtestId,
+                metrics: backtestEntry.metrics,
+                timestamp: backtestEntry.timestamp
+            };
+            assetData.backtests.totalBacktests++;
+            
+            // Keep only last 20 backtest runs
+            if (assetData.backtests.history.length > 20) {
+                assetData.backtests.history = assetData.backtests.history.slice(-20);
+            }
+            
+            await this.saveAssetData(pair, assetData);
+            
+            console.log(`💾 Backtest result saved for ${pair}`, {
+                backtestId: backtestEntry.backtestId
+            });
+            
+            return backtestEntry;
+            
+        } catch (error) {
+            console.error(`❌ Failed to save backtest result for ${pair}:`, error.message);
+            throw error;
+        }
+    }
+    
+    loadBacktestResults(pair) {
+        try {
+            const assetData = this.loadAssetData(pair);
+            return {
+                pair: pair.toUpperCase(),
+                backtests: assetData.backtests?.history || [],
+                count: assetData.backtests?.totalBacktests || 0,
+                lastBacktest: assetData.backtests?.lastBacktest || null,
+                timestamp: assetData.timestamp
+            };
+        } catch (error) {
+            console.error(`❌ Failed to load backtest results for ${pair}:`, error.message);
+            return null;
+        }
+    }
+    
     async saveFeatureCache(pair, features) {
         try {
             const assetData = this.loadAssetData(pair);
@@ -553,7 +1515,7 @@ class MLStorage {
                         
                         if (assetData.models) {
                             Object.entries(assetData.models).forEach(([modelType, modelData]) => {
-                                if (modelData.weights && modelData.weights.data) {
+                                if (this.hasWeightData(modelData.weights)) {
                                     trainedModels.push({
                                         pair: pair,
                                         modelType: modelType,
@@ -591,6 +1553,11 @@ class MLStorage {
                 totalSizeBytes: 0,
                 files: []
             },
+            weightBlobs: {
+                count: 0,
+                totalSizeBytes: 0,
+                compression: this.compression ? this.compression.algorithm : null
+            },
             cache: {
                 assetData: this.assetDataCache.size
             },
@@ -636,6 +1603,16 @@ class MLStorage {
                     }
                 });
             }
+            
+            if (fs.existsSync(this.blobDir)) {
+                fs.readdirSync(this.blobDir).forEach(pairDir => {
+                    const pairBlobDir = path.join(this.blobDir, pairDir);
+                    fs.readdirSync(pairBlobDir).forEach(file => {
+                        stats.weightBlobs.count++;
+                        stats.weightBlobs.totalSizeBytes += fs.statSync(path.join(pairBlobDir, file)).size;
+                    });
+                });
+            }
         } catch (error) {
             console.error('Failed to get storage stats:', error.message);
         }
@@ -909,7 +1886,7 @@ class MLStorage {
                     types: Object.keys(assetData.models || {}),
                     details: Object.entries(assetData.models || {}).map(([type, data]) => ({
                         type,
-                        hasWeights: !!(data.weights && data.weights.data),
+                        hasWeights: this.hasWeightData(data.weights),
                         weightsCount: data.weights?.count || 0,
                         savedAt: data.weights?.savedAt,
                         modelParams: data.metadata?.totalParams || 0,
@@ -932,6 +1909,11 @@ class MLStorage {
                     featureCount: assetData.features?.featureCount || 0,
                     lastExtraction: assetData.features?.lastExtraction
                 },
+                backtests: {
+                    total: assetData.backtests?.totalBacktests || 0,
+                    historyCount: (assetData.backtests?.history || []).length,
+                    lastBacktest: assetData.backtests?.lastBacktest?.timestamp
+                },
                 metadata: {
                     ...assetData.metadata || {},
                     consolidatedStorage: true,
@@ -1342,4 +2324,7 @@ class MLStorage {
     }
 }
 
+// Tags a registry version can carry
+MLStorage.REGISTRY_TAGS = ['production', 'staging'];
+
 module.exports = MLStorage;
\ No newline at end of file
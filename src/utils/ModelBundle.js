@@ -0,0 +1,209 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const Logger = require('./Logger');
+const { packTar, unpackTar } = require('./TarArchive');
+
+const BUNDLE_FORMAT = 'trading-bot-ml-bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+
+// Self-contained .tar.gz of a pair's trained models for moving them between
+// hosts: bundle.json (champion records with scaler, feature schema, model and
+// output-head config, metrics, ensemble weights, per-file SHA-256) plus the
+// weight blobs the records reference.
+class ModelBundle {
+    constructor(config = {}) {
+        this.mlStorage = config.mlStorage;
+
+        if (!this.mlStorage) {
+            throw new Error('ModelBundle requires mlStorage');
+        }
+    }
+
+    // options: { modelTypes, featureSchema, ensembleWeights, metrics }
+    createBundle(pair, options = {}) {
+        const pairKey = pair.toUpperCase();
+        const assetData = this.mlStorage.loadAssetData(pairKey);
+        const modelTypes = options.modelTypes ||
+            Object.keys(assetData.models || {}).filter(type => this.mlStorage.hasWeightData(assetData.models[type].weights));
+
+        const models = {};
+        const blobEntries = new Map();
+
+        modelTypes.forEach(modelType => {
+            const record = assetData.models?.[modelType];
+            if (!record || !this.mlStorage.hasWeightData(record.weights)) {
+                throw new Error(`No trained ${modelType} model stored for ${pairKey}`);
+            }
+            if (record.weights.format !== 'binary') {
+                throw new Error(`${pairKey}:${modelType} weights are not in blob format`);
+            }
+
+            const registryEntry = (assetData.registry?.[modelType]?.versions || [])
+                .find(entry => entry.version === record.version);
+
+            models[modelType] = {
+                record,
+                trainingConfig: registryEntry?.trainingConfig || null,
+                dataRange: registryEntry?.dataRange || null,
+                metrics: registryEntry?.metrics || null
+            };
+
+            const blobPath = path.join(this.mlStorage.getPairBlobDir(pairKey), record.weights.blob);
+            blobEntries.set(`blobs/${record.weights.blob}`, fs.readFileSync(blobPath));
+        });
+
+        if (Object.keys(models).length === 0) {
+            throw new Error(`No trained models stored for ${pairKey}`);
+        }
+
+        const entries = Array.from(blobEntries.entries()).map(([name, data]) => ({ name, data }));
+        const manifest = {
+            format: BUNDLE_FORMAT,
+            formatVersion: BUNDLE_FORMAT_VERSION,
+            pair: pairKey,
+            exportedAt: Date.now(),
+            sourceHost: os.hostname(),
+            featureSchema: options.featureSchema || null,
+            models,
+            ensemble: {
+                weights: options.ensembleWeights || null
+            },
+            metrics: options.metrics || null,
+            files: entries.map(entry => ({
+                name: entry.name,
+                size: entry.data.length,
+                sha256: this.checksum(entry.data)
+            }))
+        };
+        entries.unshift({ name: 'bundle.json', data: Buffer.from(JSON.stringify(manifest, null, 2)) });
+
+        const buffer = zlib.gzipSync(packTar(entries));
+
+        Logger.info('Model bundle created', {
+            pair: pairKey,
+            models: Object.keys(models),
+            sizeBytes: buffer.length
+        });
+
+        return { buffer, manifest };
+    }
+
+    // Unpack and check a bundle without installing anything. Returns
+    // { manifest, files, errors }; errors is empty when the bundle can be installed.
+    // expected: { featureSchemaHash, outputHeadSignature, enabledModels }
+    readBundle(buffer, expected = {}) {
+        let entries;
+        try {
+            entries = unpackTar(zlib.gunzipSync(buffer));
+        } catch (error) {
+            return { manifest: null, files: null, errors: [`Not a gzipped tar bundle: ${error.message}`] };
+        }
+
+        const files = new Map(entries.map(entry => [entry.name, entry.data]));
+        const manifestData = files.get('bundle.json');
+        if (!manifestData) {
+            return { manifest: null, files, errors: ['bundle.json missing'] };
+        }
+
+        const manifest = JSON.parse(manifestData.toString('utf8'));
+        const errors = [];
+
+        if (manifest.format !== BUNDLE_FORMAT || manifest.formatVersion !== BUNDLE_FORMAT_VERSION) {
+            errors.push(`Unsupported bundle format ${manifest.format} v${manifest.formatVersion}`);
+            return { manifest, files, errors };
+        }
+
+        (manifest.files || []).forEach(file => {
+            const data = files.get(file.name);
+            if (!data || this.checksum(data) !== file.sha256) {
+                errors.push(`${file.name} failed checksum verification`);
+            }
+        });
+
+        if (expected.featureSchemaHash && manifest.featureSchema?.featureSchemaHash !== expected.featureSchemaHash) {
+            errors.push(`Feature schema mismatch: bundle ${manifest.featureSchema?.featureSchemaHash || 'none'}, running ${expected.featureSchemaHash}`);
+        }
+
+        Object.entries(manifest.models || {}).forEach(([modelType, model]) => {
+            const record = model.record;
+
+            if (expected.enabledModels && !expected.enabledModels.includes(modelType)) {
+                errors.push(`${modelType} is not an enabled model type`);
+            }
+            if (expected.featureSchemaHash && record.scaler?.featureSchemaHash !== expected.featureSchemaHash) {
+                errors.push(`${modelType} scaler was fitted on feature schema ${record.scaler?.featureSchemaHash || 'none'}`);
+            }
+            if (expected.outputHeadSignature && record.outputHead?.signature !== expected.outputHeadSignature) {
+                errors.push(`${modelType} output head ${record.outputHead?.signature || 'none'} does not match ${expected.outputHeadSignature}`);
+            }
+            if (!files.has(`blobs/${record.weights?.blob}`)) {
+                errors.push(`${modelType} weight blob missing from bundle`);
+            }
+        });
+
+        if (Object.keys(manifest.models || {}).length === 0) {
+            errors.push('Bundle contains no models');
+        }
+
+        return { manifest, files, errors };
+    }
+
+    // Install a bundle checked by readBundle: blobs first, then each model as the
+    // pair's champion, then the ensemble weights
+    async installBundle(bundle, options = {}) {
+        const { manifest, files } = bundle;
+        const pair = (options.pair || manifest.pair).toUpperCase();
+        const pairBlobDir = this.mlStorage.getPairBlobDir(pair);
+
+        if (!fs.existsSync(pairBlobDir)) {
+            fs.mkdirSync(pairBlobDir, { recursive: true });
+        }
+        for (const [name, data] of files.entries()) {
+            if (name.startsWith('blobs/')) {
+                const blobPath = path.join(pairBlobDir, path.basename(name));
+                fs.writeFileSync(`${blobPath}.tmp`, data);
+                fs.renameSync(`${blobPath}.tmp`, blobPath);
+            }
+        }
+
+        const importedFrom = {
+            host: manifest.sourceHost,
+            pair: manifest.pair,
+            exportedAt: manifest.exportedAt
+        };
+
+        const installed = {};
+        for (const [modelType, model] of Object.entries(manifest.models)) {
+            installed[modelType] = await this.mlStorage.installModelRecord(pair, modelType, model.record, {
+                trainingConfig: model.trainingConfig,
+                dataRange: model.dataRange,
+                importedFrom: { ...importedFrom, version: model.record.version || null }
+            });
+        }
+
+        if (manifest.ensemble?.weights) {
+            await this.mlStorage.saveEnsembleWeights(pair, manifest.ensemble.weights, { importedFrom });
+        }
+
+        Logger.info('Model bundle installed', { pair, versions: installed, importedFrom });
+
+        return {
+            pair,
+            versions: installed,
+            ensembleWeights: manifest.ensemble?.weights || null,
+            importedFrom
+        };
+    }
+
+    checksum(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+}
+
+ModelBundle.FORMAT = BUNDLE_FORMAT;
+ModelBundle.FORMAT_VERSION = BUNDLE_FORMAT_VERSION;
+
+module.exports = ModelBundle;
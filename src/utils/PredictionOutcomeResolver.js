@@ -0,0 +1,293 @@
+const Logger = require('./Logger');
+
+// Resolves stored predictions against realised prices once their horizon has
+// elapsed, and feeds the outcomes back into each pair's ensemble
+class PredictionOutcomeResolver {
+    constructor(config = {}) {
+        this.mlStorage = config.mlStorage;
+        this.dataClient = config.dataClient;
+        this.getEnsemble = config.getEnsemble || (() => null); // pair => ModelEnsemble | null
+
+        this.interval = config.interval || 300000; // Resolve every 5 minutes
+        this.performanceWindow = config.performanceWindow || 100;
+
+        this.timer = null;
+        this.isResolving = false;
+        this.lastRun = null;
+        this.totals = {
+            runs: 0,
+            resolved: 0,
+            expired: 0
+        };
+
+        if (!this.mlStorage || !this.dataClient) {
+            throw new Error('PredictionOutcomeResolver requires mlStorage and dataClient');
+        }
+
+        Logger.info('PredictionOutcomeResolver initialized', {
+            interval: this.interval / 1000 + ' seconds',
+            performanceWindow: this.performanceWindow
+        });
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.resolveAll().catch(error => {
+                Logger.error('Prediction outcome resolution failed', { error: error.message });
+            });
+        }, this.interval);
+
+        Logger.info('Prediction outcome resolver started');
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            Logger.info('Prediction outcome resolver stopped');
+        }
+    }
+
+    // Resolve every pair with stored predictions
+    async resolveAll() {
+        if (this.isResolving) {
+            Logger.debug('Prediction outcome resolution already running, skipping');
+            return null;
+        }
+
+        this.isResolving = true;
+        const results = {};
+
+        try {
+            for (const pair of this.mlStorage.getStoredPairs()) {
+                try {
+                    results[pair] = await this.resolvePair(pair);
+                } catch (error) {
+                    Logger.warn(`Failed to resolve prediction outcomes for ${pair}`, {
+                        error: error.message
+                    });
+                    results[pair] = { error: error.message };
+                }
+            }
+
+            this.totals.runs++;
+            this.lastRun = Date.now();
+
+            return results;
+
+        } finally {
+            this.isResolving = false;
+        }
+    }
+
+    async resolvePair(pair) {
+        const assetData = this.mlStorage.loadAssetData(pair);
+        const pending = (assetData.predictions?.history || []).filter(entry =>
+            !entry.outcome && entry.metadata?.reference
+        );
+
+        let resolved = 0;
+        let expired = 0;
+
+        if (pending.length > 0) {
+            const pairData = await this.dataClient.getPairData(pair);
+            const outcomesById = {};
+
+            pending.forEach(entry => {
+                const outcome = this.resolveEntry(entry, pairData.history);
+                if (outcome) {
+                    outcomesById[entry.predictionId] = outcome;
+                    if (outcome.status === 'expired') {
+                        expired++;
+                    } else {
+                        resolved++;
+                    }
+                }
+            });
+
+            await this.mlStorage.updatePredictionOutcomes(pair, outcomesById);
+        }
+
+        this.totals.resolved += resolved;
+        this.totals.expired += expired;
+
+        const ensemble = this.getEnsemble(pair);
+        if (ensemble) {
+            this.applyToEnsemble(pair, ensemble);
+        }
+
+        if (resolved > 0 || expired > 0) {
+            Logger.info(`Prediction outcomes resolved for ${pair}`, {
+                resolved,
+                expired,
+                stillPending: pending.length - resolved - expired
+            });
+        }
+
+        return {
+            pending: pending.length - resolved - expired,
+            resolved,
+            expired
+        };
+    }
+
+    // Outcome for one prediction, or null while its horizon is still open
+    resolveEntry(entry, history) {
+        const { price, timestamp, horizon } = entry.metadata.reference;
+        const timestamps = history?.timestamps;
+        const closes = history?.closes;
+
+        if (!timestamps || !closes || timestamps.length === 0) {
+            return null;
+        }
+
+        const barIndex = timestamps.indexOf(timestamp);
+
+        if (barIndex === -1) {
+            // Reference bar has rolled out of the available history
+            return timestamp < timestamps[0] ? {
+                status: 'expired',
+                resolvedAt: Date.now()
+            } : null;
+        }
+
+        const outcomeIndex = barIndex + horizon;
+        if (outcomeIndex >= closes.length) {
+            return null;
+        }
+
+        const outcomePrice = closes[outcomeIndex];
+        const actualChange = (outcomePrice - price) / price;
+        const actualUp = actualChange > 0;
+
+        const individual = {};
+        Object.entries(this.getIndividualPredictions(entry)).forEach(([modelType, prediction]) => {
+            individual[modelType] = (prediction > 0.5) === actualUp;
+        });
+
+        return {
+            status: 'resolved',
+            resolvedAt: Date.now(),
+            referencePrice: price,
+            outcomePrice,
+            outcomeTimestamp: timestamps[outcomeIndex],
+            actualChange,
+            actualDirection: actualUp ? 'up' : 'down',
+            correct: (entry.prediction > 0.5) === actualUp,
+            individual
+        };
+    }
+
+    getIndividualPredictions(entry) {
+        if (entry.ensemble?.individualPredictions) {
+            return entry.ensemble.individualPredictions;
+        }
+        if (entry.modelType) {
+            return { [entry.modelType]: entry.prediction };
+        }
+        return {};
+    }
+
+    // Resolved outcomes in reference-bar order. Repeated predictions for the same
+    // bar (cache misses, retries) only count once per ensemble/model source.
+    getResolvedOutcomes(pair) {
+        const history = this.mlStorage.loadAssetData(pair).predictions?.history || [];
+        const latestByBar = new Map();
+
+        history
+            .filter(entry => entry.outcome?.status === 'resolved')
+            .forEach(entry => {
+                const source = entry.ensemble ? 'ensemble' : entry.modelType || 'single';
+                latestByBar.set(`${entry.metadata.reference.timestamp}_${source}`, entry);
+            });
+
+        return Array.from(latestByBar.values())
+            .sort((a, b) => a.metadata.reference.timestamp - b.metadata.reference.timestamp);
+    }
+
+    // Feed the latest performanceWindow ensemble outcomes to the ensemble so
+    // its weights follow realised accuracy (also used when an ensemble is rebuilt)
+    applyToEnsemble(pair, ensemble) {
+        const outcomes = this.getResolvedOutcomes(pair)
+            .filter(entry => entry.ensemble?.individualPredictions)
+            .map(entry => ({
+                ensemblePrediction: entry.prediction,
+                individualPredictions: entry.ensemble.individualPredictions,
+                actualChange: entry.outcome.actualChange
+            }));
+
+        if (outcomes.length === 0) {
+            return null;
+        }
+
+        return ensemble.evaluatePerformance(outcomes.slice(-this.performanceWindow));
+    }
+
+    // Rolling (last performanceWindow) and all-time resolved accuracy per pair and model
+    getAccuracy(pair) {
+        const history = this.mlStorage.loadAssetData(pair).predictions?.history || [];
+        const resolvedOutcomes = this.getResolvedOutcomes(pair);
+
+        const summarize = (entries) => {
+            const summary = {
+                ensemble: { correct: 0, total: 0, accuracy: 0 },
+                models: {}
+            };
+
+            entries.forEach(entry => {
+                if (entry.ensemble) {
+                    summary.ensemble.total++;
+                    if (entry.outcome.correct) summary.ensemble.correct++;
+                }
+
+                Object.entries(entry.outcome.individual || {}).forEach(([modelType, correct]) => {
+                    if (!summary.models[modelType]) {
+                        summary.models[modelType] = { correct: 0, total: 0, accuracy: 0 };
+                    }
+                    summary.models[modelType].total++;
+                    if (correct) summary.models[modelType].correct++;
+                });
+            });
+
+            summary.ensemble.accuracy = summary.ensemble.total > 0 ?
+                summary.ensemble.correct / summary.ensemble.total : 0;
+            Object.values(summary.models).forEach(modelStats => {
+                modelStats.accuracy = modelStats.total > 0 ? modelStats.correct / modelStats.total : 0;
+            });
+
+            return summary;
+        };
+
+        return {
+            pair: pair.toUpperCase(),
+            performanceWindow: this.performanceWindow,
+            rolling: summarize(resolvedOutcomes.slice(-this.performanceWindow)),
+            allTime: summarize(resolvedOutcomes),
+            counts: {
+                stored: history.length,
+                resolved: history.filter(entry => entry.outcome?.status === 'resolved').length,
+                expired: history.filter(entry => entry.outcome?.status === 'expired').length,
+                pending: history.filter(entry => !entry.outcome && entry.metadata?.reference).length,
+                uniqueResolved: resolvedOutcomes.length
+            },
+            lastResolution: this.lastRun
+        };
+    }
+
+    getStatus() {
+        return {
+            running: !!this.timer,
+            isResolving: this.isResolving,
+            interval: this.interval,
+            performanceWindow: this.performanceWindow,
+            lastRun: this.lastRun,
+            totals: { ...this.totals }
+        };
+    }
+}
+
+module.exports = PredictionOutcomeResolver;
@@ -0,0 +1,73 @@
+// Minimal ustar reader/writer for the .tar.gz archives written by
+// BackupManager and ModelBundle: regular files only, names up to 100 bytes
+
+const TAR_BLOCK = 512;
+
+// [{ name, data: Buffer }] -> uncompressed tar Buffer
+function packTar(entries) {
+    const blocks = [];
+    const mtime = Math.floor(Date.now() / 1000);
+
+    entries.forEach(entry => {
+        if (Buffer.byteLength(entry.name) > 100) {
+            throw new Error(`Archive entry name too long: ${entry.name}`);
+        }
+
+        const header = Buffer.alloc(TAR_BLOCK);
+        header.write(entry.name, 0, 100, 'utf8');
+        header.write('0000644\0', 100, 8, 'ascii');
+        header.write('0000000\0', 108, 8, 'ascii');
+        header.write('0000000\0', 116, 8, 'ascii');
+        header.write(entry.data.length.toString(8).padStart(11, '0') + '\0', 124, 12, 'ascii');
+        header.write(mtime.toString(8).padStart(11, '0') + '\0', 136, 12, 'ascii');
+        header.write('        ', 148, 8, 'ascii'); // Checksum is computed with spaces here
+        header.write('0', 156, 1, 'ascii');
+        header.write('ustar\0', 257, 6, 'ascii');
+        header.write('00', 263, 2, 'ascii');
+
+        let checksum = 0;
+        for (let i = 0; i < TAR_BLOCK; i++) {
+            checksum += header[i];
+        }
+        header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+        blocks.push(header, entry.data);
+        const padding = (TAR_BLOCK - (entry.data.length % TAR_BLOCK)) % TAR_BLOCK;
+        if (padding > 0) {
+            blocks.push(Buffer.alloc(padding));
+        }
+    });
+
+    blocks.push(Buffer.alloc(TAR_BLOCK * 2)); // End-of-archive marker
+    return Buffer.concat(blocks);
+}
+
+// Uncompressed tar Buffer -> [{ name, data: Buffer }]
+function unpackTar(buffer) {
+    const entries = [];
+    let offset = 0;
+
+    while (offset + TAR_BLOCK <= buffer.length) {
+        const header = buffer.subarray(offset, offset + TAR_BLOCK);
+        if (header.every(byte => byte === 0)) {
+            break;
+        }
+
+        const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+        const size = parseInt(header.toString('ascii', 124, 136).replace(/\0.*$/s, '').trim(), 8);
+        const type = header.toString('ascii', 156, 157);
+        offset += TAR_BLOCK;
+
+        if (type === '0' || type === '\0') {
+            entries.push({ name, data: Buffer.from(buffer.subarray(offset, offset + size)) });
+        }
+        offset += Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+    }
+
+    return entries;
+}
+
+module.exports = {
+    packTar,
+    unpackTar
+};
@@ -1,7 +1,18 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
 const { Logger } = require('../utils');
 
-class TrainingQueueManager {
+// Statuses a job never leaves
+const FINAL_STATUSES = ['completed', 'cancelled', 'failed_permanent', 'interrupted'];
+
+// Emits 'event' for every job status transition and training progress update.
+// The same events are kept on the job (job.events) and journaled with it.
+class TrainingQueueManager extends EventEmitter {
     constructor(config = {}) {
+        super();
+        this.setMaxListeners(0); // One listener per open event stream
+        
         this.maxConcurrentTraining = config.maxConcurrentTraining || 1; // Only 1 training at a time by default
         this.trainingQueue = [];
         this.activeTraining = new Map(); // Track active training sessions
@@ -15,12 +26,38 @@ class TrainingQueueManager {
         // Queue processing interval
         this.processingInterval = config.processingInterval || 5000; // Check queue every 5 seconds
         this.queueProcessor = null;
+        this.retryDelay = config.retryDelay || 30000; // 30 seconds before a failed job is retried
+        
+        // Runs a job as trainingFunction(pair, modelType, config, context), where
+        // context is { jobId, signal, reportProgress(progress) }. Jobs only hold their
+        // serialisable config, so the queue can be journaled and restored.
+        this.trainingFunction = config.trainingFunction || null;
+        
+        // Running jobs' AbortControllers, kept off the job so it stays serialisable.
+        // Cancelling aborts the signal with an error carrying keepPartial.
+        this.abortControllers = new Map();
+        this.keepPartialOnCancel = config.keepPartialOnCancel === true;
+        
+        // Optional start gate: scheduler.canStart(job) -> { allowed, reason, until }
+        // holds queued jobs back; scheduler.shouldPause() stops running jobs and
+        // requeues them (see TrainingScheduler)
+        this.scheduler = config.scheduler || null;
+        
+        // Queue state journal, rewritten on every change (no journalPath = in memory only)
+        this.journalPath = config.journalPath || null;
+        this.requeueInterrupted = config.requeueInterrupted !== false;
+        this.maxHistory = config.maxHistory || 200;
+        this.maxJobEvents = config.maxJobEvents || 200; // Oldest events are dropped first
+        this.eventSeq = 0;
+        this.lastRestore = null;
+        this.isShutdown = false;
         
         // Use console.log initially to avoid circular dependency
         console.log('TrainingQueueManager initialized', {
             maxConcurrentTraining: this.maxConcurrentTraining,
             trainingCooldown: this.trainingCooldown / 1000 / 60 + ' minutes',
-            processingInterval: this.processingInterval / 1000 + ' seconds'
+            processingInterval: this.processingInterval / 1000 + ' seconds',
+            journalPath: this.journalPath
         });
         
         // Import Logger after a delay to avoid circular dependency
@@ -40,6 +77,10 @@ class TrainingQueueManager {
             }
         }, 500);
         
+        if (this.journalPath) {
+            this.restoreJournal();
+        }
+        
         this.startQueueProcessor();
     }
 
@@ -52,13 +93,16 @@ class TrainingQueueManager {
         }
     }
     
-    // Add training job to queue
-    async addTrainingJob(pair, modelType, trainingFunction, config = {}) {
-        const jobId = `${pair}_${modelType}_${Date.now()}`;
+    // Add training job to queue. config.jobKey lets several jobs for the same
+    // pair/model coexist (one per key, e.g. search trials), and
+    // config.cooldown === false exempts the job from the cooldown.
+    async addTrainingJob(pair, modelType, config = {}) {
+        const jobKey = config.jobKey || null;
+        const jobId = `${pair}_${modelType}_${Date.now()}${jobKey ? `_${jobKey}` : ''}`;
         const priority = config.priority || 5; // 1-10, lower number = higher priority
         
         // Check if this pair/model is already in queue or training
-        const existingJob = this.findExistingJob(pair, modelType);
+        const existingJob = this.findExistingJob(pair, modelType, jobKey);
         if (existingJob) {
             this.log('warn',`Training job already exists for ${pair}:${modelType}`, {
                 existingJobId: existingJob.id,
@@ -68,7 +112,7 @@ class TrainingQueueManager {
         }
         
         // Check cooldown period
-        if (this.isInCooldown(pair, modelType)) {
+        if (config.cooldown !== false && this.isInCooldown(pair, modelType)) {
             const cooldownRemaining = this.getCooldownRemaining(pair, modelType);
             this.log('info',`Training for ${pair}:${modelType} is in cooldown`, {
                 cooldownRemaining: Math.round(cooldownRemaining / 1000 / 60) + ' minutes'
@@ -80,17 +124,20 @@ class TrainingQueueManager {
             id: jobId,
             pair: pair.toUpperCase(),
             modelType: modelType.toLowerCase(),
-            trainingFunction,
-            config,
+            jobKey,
+            config: JSON.parse(JSON.stringify(config)), // Journaled as-is
             priority,
             status: 'queued',
             queuedAt: Date.now(),
             attempts: 0,
-            maxAttempts: config.maxAttempts || 2
+            maxAttempts: config.maxAttempts || 2,
+            events: []
         };
         
         // Insert job in priority order
         this.insertJobByPriority(job);
+        this.recordEvent(job, 'status', { priority });
+        this.saveJournal();
         
         this.log('info',`Training job queued: ${pair}:${modelType}`, {
             jobId,
@@ -119,25 +166,37 @@ class TrainingQueueManager {
     }
     
     // Find existing job for pair/model
-    findExistingJob(pair, modelType) {
+    findExistingJob(pair, modelType, jobKey = null) {
         const pairUpper = pair.toUpperCase();
         const modelLower = modelType.toLowerCase();
+        const matches = job => job.pair === pairUpper && job.modelType === modelLower &&
+            (job.jobKey || null) === jobKey;
         
         // Check active training
         for (const [jobId, job] of this.activeTraining.entries()) {
-            if (job.pair === pairUpper && job.modelType === modelLower) {
+            if (matches(job)) {
                 return { ...job, status: 'training' };
             }
         }
         
         // Check queue
-        const queuedJob = this.trainingQueue.find(job => 
-            job.pair === pairUpper && job.modelType === modelLower
-        );
+        const queuedJob = this.trainingQueue.find(matches);
         
         return queuedJob;
     }
     
+    // Most recent completed training of any of the pair's models (0 when never trained)
+    getLastTrainedAt(pair) {
+        const prefix = `${pair.toUpperCase()}_`;
+        let lastTrainedAt = 0;
+        for (const [key, lastTraining] of this.lastTrainingTimes.entries()) {
+            if (key.startsWith(prefix)) {
+                lastTrainedAt = Math.max(lastTrainedAt, lastTraining);
+            }
+        }
+        return lastTrainedAt;
+    }
+    
     // Check if pair/model is in cooldown
     isInCooldown(pair, modelType) {
         const key = `${pair.toUpperCase()}_${modelType.toLowerCase()}`;
@@ -196,47 +255,102 @@ class TrainingQueueManager {
         this.isProcessing = true;
         
         try {
-            // Check if we can start new training
-            if (this.activeTraining.size >= this.maxConcurrentTraining) {
-                return; // Max concurrent training reached
+            if (this.scheduler && this.scheduler.shouldPause()) {
+                this.pauseActiveJobs('Quiet hours');
             }
             
-            // Get next job from queue
-            const job = this.trainingQueue.shift();
-            if (!job) {
-                return; // No jobs in queue
-            }
-            
-            // Double-check cooldown before starting
-            if (this.isInCooldown(job.pair, job.modelType)) {
-                this.log('warn',`Job ${job.id} skipped due to cooldown`, {
-                    pair: job.pair,
-                    modelType: job.modelType
-                });
+            // Start jobs until every training slot is busy
+            while (this.activeTraining.size < this.maxConcurrentTraining) {
+                // Get next job from queue, skipping retries that are not due yet
+                // and jobs the scheduler holds back
+                const now = Date.now();
+                const jobIndex = this.trainingQueue.findIndex(job =>
+                    (!job.retryAt || job.retryAt <= now) && this.isStartAllowed(job, now)
+                );
+                if (jobIndex === -1) {
+                    return; // No jobs ready
+                }
+                const [job] = this.trainingQueue.splice(jobIndex, 1);
                 
-                // Put job back in queue with lower priority
-                job.priority = Math.min(10, job.priority + 1);
-                this.insertJobByPriority(job);
-                return;
+                // Double-check cooldown before starting
+                if (job.config.cooldown !== false && this.isInCooldown(job.pair, job.modelType)) {
+                    this.log('warn',`Job ${job.id} skipped due to cooldown`, {
+                        pair: job.pair,
+                        modelType: job.modelType
+                    });
+                    
+                    // Put job back in queue with lower priority
+                    job.priority = Math.min(10, job.priority + 1);
+                    this.insertJobByPriority(job);
+                    this.saveJournal();
+                    return;
+                }
+                
+                // Runs in the background; startTraining registers the job as
+                // active before its first await, so the slot count is current
+                this.startTraining(job).catch(error => {
+                    this.log('error',`Training job ${job.id} crashed`, { error: error.message });
+                });
             }
             
-            // Start training
-            await this.startTraining(job);
-            
         } finally {
             this.isProcessing = false;
         }
     }
     
+    // Ask the scheduler whether a queued job may start. A held-back job carries
+    // job.deferred = { reason, until }, with a status event whenever the reason changes.
+    isStartAllowed(job, now) {
+        const decision = this.scheduler ? this.scheduler.canStart(job, now) : { allowed: true };
+        if (decision.allowed) {
+            delete job.deferred;
+            return true;
+        }
+        
+        if (!job.deferred || job.deferred.reason !== decision.reason) {
+            job.deferred = { reason: decision.reason, until: decision.until };
+            this.recordEvent(job, 'status', { deferred: job.deferred });
+            this.saveJournal();
+            this.log('info',`Training job deferred: ${job.pair}:${job.modelType}`, {
+                jobId: job.id,
+                reason: decision.reason,
+                until: new Date(decision.until).toISOString()
+            });
+        }
+        job.deferred.until = decision.until;
+        return false;
+    }
+    
+    // Stop running jobs after their current batch and requeue them; they
+    // restart from scratch when the scheduler lets them start again
+    pauseActiveJobs(reason) {
+        const running = Array.from(this.activeTraining.values()).filter(job => job.status === 'training');
+        running.forEach(job => this.requestStop(job, 'pausing', reason, false));
+        
+        if (running.length > 0) {
+            this.saveJournal();
+            this.log('warn','Pausing active training jobs', {
+                reason,
+                jobs: running.map(job => job.id)
+            });
+        }
+        return running.length;
+    }
+    
     // Start individual training job
     async startTraining(job) {
         const startTime = Date.now();
         job.status = 'training';
         job.startedAt = startTime;
         job.attempts++;
+        delete job.retryAt;
         
         // Add to active training
+        const controller = new AbortController();
         this.activeTraining.set(job.id, job);
+        this.abortControllers.set(job.id, controller);
+        this.recordEvent(job, 'status', { attempt: job.attempts });
+        this.saveJournal();
         
         this.log('info',`Starting training: ${job.pair}:${job.modelType}`, {
             jobId: job.id,
@@ -247,34 +361,62 @@ class TrainingQueueManager {
         });
         
         try {
+            if (!this.trainingFunction) {
+                throw new Error('No training function configured');
+            }
+            
             // Execute training function
-            const result = await job.trainingFunction(job.pair, job.modelType, job.config);
+            const result = await this.trainingFunction(job.pair, job.modelType, job.config, {
+                jobId: job.id,
+                signal: controller.signal,
+                reportProgress: (progress) => {
+                    job.progress = { ...progress, updatedAt: Date.now() };
+                    this.recordEvent(job, 'progress', { progress: job.progress });
+                }
+            });
             
-            // Training completed successfully
+            // Training completed successfully (or was cancelled and kept its partial model)
             const duration = Date.now() - startTime;
-            job.status = 'completed';
+            job.status = result && result.partial ? 'cancelled' : 'completed';
             job.completedAt = Date.now();
+            if (job.status === 'cancelled') {
+                job.cancelledAt = job.completedAt;
+            }
             job.duration = duration;
             job.result = result;
             
             // Update cooldown timer
-            const key = `${job.pair}_${job.modelType}`;
-            this.lastTrainingTimes.set(key, Date.now());
+            if (job.config.cooldown !== false) {
+                const key = `${job.pair}_${job.modelType}`;
+                this.lastTrainingTimes.set(key, Date.now());
+            }
             
             // Remove from active training
             this.activeTraining.delete(job.id);
             
             // Add to history
-            this.trainingHistory.set(job.id, job);
+            this.recordEvent(job, 'status', { duration, partial: job.status === 'cancelled' });
+            this.addToHistory(job);
+            this.saveJournal();
             
-            this.log('info',`Training completed: ${job.pair}:${job.modelType}`, {
+            this.log('info',`Training ${job.status}: ${job.pair}:${job.modelType}`, {
                 jobId: job.id,
                 duration: Math.round(duration / 1000) + 's',
                 success: true,
+                partial: job.status === 'cancelled',
                 activeTraining: this.activeTraining.size
             });
             
         } catch (error) {
+            if (controller.signal.aborted) {
+                if (job.status === 'pausing') {
+                    this.requeuePausedJob(job);
+                } else {
+                    this.finishCancelledJob(job, startTime);
+                }
+                return;
+            }
+            
             // Training failed
             const duration = Date.now() - startTime;
             job.status = 'failed';
@@ -290,33 +432,95 @@ class TrainingQueueManager {
                 error: error.message
             });
             
+            // Remove from active training
+            this.activeTraining.delete(job.id);
+            
             // Retry if attempts remaining
             if (job.attempts < job.maxAttempts) {
                 job.status = 'queued';
                 job.priority = Math.min(10, job.priority + 2); // Lower priority for retries
                 
-                // Put back in queue with delay
-                setTimeout(() => {
-                    this.insertJobByPriority(job);
-                    this.log('info',`Training job requeued for retry: ${job.pair}:${job.modelType}`, {
-                        jobId: job.id,
-                        attempt: job.attempts + 1,
-                        maxAttempts: job.maxAttempts
-                    });
-                }, 30000); // 30 second delay before retry
+                // Back in the queue now (so it is journaled), but not picked up before retryAt
+                job.retryAt = Date.now() + this.retryDelay;
+                this.insertJobByPriority(job);
+                this.recordEvent(job, 'status', { error: job.error, retryAt: job.retryAt });
+                this.log('info',`Training job requeued for retry: ${job.pair}:${job.modelType}`, {
+                    jobId: job.id,
+                    attempt: job.attempts + 1,
+                    maxAttempts: job.maxAttempts,
+                    retryIn: this.retryDelay / 1000 + 's'
+                });
             } else {
                 // Max attempts reached, mark as permanently failed
                 job.status = 'failed_permanent';
-                this.trainingHistory.set(job.id, job);
+                this.recordEvent(job, 'status', { error: job.error });
+                this.addToHistory(job);
             }
             
-            // Remove from active training
-            this.activeTraining.delete(job.id);
+            this.saveJournal();
+        } finally {
+            this.abortControllers.delete(job.id);
         }
     }
     
-    // Cancel training job
-    async cancelTraining(jobId, reason = 'User requested') {
+    // A job stopped by cancelTraining/emergencyStop whose run was discarded.
+    // Cancelled jobs are never retried and do not start a cooldown.
+    finishCancelledJob(job, startTime) {
+        job.status = 'cancelled';
+        job.cancelledAt = Date.now();
+        job.completedAt = job.cancelledAt;
+        job.duration = job.cancelledAt - startTime;
+        
+        this.activeTraining.delete(job.id);
+        this.recordEvent(job, 'status', { reason: job.cancelReason, duration: job.duration });
+        this.addToHistory(job);
+        this.saveJournal();
+        
+        this.log('info',`Training cancelled: ${job.pair}:${job.modelType}`, {
+            jobId: job.id,
+            reason: job.cancelReason,
+            duration: Math.round(job.duration / 1000) + 's',
+            activeTraining: this.activeTraining.size
+        });
+    }
+    
+    // A job stopped by pauseActiveJobs goes back in the queue. The stopped run
+    // does not use up an attempt.
+    requeuePausedJob(job) {
+        const reason = job.cancelReason;
+        job.status = 'queued';
+        job.attempts = Math.max(0, job.attempts - 1);
+        job.pausedAt = Date.now();
+        job.startedAt = null;
+        delete job.cancelReason;
+        delete job.cancelRequestedAt;
+        delete job.keepPartial;
+        delete job.progress;
+        
+        this.activeTraining.delete(job.id);
+        this.insertJobByPriority(job);
+        this.recordEvent(job, 'status', { reason, paused: true });
+        this.saveJournal();
+        
+        this.log('info',`Training paused and requeued: ${job.pair}:${job.modelType}`, {
+            jobId: job.id,
+            reason,
+            activeTraining: this.activeTraining.size
+        });
+    }
+    
+    // Abort reason handed to a running job's signal
+    createCancellation(reason, keepPartial) {
+        const error = new Error(`Training cancelled: ${reason}`);
+        error.name = 'AbortError';
+        error.keepPartial = keepPartial;
+        return error;
+    }
+    
+    // Cancel training job. A queued job is removed; a running job stops after
+    // its current batch and its partial model is discarded, or kept when
+    // options.keepPartial (default keepPartialOnCancel) is set.
+    async cancelTraining(jobId, reason = 'User requested', options = {}) {
         // Check if job is in queue
         const queueIndex = this.trainingQueue.findIndex(job => job.id === jobId);
         if (queueIndex !== -1) {
@@ -324,26 +528,29 @@ class TrainingQueueManager {
             job.status = 'cancelled';
             job.cancelledAt = Date.now();
             job.cancelReason = reason;
-            this.trainingHistory.set(jobId, job);
+            this.recordEvent(job, 'status', { reason });
+            this.addToHistory(job);
+            this.saveJournal();
             
             this.log('info',`Training job cancelled from queue: ${jobId}`, { reason });
-            return true;
+            return { jobId, status: 'cancelled' };
         }
         
         // Check if job is actively training
         if (this.activeTraining.has(jobId)) {
             const job = this.activeTraining.get(jobId);
-            job.status = 'cancelling';
-            job.cancelReason = reason;
+            const keepPartial = options.keepPartial !== undefined ?
+                options.keepPartial === true :
+                this.keepPartialOnCancel;
+            this.requestStop(job, 'cancelling', reason, keepPartial);
+            this.saveJournal();
             
-            this.log('warn',`Training job marked for cancellation: ${jobId}`, { 
+            this.log('warn',`Training job cancelling: ${jobId}`, { 
                 reason,
-                note: 'Active training cannot be immediately stopped'
+                keepPartial
             });
             
-            // Note: We can't actually stop TensorFlow training mid-process
-            // The training will complete but won't be saved
-            return true;
+            return { jobId, status: 'cancelling', keepPartial };
         }
         
         this.log('warn',`Training job not found for cancellation: ${jobId}`);
@@ -358,7 +565,8 @@ class TrainingQueueManager {
             modelType: job.modelType,
             status: job.status,
             startedAt: job.startedAt,
-            duration: Date.now() - job.startedAt
+            duration: Date.now() - job.startedAt,
+            progress: job.progress || null
         }));
         
         const queuedJobs = this.trainingQueue.map((job, index) => ({
@@ -368,7 +576,11 @@ class TrainingQueueManager {
             priority: job.priority,
             queuePosition: index + 1,
             queuedAt: job.queuedAt,
-            queuedFor: Date.now() - job.queuedAt
+            queuedFor: Date.now() - job.queuedAt,
+            attempts: job.attempts,
+            retryAt: job.retryAt || null,
+            deferred: job.deferred || null,
+            interruptedAt: job.interruptedAt || null
         }));
         
         return {
@@ -386,7 +598,12 @@ class TrainingQueueManager {
                 recent: this.getRecentHistory(10)
             },
             cooldowns: this.getCooldownStatus(),
-            isProcessing: this.isProcessing
+            isProcessing: this.isProcessing,
+            persistence: {
+                journalPath: this.journalPath,
+                requeueInterrupted: this.requeueInterrupted,
+                lastRestore: this.lastRestore
+            }
         };
     }
     
@@ -406,7 +623,8 @@ class TrainingQueueManager {
             completedAt: job.completedAt,
             duration: job.duration,
             attempts: job.attempts,
-            error: job.error
+            error: job.error,
+            interruptedAt: job.interruptedAt
         }));
     }
     
@@ -437,6 +655,7 @@ class TrainingQueueManager {
         const removed = this.lastTrainingTimes.delete(key);
         
         if (removed) {
+            this.saveJournal();
             this.log('info',`Cooldown cleared for ${pair}:${modelType}`);
         }
         
@@ -447,6 +666,7 @@ class TrainingQueueManager {
     clearAllCooldowns() {
         const count = this.lastTrainingTimes.size;
         this.lastTrainingTimes.clear();
+        this.saveJournal();
         
         this.log('info',`All cooldowns cleared`, { count });
         return count;
@@ -504,28 +724,48 @@ class TrainingQueueManager {
         }
         
         if (cleaned > 0) {
+            this.saveJournal();
             this.log('info',`Cleaned up old training history`, { cleaned, remaining: this.trainingHistory.size });
         }
         
         return cleaned;
     }
     
-    // Emergency stop all training
+    // Signal a running job to stop; it is recorded as cancelled once its run returns
+    requestStop(job, status, reason, keepPartial) {
+        job.status = status;
+        job.cancelReason = reason;
+        job.cancelRequestedAt = Date.now();
+        job.keepPartial = keepPartial;
+        this.recordEvent(job, 'status', { reason, keepPartial });
+        
+        const controller = this.abortControllers.get(job.id);
+        if (controller && !controller.signal.aborted) {
+            controller.abort(this.createCancellation(reason, keepPartial));
+        }
+    }
+    
+    // Emergency stop all training: queued jobs are cancelled and running jobs
+    // stop after their current batch, discarding their partial models
     emergencyStop() {
         this.log('warn','Emergency stop activated - clearing all training queues');
         
         // Clear queue
         const queuedCount = this.trainingQueue.length;
-        this.trainingQueue.length = 0;
+        const cancelledAt = Date.now();
+        this.trainingQueue.splice(0).forEach(job => {
+            const cancelled = { ...job, status: 'cancelled', cancelledAt, cancelReason: 'Emergency stop' };
+            this.recordEvent(cancelled, 'status', { reason: cancelled.cancelReason });
+            this.addToHistory(cancelled);
+        });
         
-        // Mark active training as cancelled
-        for (const [jobId, job] of this.activeTraining.entries()) {
-            job.status = 'emergency_stopped';
-            job.cancelledAt = Date.now();
-            job.cancelReason = 'Emergency stop';
+        // Stop active training
+        for (const job of this.activeTraining.values()) {
+            this.requestStop(job, 'emergency_stopped', 'Emergency stop', false);
         }
         
         const activeCount = this.activeTraining.size;
+        this.saveJournal();
         
         this.log('warn','Emergency stop completed', {
             queuedJobsCancelled: queuedCount,
@@ -554,12 +794,193 @@ class TrainingQueueManager {
             this.log('warn',`Forced shutdown with ${this.activeTraining.size} active training jobs`);
         }
         
+        // Final journal write: queued jobs are restored on the next start and
+        // jobs still training are marked interrupted. Nothing is written after this.
+        this.saveJournal();
+        this.isShutdown = true;
+        
         // Clear everything
         this.trainingQueue.length = 0;
         this.activeTraining.clear();
         
         this.log('info','TrainingQueueManager shutdown completed');
     }
+    
+    // Append an event to the job's event log and publish it. Status events carry
+    // the job's new status; progress events carry the latest epoch metrics.
+    recordEvent(job, type, data = {}) {
+        const event = {
+            id: ++this.eventSeq,
+            type,
+            jobId: job.id,
+            pair: job.pair,
+            modelType: job.modelType,
+            status: job.status,
+            timestamp: Date.now(),
+            ...data
+        };
+        
+        job.events = job.events || [];
+        job.events.push(event);
+        if (job.events.length > this.maxJobEvents) {
+            job.events.splice(0, job.events.length - this.maxJobEvents);
+        }
+        
+        this.emit('event', event);
+        return event;
+    }
+    
+    isFinalStatus(status) {
+        return FINAL_STATUSES.includes(status);
+    }
+    
+    // Queued, active or finished job by id (null when unknown or trimmed from history)
+    getJob(jobId) {
+        return this.activeTraining.get(jobId) ||
+            this.trainingQueue.find(job => job.id === jobId) ||
+            this.trainingHistory.get(jobId) ||
+            null;
+    }
+    
+    // A job's recorded events, optionally only those after event id `since`
+    getJobEvents(jobId, since = 0) {
+        const job = this.getJob(jobId);
+        if (!job) {
+            return null;
+        }
+        return (job.events || []).filter(event => event.id > since);
+    }
+    
+    // Add a finished job to history, keeping the most recent maxHistory entries
+    addToHistory(job) {
+        this.trainingHistory.delete(job.id);
+        this.trainingHistory.set(job.id, job);
+        
+        while (this.trainingHistory.size > this.maxHistory) {
+            this.trainingHistory.delete(this.trainingHistory.keys().next().value);
+        }
+    }
+    
+    // Job without its in-memory training result
+    serializeJob(job) {
+        const { result, ...serialized } = job;
+        return serialized;
+    }
+    
+    // Atomically rewrite the journal with the current queue state
+    saveJournal() {
+        if (!this.journalPath || this.isShutdown) {
+            return;
+        }
+        
+        try {
+            const journal = {
+                version: 1,
+                savedAt: Date.now(),
+                queue: this.trainingQueue.map(job => this.serializeJob(job)),
+                active: Array.from(this.activeTraining.values()).map(job => this.serializeJob(job)),
+                history: Array.from(this.trainingHistory.values()).map(job => this.serializeJob(job)),
+                lastTrainingTimes: Object.fromEntries(this.lastTrainingTimes)
+            };
+            
+            const journalDir = path.dirname(this.journalPath);
+            if (!fs.existsSync(journalDir)) {
+                fs.mkdirSync(journalDir, { recursive: true });
+            }
+            fs.writeFileSync(`${this.journalPath}.tmp`, JSON.stringify(journal, null, 2));
+            fs.renameSync(`${this.journalPath}.tmp`, this.journalPath);
+        } catch (error) {
+            this.log('error','Failed to write training queue journal', {
+                journalPath: this.journalPath,
+                error: error.message
+            });
+        }
+    }
+    
+    // Reload queued jobs, cooldowns and history from the journal. Jobs that were
+    // training when the process stopped are marked interrupted, and requeued
+    // (when enabled) if they have attempts left.
+    restoreJournal() {
+        if (!fs.existsSync(this.journalPath)) {
+            return;
+        }
+        
+        let journal;
+        try {
+            journal = JSON.parse(fs.readFileSync(this.journalPath, 'utf8'));
+        } catch (error) {
+            // Keep the unreadable file for inspection; the next write starts a fresh journal
+            const corruptPath = `${this.journalPath}.corrupt-${Date.now()}`;
+            fs.renameSync(this.journalPath, corruptPath);
+            this.log('error','Training queue journal unreadable, starting with an empty queue', {
+                journalPath: this.journalPath,
+                movedTo: corruptPath,
+                error: error.message
+            });
+            return;
+        }
+        
+        const stoppedAt = journal.savedAt || Date.now();
+        let interrupted = 0;
+        let requeued = 0;
+        
+        // Keep event ids increasing across restarts (stream clients resume by id)
+        [...(journal.history || []), ...(journal.queue || []), ...(journal.active || [])].forEach(job => {
+            (job.events || []).forEach(event => {
+                this.eventSeq = Math.max(this.eventSeq, event.id || 0);
+            });
+        });
+        
+        (journal.history || []).forEach(job => this.addToHistory(job));
+        Object.entries(journal.lastTrainingTimes || {}).forEach(([key, lastTraining]) => {
+            this.lastTrainingTimes.set(key, lastTraining);
+        });
+        (journal.queue || []).forEach(job => this.insertJobByPriority({ ...job, status: 'queued' }));
+        
+        (journal.active || []).forEach(job => {
+            // Cancellation was already requested; the run would not have been kept
+            if (job.status === 'cancelling' || job.status === 'emergency_stopped') {
+                const cancelled = { ...job, status: 'cancelled', cancelledAt: job.cancelledAt || stoppedAt };
+                this.recordEvent(cancelled, 'status', { reason: cancelled.cancelReason, restored: true });
+                this.addToHistory(cancelled);
+                return;
+            }
+            
+            // Was being paused: requeue it as if the pause had completed
+            if (job.status === 'pausing') {
+                const paused = { ...job, status: 'queued', startedAt: null, attempts: Math.max(0, job.attempts - 1), pausedAt: stoppedAt };
+                delete paused.cancelReason;
+                this.insertJobByPriority(paused);
+                this.recordEvent(paused, 'status', { paused: true, restored: true });
+                return;
+            }
+            
+            interrupted++;
+            if (this.requeueInterrupted && job.attempts < job.maxAttempts) {
+                requeued++;
+                const requeuedJob = { ...job, status: 'queued', startedAt: null, interruptedAt: stoppedAt };
+                this.insertJobByPriority(requeuedJob);
+                this.recordEvent(requeuedJob, 'status', { interruptedAt: stoppedAt, restored: true });
+            } else {
+                const interruptedJob = { ...job, status: 'interrupted', interruptedAt: stoppedAt, completedAt: stoppedAt };
+                this.recordEvent(interruptedJob, 'status', { restored: true });
+                this.addToHistory(interruptedJob);
+            }
+        });
+        
+        this.lastRestore = {
+            restoredAt: Date.now(),
+            journalSavedAt: journal.savedAt || null,
+            queued: (journal.queue || []).length,
+            interrupted,
+            requeued,
+            history: this.trainingHistory.size,
+            cooldowns: this.lastTrainingTimes.size
+        };
+        
+        this.log('info','Training queue restored from journal', this.lastRestore);
+        this.saveJournal();
+    }
 }
 
 module.exports = TrainingQueueManager;
\ No newline at end of file
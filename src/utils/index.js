@@ -2,10 +2,16 @@ const Logger = require('./Logger');
 const MLStorage = require('./MLStorage');
 const TrainingQueueManager = require('./TrainingQueueManager');
 const GPUManager = require('./GPUManager');
+const PredictionOutcomeResolver = require('./PredictionOutcomeResolver');
+const BackupManager = require('./BackupManager');
+const ModelBundle = require('./ModelBundle');
 
 module.exports = {
     Logger,
     MLStorage,
     TrainingQueueManager,
-    GPUManager
+    GPUManager,
+    PredictionOutcomeResolver,
+    BackupManager,
+    ModelBundle
 };
\ No newline at end of file